@@ -1,9 +1,173 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
-const { exec, sanitizePackages } = require('../utils/exec');
-const { validateSetup, isCompatibleVersion } = require('../utils/schema');
-const { installMasApps } = require('../utils/mas');
+const { exec, execSilent, execCapture, sanitizePackages } = require('../utils/exec');
+const {
+  SECTIONS,
+  validateSetup,
+  isCompatibleVersion,
+  parseSectionList,
+  selectSections,
+  isSectionOmitted
+} = require('../utils/schema');
+const { installMasApps, isMasInstalled, getMasApps } = require('../utils/mas');
+const { restoreShellConfigs } = require('../utils/shell-configs');
+const { applyGitConfig, GIT_POLICIES } = require('../utils/git-config');
+const { cloneRepositories, getRepoRisks } = require('../utils/repos');
+const { resolveConfig } = require('../utils/config');
+const {
+  planGlobalPackagePins,
+  globalPinCommands,
+  planFormulaPins,
+  markExactFormulaPins
+} = require('../utils/pinning');
+const {
+  createApplyReport,
+  recordItem,
+  finishApplyReport,
+  formatApplySummary
+} = require('../utils/apply-report');
+const { installWithFallback } = require('../utils/brew-install');
+const { buildVerifyMatrix, planVerifySections, summarizeVerifyMatrix, formatVerifyMatrix } = require('../utils/verify');
+const { planInstalls, pendingSetup, formatInstallPlan } = require('../utils/install-plan');
+const { RUNTIME_MANAGERS, planRuntimeInstalls } = require('../utils/runtimes');
+const { PACKAGE_MANAGERS, latestArg, installCommands } = require('../utils/package-managers');
+const { EDITORS, editorFilePath, planExtensionInstalls } = require('../utils/editors');
+const { TOOL_MANAGERS, planToolManagerInstalls, restoreToolVersionFiles } = require('../utils/tool-managers');
+const {
+  mergeAllowlist,
+  readDefaults,
+  planDefaultsWrites,
+  applyDefaults,
+  formatDefaultsCommand
+} = require('../utils/macos-defaults');
+const {
+  selectionCandidates,
+  promptSelection,
+  applySelection,
+  saveSelection,
+  readSelection
+} = require('../utils/selection');
+const {
+  collectorOptionsFor,
+  captureSetup,
+  getHomebrewTaps,
+  getHomebrewFormulae,
+  getHomebrewCasks,
+  getGlobalPackages,
+  getVersionManagers,
+  getToolManagers,
+  getEditors
+} = require('./capture');
+
+// brew install can take minutes per package; the exec default of 30s is far too short
+const BREW_TIMEOUT = 30 * 60 * 1000;
+// Python and Ruby versions are compiled from source
+const RUNTIME_TIMEOUT = 60 * 60 * 1000;
+
+// Outcome of every install step, for the final summary and --report (replaced in main)
+let applyReport = createApplyReport();
+
+/**
+ * Records one outcome per package for a batch command
+ * @param {string} step - Report step name
+ * @param {Array<string>} names - Packages in the batch
+ * @param {boolean|null} ok - Command result (null in dry-run mode)
+ */
+function recordBatch(step, names, ok) {
+  for (const name of names) {
+    if (ok === null) {
+      recordItem(applyReport, step, name, 'planned');
+    } else {
+      recordItem(applyReport, step, name, ok ? 'done' : 'failed', ok ? null : 'install command failed');
+    }
+  }
+}
+
+/**
+ * Records packages dropped by sanitization as skipped
+ * @param {string} step - Report step name
+ * @param {Array} packages - Captured packages (strings or objects with name)
+ * @param {Array<string>} safeNames - Names that passed sanitization
+ */
+function recordInvalid(step, packages, safeNames) {
+  for (const pkg of packages) {
+    const name = typeof pkg === 'string' ? pkg : pkg.name;
+    if (!safeNames.includes(name)) {
+      recordItem(applyReport, step, String(name), 'skipped', 'invalid name');
+    }
+  }
+}
+
+/**
+ * Captures what is already installed, prints the install plan and records present items
+ * @param {Object} setup - Setup being applied
+ * @param {Array<string>} sections - Sections to plan (homebrew, masApps, globalPackages)
+ * @param {Object} collectorOptions - Options for the capture collectors
+ * @param {boolean} pinVersions - Reinstall packages at a different version than captured
+ * @returns {Object} - Setup narrowed to the packages that still need installing
+ */
+function planPendingInstalls(setup, sections, collectorOptions, pinVersions) {
+  console.log('Checking what is already installed...');
+  const current = captureSetup(sections, collectorOptions);
+  const plan = planInstalls(setup, current, { sections, pinVersions });
+
+  console.log('\n=== Install Plan ===\n');
+  console.log(formatInstallPlan(plan) || 'Nothing to install');
+  console.log('');
+
+  const steps = { homebrew: group => group, masApps: () => 'masApps', globalPackages: () => 'globalPackages' };
+  for (const entry of plan) {
+    const step = steps[entry.section](entry.group);
+    const name = item => (entry.section === 'globalPackages' ? `${entry.group} ${item.name}` : item.name);
+    for (const item of entry.present) {
+      recordItem(applyReport, step, name(item), 'unchanged', 'already installed');
+    }
+    for (const item of entry.mismatched.filter(mismatch => !entry.install.includes(mismatch.key))) {
+      recordItem(applyReport, step, name(item), 'unchanged', `installed at ${item.installedVersion} (captured ${item.version})`);
+    }
+  }
+
+  return pendingSetup(setup, plan);
+}
+
+/**
+ * Narrows the setup to the items picked in the interactive checklist or a saved selection
+ * @param {Object} setup - Setup narrowed to what apply will act on
+ * @param {Array<string>} sections - Sections apply will act on
+ * @param {Object} options - Selection options
+ * @param {boolean} options.interactive - Ask in a checklist and save the answer
+ * @param {string} options.selectionFile - File to save to (interactive) or replay from
+ * @param {string} options.setupFile - Blueprint path, recorded in the saved selection
+ * @returns {Promise<Object>} - Setup with deselected items removed
+ */
+async function selectItems(setup, sections, options) {
+  const { interactive, setupFile } = options;
+  const selectionFile = options.selectionFile || 'apply-selection.json';
+  let selection;
+
+  if (interactive) {
+    console.log('\n=== Select Items ===');
+    selection = await promptSelection(selectionCandidates(setup, sections));
+    saveSelection(selectionFile, selection, { setupFile });
+    console.log(`\nSelection saved to: ${selectionFile} (replay with --selection ${selectionFile})\n`);
+  } else {
+    try {
+      selection = readSelection(selectionFile);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    console.log(`Applying saved selection from ${selectionFile}\n`);
+  }
+
+  const result = applySelection(setup, selection);
+  for (const item of result.deselected) {
+    const step = PACKAGE_MANAGERS[item.group] ? 'globalPackages' : item.group;
+    recordItem(applyReport, step, step === 'globalPackages' ? `${item.group} ${item.name}` : item.name, 'skipped', 'deselected');
+  }
+  return result.setup;
+}
 
 function checkHomebrew() {
   console.log('Checking Homebrew installation...');
@@ -33,52 +197,140 @@ return;
 
   if (safeTaps.length !== taps.length) {
     console.warn(`Warning: ${taps.length - safeTaps.length} invalid tap name(s) skipped`);
+    recordInvalid('taps', taps, safeTaps);
   }
 
   for (const tap of safeTaps) {
     console.log(`- ${dryRun ? 'Would tap' : 'Tapping'} ${tap}`);
     if (!dryRun) {
-      exec(`brew tap ${tap}`, { ignoreError: true });
+      recordBatch('taps', [tap], exec(`brew tap ${tap}`, { ignoreError: true }) !== null);
+    } else {
+      recordBatch('taps', [tap], null);
     }
   }
   console.log('');
 }
 
-function installFormulae(formulae, dryRun = false) {
+/**
+ * Looks up which Homebrew formulae exist and their current stable versions
+ * @param {Array<string>} specs - Formula names to look up versions for
+ * @returns {Object} - { available: Set of all formula names, stableVersions: Map of spec to version }
+ */
+function lookupFormulae(specs = []) {
+  const listing = exec('brew formulae', { silent: true, ignoreError: true }) || '';
+  const available = new Set(listing.split('\n').map(name => name.trim()).filter(Boolean));
+  const stableVersions = new Map();
+
+  const known = specs.filter(spec => available.has(spec));
+  for (let i = 0; i < known.length; i += 50) {
+    const output = exec(`brew info --json=v2 --formula ${known.slice(i, i + 50).join(' ')}`, {
+      silent: true,
+      ignoreError: true
+    });
+    try {
+      for (const formula of JSON.parse(output || '{}').formulae || []) {
+        stableVersions.set(formula.name, formula.versions && formula.versions.stable);
+      }
+    } catch (error) {
+      // Leave these formulae without a known version
+    }
+  }
+
+  return { available, stableVersions };
+}
+
+/**
+ * Maps captured formulae to the versioned formulae that best match their captured versions
+ * @param {Array<Object>} formulae - Captured formulae
+ * @returns {Array<Object>} - Pin entries from planFormulaPins, marked exact where Homebrew matches
+ */
+function pinFormulae(formulae) {
+  const { available, stableVersions: bareVersions } = lookupFormulae(formulae.map(formula => formula.name));
+  const pins = planFormulaPins(formulae, available, bareVersions);
+  const { stableVersions } = lookupFormulae(pins.map(pin => pin.spec));
+  return markExactFormulaPins(pins, stableVersions);
+}
+
+/**
+ * Installs formulae or casks in batches, retrying failed batches package by package
+ * @param {string} step - 'formulae' or 'casks'
+ * @param {Array<string>} names - Sanitized package names
+ * @param {number} batchSize - Packages per brew install command
+ */
+function installBrewPackages(step, names, batchSize) {
+  const command = step === 'casks' ? 'brew install --cask' : 'brew install';
+  const label = step === 'casks' ? 'cask' : 'formula';
+
+  const outcomes = installWithFallback(names, {
+    batchSize,
+    installBatch: batch => {
+      const ok = exec(`${command} ${batch.join(' ')}`, { ignoreError: true, timeout: BREW_TIMEOUT }) !== null;
+      if (!ok) {
+        console.log(`Batch failed, retrying its ${batch.length} package(s) one at a time...`);
+      }
+      return ok;
+    },
+    installOne: name => {
+      console.log(`  Retrying ${name}...`);
+      return execCapture(`${command} ${name}`, { timeout: BREW_TIMEOUT });
+    },
+    onBatch: (index, count) => {
+      if (count > 1) {
+        console.log(`Installing batch ${index + 1}/${count}...`);
+      }
+    }
+  });
+
+  for (const outcome of outcomes) {
+    if (outcome.status === 'installed') {
+      recordItem(applyReport, step, outcome.name, 'done');
+    } else if (outcome.status === 'already-installed') {
+      console.log(`  = ${outcome.name}: already installed`);
+      recordItem(applyReport, step, outcome.name, 'unchanged', outcome.message);
+    } else {
+      const kind = outcome.kind === 'unknown' ? `unknown ${label}` : outcome.kind;
+      console.log(`  ✗ ${outcome.name}: ${kind} (${outcome.message})`);
+      recordItem(applyReport, step, outcome.name, 'failed', `${kind}: ${outcome.message}`);
+    }
+  }
+}
+
+function installFormulae(formulae, dryRun = false, pinVersions = false) {
   if (formulae.length === 0) {
-return;
+return [];
 }
 
   console.log(`${dryRun ? 'Would install' : 'Installing'} ${formulae.length} Homebrew formulae...`);
 
+  let pins = [];
+  if (pinVersions) {
+    pins = pinFormulae(formulae);
+    formulae = pins.map(pin => ({ name: pin.spec }));
+    console.log(`Pinning versions: ${pins.filter(pin => pin.spec !== pin.name).length} versioned formula(e) selected`);
+  }
+
   // Sanitize and batch packages
   const safeNames = sanitizePackages(formulae, 'Homebrew formulae');
+  recordInvalid('formulae', formulae, safeNames);
 
   if (safeNames.length === 0) {
     console.warn('No valid formulae to install');
-    return;
+    return pins;
   }
 
   // Batch packages to avoid ARG_MAX limits (typical limit ~262KB)
   const BATCH_SIZE = 50;
-  const batches = [];
-  for (let i = 0; i < safeNames.length; i += BATCH_SIZE) {
-    batches.push(safeNames.slice(i, i + BATCH_SIZE));
-  }
 
   if (dryRun) {
-    console.log(`Would install in ${batches.length} batch(es)`);
+    console.log(`Would install in ${Math.ceil(safeNames.length / BATCH_SIZE)} batch(es)`);
     console.log(`Packages: ${safeNames.slice(0, 10).join(', ')}${safeNames.length > 10 ? '...' : ''}`);
+    recordBatch('formulae', safeNames, null);
   } else {
     console.log('This may take a while...\n');
-    for (let i = 0; i < batches.length; i++) {
-      if (batches.length > 1) {
-        console.log(`Installing batch ${i + 1}/${batches.length}...`);
-      }
-      exec(`brew install ${batches[i].join(' ')}`, { ignoreError: true });
-    }
+    installBrewPackages('formulae', safeNames, BATCH_SIZE);
   }
   console.log('');
+  return pins;
 }
 
 function installCasks(casks, dryRun = false) {
@@ -90,6 +342,7 @@ return;
 
   // Sanitize and batch packages
   const safeNames = sanitizePackages(casks, 'Homebrew casks');
+  recordInvalid('casks', casks, safeNames);
 
   if (safeNames.length === 0) {
     console.warn('No valid casks to install');
@@ -98,22 +351,14 @@ return;
 
   // Batch packages to avoid ARG_MAX limits
   const BATCH_SIZE = 30; // Smaller batch for casks as they're larger
-  const batches = [];
-  for (let i = 0; i < safeNames.length; i += BATCH_SIZE) {
-    batches.push(safeNames.slice(i, i + BATCH_SIZE));
-  }
 
   if (dryRun) {
-    console.log(`Would install in ${batches.length} batch(es)`);
+    console.log(`Would install in ${Math.ceil(safeNames.length / BATCH_SIZE)} batch(es)`);
     console.log(`Applications: ${safeNames.slice(0, 10).join(', ')}${safeNames.length > 10 ? '...' : ''}`);
+    recordBatch('casks', safeNames, null);
   } else {
     console.log('This may take a while...\n');
-    for (let i = 0; i < batches.length; i++) {
-      if (batches.length > 1) {
-        console.log(`Installing batch ${i + 1}/${batches.length}...`);
-      }
-      exec(`brew install --cask ${batches[i].join(' ')}`, { ignoreError: true });
-    }
+    installBrewPackages('casks', safeNames, BATCH_SIZE);
   }
   console.log('');
 }
@@ -184,9 +429,9 @@ function reportHomeBin(homeBin) {
   console.log('');
 }
 
-function reportGithubRepos(githubRepos) {
+function reportGithubRepos(githubRepos, cloning = false) {
   if (!githubRepos || githubRepos.length === 0) {
-    console.log('\n~/Documents/github: No repositories found');
+    console.log('\nRepositories: No repositories found');
     return;
   }
 
@@ -199,17 +444,31 @@ function reportGithubRepos(githubRepos) {
   if (gitRepos.length > 0) {
     console.log('\nGit repositories:');
     for (const repo of gitRepos) {
-      console.log(`  - ${repo.name}`);
-      if (repo.remoteUrl) {
+      console.log(`  - ${repo.name}${repo.kind === 'worktree' ? ' (worktree)' : ''}`);
+      if (repo.remotes && repo.remotes.length > 1) {
+        for (const remote of repo.remotes) {
+          console.log(`    Remote ${remote.name}: ${remote.url}`);
+        }
+      } else if (repo.remoteUrl) {
         console.log(`    Remote: ${repo.remoteUrl}`);
       }
       if (repo.branch) {
         console.log(`    Branch: ${repo.branch}`);
       }
-      if (repo.hasUncommittedChanges) {
-        console.log('    Status: Has uncommitted changes');
+      if (repo.submodules && repo.submodules.length > 0) {
+        console.log(`    Submodules: ${repo.submodules.map(sub => sub.path).join(', ')}`);
+      }
+      const risks = getRepoRisks(repo);
+      if (risks.length > 0) {
+        console.log(`    ⚠️  Unsafe at capture time: ${risks.join('; ')}`);
       }
     }
+
+    const unsafe = gitRepos.filter(repo => getRepoRisks(repo).length > 0);
+    if (unsafe.length > 0) {
+      console.log(`\n⚠️  ${unsafe.length} repositor${unsafe.length === 1 ? 'y' : 'ies'} had work that was not pushed when captured;`);
+      console.log('   recover it from the old machine or a backup before wiping it');
+    }
   }
 
   if (nonGit.length > 0) {
@@ -219,107 +478,191 @@ function reportGithubRepos(githubRepos) {
     }
   }
 
-  console.log('\nAction required: Clone repositories to ~/Documents/github');
+  if (!cloning) {
+    console.log('\nAction required: Clone repositories to their original locations');
+    console.log('(or re-run with --clone-repos to clone them automatically)');
+  }
   console.log('');
 }
 
-function reportGlobalPackages(globalPackages, install = false, dryRun = false) {
-  if (!globalPackages) {
+async function cloneGithubRepos(githubRepos, dryRun = false, concurrency = 4) {
+  if (!githubRepos || githubRepos.length === 0) {
     return;
   }
 
-  const { npm = [], bun = [], dart = [], ruby = [] } = globalPackages;
+  console.log(`${dryRun ? 'Would clone' : 'Cloning'} repositories (up to ${concurrency} at a time)...`);
+  const result = await cloneRepositories(githubRepos, { dryRun, concurrency });
+  const cloneStatuses = { cloned: 'done', 'would-clone': 'planned', exists: 'unchanged', failed: 'failed' };
+
+  for (const repo of result.repos) {
+    const status = cloneStatuses[repo.status] || 'skipped';
+    recordItem(applyReport, 'githubRepos', repo.name, status, status === 'failed' ? repo.error : (status === 'skipped' ? repo.status : null));
+
+    if (repo.status === 'cloned') {
+      console.log(`  ✓ ${repo.name} → ${repo.path}${repo.branch ? ` (${repo.branch})` : ''}`);
+      if (repo.warning) {
+        console.log(`    ⚠️  ${repo.warning}`);
+      }
+    } else if (repo.status === 'would-clone') {
+      console.log(`  + Would clone: ${repo.remoteUrl} → ${repo.path}`);
+    } else if (repo.status === 'exists') {
+      console.log(`  = ${repo.name}: ${repo.path} already exists, skipped`);
+    } else if (repo.status === 'worktree') {
+      console.log(`  - ${repo.name}: worktree of ${repo.mainRepo || 'another repo'}, skipped`);
+    } else if (repo.status === 'no-remote') {
+      console.log(`  - ${repo.name}: no remote URL, skipped`);
+    } else {
+      console.log(`  ✗ ${repo.name}: ${repo.error}`);
+    }
+  }
+
+  const dirty = githubRepos.filter(r => getRepoRisks(r).length > 0);
+  if (dirty.length > 0) {
+    console.log('\n⚠️  These repos had unpushed work at capture time; that work is not in the clone:');
+    for (const repo of dirty) {
+      console.log(`  - ${repo.name}: ${getRepoRisks(repo).join('; ')}`);
+    }
+  }
 
-  if (npm.length === 0 && bun.length === 0 && dart.length === 0 && ruby.length === 0) {
+  console.log(`\nRepositories: ${result.cloned} ${dryRun ? 'would be cloned' : 'cloned'}, ${result.skipped} skipped, ${result.failed} failed`);
+  console.log('');
+}
+
+function reportGlobalPackages(globalPackages, install = false, dryRun = false, pinVersions = false) {
+  if (!globalPackages) {
+    return [];
+  }
+
+  const managers = Object.keys(PACKAGE_MANAGERS).filter(manager => (globalPackages[manager] || []).length > 0);
+
+  if (managers.length === 0) {
     console.log('\nGlobal Packages: None found');
-    return;
+    return [];
+  }
+
+  if (pinVersions) {
+    return reportPinnedGlobalPackages(globalPackages, install, dryRun);
   }
 
   console.log('\nGlobal Packages:');
   console.log('----------------');
 
-  if (npm.length > 0) {
-    console.log(`\nNPM global packages (${npm.length}):`);
-    for (const pkg of npm) {
-      console.log(`  - ${pkg.name}@${pkg.version}`);
+  for (const manager of managers) {
+    const { label } = PACKAGE_MANAGERS[manager];
+    const packages = globalPackages[manager];
+    console.log(`\n${label} (${packages.length}):`);
+    for (const pkg of packages) {
+      console.log(`  - ${pkg.name} ${pkg.version || ''}`.trimEnd());
     }
 
+    const safeNames = sanitizePackages(packages, label);
+    const commands = installCommands(manager, safeNames.map(name => ({ name, arg: latestArg(manager, name) })));
+    const names = entries => entries.map(entry => `${manager} ${entry.name}`);
+
     if (install && dryRun) {
-      console.log('\nWould install NPM global packages');
-      const names = npm.map(p => p.name).join(' ');
-      console.log(`Command: npm install -g ${names}`);
+      console.log(`\nWould install ${label}`);
+      for (const { command, entries } of commands) {
+        console.log(`Command: ${command}`);
+        recordBatch('globalPackages', names(entries), null);
+      }
     } else if (install) {
-      console.log('\nInstalling NPM global packages...');
-      const names = npm.map(p => p.name).join(' ');
-      exec(`npm install -g ${names}`, { ignoreError: true });
+      console.log(`\nInstalling ${label}...`);
+      for (const { command, entries } of commands) {
+        recordBatch('globalPackages', names(entries), exec(command, { ignoreError: true }) !== null);
+      }
     } else {
-      console.log('\nTo install: npm install -g ' + npm.map(p => p.name).join(' '));
+      for (const { command } of commands) {
+        console.log(`To install: ${command}`);
+      }
+    }
+    if (install) {
+      recordInvalid('globalPackages', packages.map(pkg => `${manager} ${pkg.name}`), safeNames.map(name => `${manager} ${name}`));
     }
   }
 
-  if (bun.length > 0) {
-    console.log(`\nBun global packages (${bun.length}):`);
-    for (const pkg of bun) {
-      console.log(`  - ${pkg.name}@${pkg.version}`);
-    }
+  console.log('');
+  return [];
+}
 
-    if (install && dryRun) {
-      console.log('\nWould install Bun global packages');
-      const names = bun.map(p => p.name).join(' ');
-      console.log(`Command: bun install -g ${names}`);
-    } else if (install) {
-      console.log('\nInstalling Bun global packages...');
-      const names = bun.map(p => p.name).join(' ');
-      exec(`bun install -g ${names}`, { ignoreError: true });
-    } else {
-      console.log('\nTo install: bun install -g ' + bun.map(p => p.name).join(' '));
+/**
+ * Reports and installs global packages at their captured versions
+ * @param {Object} globalPackages - Captured globalPackages section
+ * @param {boolean} install - Run the install commands
+ * @param {boolean} dryRun - Preview mode
+ * @returns {Array<Object>} - Pin entries from planGlobalPackagePins
+ */
+function reportPinnedGlobalPackages(globalPackages, install, dryRun) {
+  const pins = planGlobalPackagePins(globalPackages);
+
+  console.log('\nGlobal Packages (pinned to captured versions):');
+  console.log('----------------------------------------------');
+
+  for (const [manager, { label }] of Object.entries(PACKAGE_MANAGERS)) {
+    const managerPins = pins.filter(pin => pin.manager === manager);
+    if (managerPins.length === 0) {
+      continue;
     }
-  }
 
-  if (dart.length > 0) {
-    console.log(`\nDart global packages (${dart.length}):`);
-    for (const pkg of dart) {
-      console.log(`  - ${pkg.name} ${pkg.version}`);
+    console.log(`\n${label} (${managerPins.length}):`);
+    for (const pin of managerPins) {
+      console.log(`  - ${pin.name} ${pin.version || '(latest)'}`);
     }
 
-    if (install && dryRun) {
-      console.log('\nWould install Dart global packages');
-      for (const pkg of dart) {
-        console.log(`Command: dart pub global activate ${pkg.name}`);
-      }
-    } else if (install) {
-      console.log('\nInstalling Dart global packages...');
-      for (const pkg of dart) {
-        exec(`dart pub global activate ${pkg.name}`, { ignoreError: true });
+    const commands = globalPinCommands(manager, managerPins);
+    if (install && !dryRun) {
+      console.log(`\nInstalling ${label}...`);
+      for (const { command, entries } of commands) {
+        if (exec(command, { ignoreError: true }) === null) {
+          entries.forEach(pin => {
+            pin.status = 'failed';
+            pin.reason = `${command} failed`;
+          });
+        }
       }
     } else {
-      console.log('\nTo install: dart pub global activate <package_name>');
-    }
-  }
-
-  if (ruby.length > 0) {
-    console.log(`\nRuby gems (${ruby.length}):`);
-    for (const pkg of ruby) {
-      console.log(`  - ${pkg.name} (${pkg.version})`);
+      for (const { command } of commands) {
+        console.log(`${dryRun && install ? 'Command' : 'To install'}: ${command}`);
+      }
     }
 
-    if (install && dryRun) {
-      console.log('\nWould install Ruby gems');
-      const names = ruby.map(p => p.name).join(' ');
-      console.log(`Command: gem install ${names}`);
-    } else if (install) {
-      console.log('\nInstalling Ruby gems...');
-      const names = ruby.map(p => p.name).join(' ');
-      exec(`gem install ${names}`, { ignoreError: true });
-    } else {
-      console.log('\nTo install: gem install ' + ruby.map(p => p.name).join(' '));
+    if (install) {
+      for (const pin of managerPins) {
+        const name = `${manager} ${pin.name}`;
+        if (pin.status === 'invalid') {
+          recordItem(applyReport, 'globalPackages', name, 'skipped', pin.reason);
+        } else if (pin.status === 'failed') {
+          recordItem(applyReport, 'globalPackages', name, 'failed', pin.reason);
+        } else {
+          recordItem(applyReport, 'globalPackages', name, dryRun ? 'planned' : 'done');
+        }
+      }
     }
   }
 
   console.log('');
+  return pins;
+}
+
+/**
+ * Lists packages whose captured version could not be installed exactly
+ * @param {Array<Object>} pins - Formula and global package pin entries
+ */
+function reportPinning(pins) {
+  const inexact = pins.filter(pin => pin.status !== 'exact');
+
+  console.log('\nVersion Pinning:');
+  console.log('----------------');
+  console.log(`${pins.length - inexact.length} of ${pins.length} package(s) pinned to the exact captured version`);
+
+  for (const pin of inexact) {
+    const label = pin.manager ? `${pin.manager} ${pin.name}` : pin.name;
+    const target = pin.spec && pin.spec !== pin.name ? ` → ${pin.spec}` : '';
+    console.log(`  ~ ${label}${target}: captured ${pin.captured || 'unknown'}, ${pin.reason}`);
+  }
+  console.log('Homebrew casks and Mac App Store apps always install their latest version');
 }
 
-function reportShellConfigs(shellConfigs) {
+function reportShellConfigs(shellConfigs, restore = false, dryRun = false, allowRedacted = false) {
   if (!shellConfigs || shellConfigs.length === 0) {
     console.log('\nShell Configuration: No files found');
     return;
@@ -332,12 +675,24 @@ function reportShellConfigs(shellConfigs) {
     console.log(`  - ${config.name} (${config.lines} lines, ${config.size} bytes)`);
   }
 
-  console.log('\nAction required: Restore shell configuration files from backup');
-  console.log('These files are included in the JSON for reference');
+  if (restore) {
+    console.log(`\n${dryRun ? 'Would restore' : 'Restoring'} shell configuration files to ${process.env.HOME}...`);
+    const result = restoreShellConfigs(shellConfigs, { dryRun, allowRedacted });
+    const fileStatuses = { written: 'done', 'would-write': 'planned', unchanged: 'unchanged', failed: 'failed' };
+    for (const file of result.files) {
+      const status = fileStatuses[file.status] || 'skipped';
+      recordItem(applyReport, 'shellConfigs', file.name, status, status === 'skipped' ? file.status : file.error);
+    }
+    console.log(`\nShell configs: ${result.restored} ${dryRun ? 'would be written' : 'restored'}, ${result.unchanged} unchanged, ${result.skipped} skipped, ${result.failed} failed`);
+  } else {
+    console.log('\nAction required: Restore shell configuration files from backup');
+    console.log('These files are included in the JSON for reference');
+    console.log('(or re-run with --restore-shell-configs to write them to your home directory)');
+  }
   console.log('');
 }
 
-function reportGitConfig(gitConfig) {
+function reportGitConfig(gitConfig, apply = false, dryRun = false, policy = 'keep-local') {
   if (!gitConfig) {
     return;
   }
@@ -360,21 +715,88 @@ console.log(`  Email: ${gitConfig.user.email}`);
   }
 
   console.log(`\nTotal config entries: ${gitConfig.settings.length}`);
-  console.log('\nAction required: Review and restore git configuration');
-  console.log('Run: git config --global user.name "Your Name"');
-  console.log('     git config --global user.email "your@email.com"');
+
+  if (apply) {
+    console.log(`\n${dryRun ? 'Would apply' : 'Applying'} git configuration (conflict policy: ${policy})...`);
+    const result = applyGitConfig(gitConfig, { policy, dryRun });
+    printGitConfigTable(result.plan);
+    for (const entry of result.plan) {
+      if (entry.status === 'failed') {
+        recordItem(applyReport, 'gitConfig', entry.key, 'failed', 'git config failed');
+      } else if (entry.action === 'add' || entry.action === 'replace') {
+        recordItem(applyReport, 'gitConfig', entry.key, dryRun ? 'planned' : 'done');
+      } else if (entry.action === 'none') {
+        recordItem(applyReport, 'gitConfig', entry.key, 'unchanged');
+      } else {
+        recordItem(applyReport, 'gitConfig', entry.key, 'skipped', entry.status === 'redacted' ? 'redacted' : 'kept local value');
+      }
+    }
+    if (result.gitignore) {
+      const gitignoreStatuses = { written: 'done', 'would-write': 'planned', unchanged: 'unchanged', failed: 'failed' };
+      const status = gitignoreStatuses[result.gitignore.status] || 'skipped';
+      recordItem(applyReport, 'gitConfig', '.gitignore_global', status, result.gitignore.error || (status === 'skipped' ? result.gitignore.status : null));
+      const backup = result.gitignore.backup ? ` (backup: ${result.gitignore.backup})` : '';
+      console.log(`\nGlobal gitignore: ${result.gitignore.status} ${result.gitignore.path}${backup}`);
+    }
+
+    const count = status => result.plan.filter(entry => entry.status === status).length;
+    console.log(`\nGit config: ${count('unchanged')} unchanged, ${count('added')} added, ${count('conflict')} conflicting, ${count('redacted')} redacted, ${result.failed} failed`);
+    if (count('conflict') > 0 && policy === 'keep-local') {
+      console.log('Conflicting keys kept their local values (use --git-policy prefer-captured to overwrite)');
+    }
+  } else {
+    console.log('\nAction required: Review and restore git configuration');
+    console.log('Run: git config --global user.name "Your Name"');
+    console.log('     git config --global user.email "your@email.com"');
+    console.log('(or re-run with --apply-git-config to replay the captured settings)');
+  }
+  console.log('');
+}
+
+function printGitConfigTable(plan) {
+  if (plan.length === 0) {
+    return;
+  }
+
+  const keyWidth = Math.min(40, Math.max(...plan.map(entry => entry.key.length)));
+  console.log('');
+  console.log(`  ${'Status'.padEnd(10)} ${'Key'.padEnd(keyWidth)}  Action   Captured → Local`);
+  for (const entry of plan) {
+    const values = entry.status === 'unchanged'
+      ? entry.captured.join(', ')
+      : `${entry.captured.join(', ')} → ${entry.local.join(', ') || '(unset)'}`;
+    console.log(`  ${entry.status.padEnd(10)} ${entry.key.padEnd(keyWidth)}  ${entry.action.padEnd(7)}  ${values}`);
+  }
+}
+
+function reportRedactions(redactionManifest) {
+  if (!redactionManifest || redactionManifest.length === 0) {
+    return;
+  }
+
+  console.log('\nRedacted Secrets:');
+  console.log('-----------------');
+  console.log('These values were removed at capture time and must be re-entered:');
+
+  for (const entry of redactionManifest) {
+    console.log(`\n  ${entry.file} (${entry.total} value(s)):`);
+    for (const redaction of entry.redactions) {
+      const key = redaction.key ? ` ${redaction.key}` : '';
+      console.log(`    - line ${redaction.line}: ${redaction.type}${key} (${redaction.count}x)`);
+    }
+  }
+
   console.log('');
 }
 
-function reportVersionManagers(versionManagers) {
+function reportVersionManagers(versionManagers, install = false, dryRun = false) {
   if (!versionManagers) {
     return;
   }
 
-  const { nvm, pyenv, rbenv } = versionManagers;
-  const hasAny = nvm.installed || pyenv.installed || rbenv.installed;
+  const managers = Object.keys(RUNTIME_MANAGERS).filter(manager => versionManagers[manager] && versionManagers[manager].installed);
 
-  if (!hasAny) {
+  if (managers.length === 0) {
     console.log('\nVersion Managers: None found');
     return;
   }
@@ -382,27 +804,277 @@ function reportVersionManagers(versionManagers) {
   console.log('\nVersion Managers:');
   console.log('-----------------');
 
-  if (nvm.installed) {
-    console.log('\nnvm (Node Version Manager):');
-    console.log(`  Installed versions: ${nvm.versions.join(', ') || 'none'}`);
-    console.log('  To install: curl -o- https://raw.githubusercontent.com/nvm-sh/nvm/v0.39.0/install.sh | bash');
+  for (const manager of managers) {
+    const { versions, default: defaultVersion } = versionManagers[manager];
+    console.log(`\n${RUNTIME_MANAGERS[manager].label}:`);
+    console.log(`  Installed versions: ${versions.join(', ') || 'none'}`);
+    if (defaultVersion) {
+      console.log(`  Default version: ${defaultVersion}`);
+    }
+    if (!install) {
+      console.log(`  To install: ${RUNTIME_MANAGERS[manager].installManager}`);
+    }
+  }
+
+  if (install) {
+    restoreRuntimes('versionManagers', planRuntimeInstalls(versionManagers, getVersionManagers()), dryRun);
+  } else {
+    console.log('\n(or re-run with --install-runtimes to install the managers, every captured version and the defaults)');
+  }
+
+  console.log('');
+}
+
+/**
+ * Runs the steps that install missing managers, plugins, runtime versions and defaults
+ * @param {string} section - Report step (versionManagers or toolManagers)
+ * @param {Array<Object>} steps - Steps from planRuntimeInstalls or planToolManagerInstalls
+ * @param {boolean} dryRun - Preview mode
+ */
+function restoreRuntimes(section, steps, dryRun) {
+  console.log(`\n${dryRun ? 'Would install' : 'Installing'} runtimes...`);
+  const failedManagers = new Set();
+
+  for (const step of steps) {
+    if (step.status === 'present') {
+      console.log(`  = ${step.name} (already installed)`);
+      recordItem(applyReport, section, step.name, 'unchanged', 'already installed');
+    } else if (step.status === 'invalid') {
+      console.log(`  ✗ ${step.name}: ${step.reason}`);
+      recordItem(applyReport, section, step.name, 'skipped', step.reason);
+    } else if (dryRun) {
+      console.log(`  + ${step.name}: ${step.command}`);
+      recordItem(applyReport, section, step.name, 'planned', step.version ? `release ${step.version}` : null);
+    } else if (failedManagers.has(step.manager)) {
+      recordItem(applyReport, section, step.name, 'failed', `${step.manager} could not be installed`);
+    } else {
+      const release = step.version ? ` ${step.version}` : '';
+      console.log(`  Installing ${step.name}${release}...`);
+      const ok = exec(step.command, { ignoreError: true, timeout: RUNTIME_TIMEOUT }) !== null;
+      console.log(`  ${ok ? '✓' : '✗'} ${step.name}${release}`);
+      const reason = ok ? (step.version ? `release ${step.version}` : null) : `${step.command} failed`;
+      recordItem(applyReport, section, step.name, ok ? 'done' : 'failed', reason);
+      if (!ok && step.kind === 'manager') {
+        failedManagers.add(step.manager);
+      }
+    }
   }
+}
 
-  if (pyenv.installed) {
-    console.log('\npyenv (Python Version Manager):');
-    console.log(`  Installed versions: ${pyenv.versions.join(', ') || 'none'}`);
-    console.log('  To install: brew install pyenv');
+function reportToolManagers(toolManagers, install = false, dryRun = false) {
+  if (!toolManagers) {
+    return;
   }
 
-  if (rbenv.installed) {
-    console.log('\nrbenv (Ruby Version Manager):');
-    console.log(`  Installed versions: ${rbenv.versions.join(', ') || 'none'}`);
-    console.log('  To install: brew install rbenv');
+  const managers = Object.keys(TOOL_MANAGERS).filter(manager => toolManagers[manager] && toolManagers[manager].installed);
+
+  if (managers.length === 0) {
+    console.log('\nTool Managers: None found');
+    return;
+  }
+
+  console.log('\nTool Managers:');
+  console.log('--------------');
+
+  for (const manager of managers) {
+    const { plugins, tools = {} } = toolManagers[manager];
+    console.log(`\n${TOOL_MANAGERS[manager].label}:`);
+    if (plugins) {
+      console.log(`  Plugins: ${plugins.join(', ') || 'none'}`);
+    }
+    for (const [tool, entry] of Object.entries(tools)) {
+      const defaultVersion = entry.default ? ` (default: ${entry.default})` : '';
+      console.log(`  ${tool}: ${(entry.versions || []).join(', ') || 'none'}${defaultVersion}`);
+    }
+    if (!install) {
+      console.log(`  To install: ${TOOL_MANAGERS[manager].installManager}`);
+    }
+  }
+
+  if (install) {
+    restoreRuntimes('toolManagers', planToolManagerInstalls(toolManagers, getToolManagers()), dryRun);
+  } else {
+    console.log('\n(or re-run with --install-runtimes to install the managers, plugins, every captured version and the defaults)');
   }
 
   console.log('');
 }
 
+function reportToolVersionFiles(toolVersionFiles, restore = false, dryRun = false) {
+  if (!toolVersionFiles || toolVersionFiles.length === 0) {
+    return;
+  }
+
+  console.log(`\nPer-repo Version Files (${toolVersionFiles.length} found):`);
+  console.log('--------------------------------------');
+
+  if (!restore) {
+    for (const file of toolVersionFiles) {
+      console.log(`  - ${file.name}`);
+    }
+    console.log('\n(or re-run with --install-runtimes to write the files missing from cloned repositories)');
+    console.log('');
+    return;
+  }
+
+  const fileStatuses = { written: 'done', 'would-write': 'planned', unchanged: 'unchanged', failed: 'failed' };
+  const reasons = {
+    differs: 'repository has a different version of the file',
+    'no-repo': 'repository not found',
+    redacted: 'contains [REDACTED] values',
+    invalid: 'invalid path or missing content'
+  };
+  const marks = { done: '✓', planned: '+', unchanged: '=', failed: '✗', skipped: '-' };
+  for (const file of restoreToolVersionFiles(toolVersionFiles, { dryRun })) {
+    const status = fileStatuses[file.status] || 'skipped';
+    const reason = status === 'skipped' ? reasons[file.status] : file.error;
+    console.log(`  ${marks[status]} ${file.name}${reason ? `: ${reason}` : ''}`);
+    recordItem(applyReport, 'toolVersionFiles', file.name, status, reason);
+  }
+  console.log('');
+}
+
+/**
+ * Reports captured editors and optionally installs their extensions and writes their settings
+ * @param {Object} editors - Captured editors section
+ * @param {Object} options - What to restore
+ * @param {boolean} options.installExtensions - Install extensions missing from this machine
+ * @param {boolean} options.restoreSettings - Write settings.json and keybindings.json (existing files are backed up)
+ * @param {boolean} options.dryRun - Preview mode
+ * @param {boolean} options.allowRedacted - Write files that still contain [REDACTED] markers
+ * @param {boolean} options.pinVersions - Install the captured extension versions
+ */
+function reportEditors(editors, options = {}) {
+  const { installExtensions = false, restoreSettings = false, dryRun = false, allowRedacted = false, pinVersions = false } = options;
+  if (!editors) {
+    return;
+  }
+
+  const installed = Object.keys(EDITORS).filter(editor => editors[editor] && editors[editor].installed);
+  if (installed.length === 0) {
+    console.log('\nEditors: None found');
+    return;
+  }
+
+  console.log('\nEditors:');
+  console.log('--------');
+
+  for (const editor of installed) {
+    const { extensions = [], files = [] } = editors[editor];
+    console.log(`\n${EDITORS[editor].label}:`);
+    console.log(`  Extensions (${extensions.length}): ${extensions.map(extension => extension.name).join(', ') || 'none'}`);
+    console.log(`  Settings files: ${files.map(file => file.name).join(', ') || 'none'}`);
+  }
+
+  if (installExtensions) {
+    console.log(`\n${dryRun ? 'Would install' : 'Installing'} editor extensions...`);
+    const available = Object.keys(EDITORS).filter(editor => execSilent(`command -v ${EDITORS[editor].cli}`) !== null);
+    for (const step of planExtensionInstalls(editors, getEditors(), { available, pinVersions })) {
+      if (step.status === 'present') {
+        recordItem(applyReport, 'editors', step.name, 'unchanged', 'already installed');
+      } else if (step.status !== 'pending') {
+        console.log(`  ✗ ${step.name}: ${step.reason}`);
+        recordItem(applyReport, 'editors', step.name, 'skipped', step.reason);
+      } else if (dryRun) {
+        console.log(`  + ${step.name}: ${step.command}`);
+        recordItem(applyReport, 'editors', step.name, 'planned');
+      } else {
+        const ok = exec(step.command, { ignoreError: true, timeout: 5 * 60 * 1000 }) !== null;
+        console.log(`  ${ok ? '✓' : '✗'} ${step.name}`);
+        recordItem(applyReport, 'editors', step.name, ok ? 'done' : 'failed', ok ? null : `${step.command} failed`);
+      }
+    }
+  }
+
+  if (restoreSettings) {
+    console.log(`\n${dryRun ? 'Would restore' : 'Restoring'} editor settings to ${process.env.HOME}...`);
+    const targets = installed.flatMap(editor => (editors[editor].files || []).map(file => ({
+      label: `${editor} ${file.name}`,
+      name: editorFilePath(editor, file.name),
+      content: file.content
+    })));
+    const result = restoreShellConfigs(targets, { dryRun, allowRedacted });
+    const fileStatuses = { written: 'done', 'would-write': 'planned', unchanged: 'unchanged', failed: 'failed' };
+    result.files.forEach((file, index) => {
+      const status = fileStatuses[file.status] || 'skipped';
+      recordItem(applyReport, 'editors', targets[index].label, status, status === 'skipped' ? file.status : file.error);
+    });
+  }
+
+  if (!installExtensions && !restoreSettings) {
+    console.log('\n(re-run with --install-extensions and --restore-editor-settings to restore extensions and settings)');
+  }
+  console.log('');
+}
+
+/**
+ * Reports captured macOS defaults and optionally writes the ones that differ from this Mac
+ * @param {Array<Object>} macosDefaults - Captured macosDefaults entries
+ * @param {Object} options - Apply options
+ * @param {boolean} options.apply - Write the defaults and restart Dock, Finder and SystemUIServer as needed
+ * @param {boolean} options.dryRun - Preview mode
+ * @param {Object} options.allowlist - Domains and keys that may be written (from mergeAllowlist)
+ */
+function reportMacosDefaults(macosDefaults, options = {}) {
+  const { apply = false, dryRun = false, allowlist = mergeAllowlist() } = options;
+  if (!macosDefaults || macosDefaults.length === 0) {
+    console.log('\nmacOS Defaults: None found');
+    return;
+  }
+
+  console.log(`\nmacOS Defaults (${macosDefaults.length} found):`);
+  console.log('---------------');
+
+  if (!apply) {
+    for (const entry of macosDefaults) {
+      console.log(`  ${formatDefaultsCommand(entry)}`);
+    }
+    console.log('\n(re-run with --apply-defaults to write these settings)');
+    console.log('');
+    return;
+  }
+
+  const plan = planDefaultsWrites(macosDefaults, readDefaults(allowlist), allowlist);
+  for (const item of plan) {
+    if (item.status === 'unchanged') {
+      recordItem(applyReport, 'macosDefaults', item.name, 'unchanged', 'already set');
+    } else if (item.status === 'skipped') {
+      console.log(`  ✗ ${item.name}: ${item.reason}`);
+      recordItem(applyReport, 'macosDefaults', item.name, 'skipped', item.reason);
+    }
+  }
+
+  const { results, restarts } = applyDefaults(plan, { allowlist, dryRun });
+  for (const result of results) {
+    if (result.status === 'would-write') {
+      console.log(`  + ${formatDefaultsCommand(result.entry)}`);
+      recordItem(applyReport, 'macosDefaults', result.name, 'planned');
+    } else if (result.status === 'written') {
+      console.log(`  ✓ ${formatDefaultsCommand(result.entry)}`);
+      recordItem(applyReport, 'macosDefaults', result.name, 'done');
+    } else {
+      console.log(`  ✗ ${result.name}: ${result.error}`);
+      recordItem(applyReport, 'macosDefaults', result.name, 'failed', result.error);
+    }
+  }
+  if (results.length === 0) {
+    console.log('  All captured defaults are already set');
+  }
+  if (dryRun) {
+    const pending = new Set(results.map(result => allowlist[result.entry.domain].restart).filter(Boolean));
+    if (pending.size > 0) {
+      console.log(`  Would restart: ${Array.from(pending).join(', ')}`);
+    }
+  }
+  for (const restart of restarts) {
+    console.log(`  ↻ ${restart.process}: ${restart.status}`);
+  }
+  if (results.some(result => result.entry.domain === 'NSGlobalDomain' && result.status === 'written')) {
+    console.log('  Log out and back in for keyboard and global settings to take effect');
+  }
+  console.log('');
+}
+
 function reportMenubarConfig(menubarConfig) {
   if (!menubarConfig) {
     return;
@@ -463,14 +1135,40 @@ function reportMenubarConfig(menubarConfig) {
   console.log('');
 }
 
-function main() {
+async function main() {
   const args = process.argv.slice(2);
 
+  let config;
+  try {
+    config = resolveConfig(args).config;
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  // Config file defaults; command-line flags override them
   let setupFile = null;
-  let installGlobalPackages = false;
-  let installMas = false;
+  let installGlobalPackages = config.apply.installGlobalPackages || false;
+  let installMas = config.apply.installMas || false;
   let dryRun = false;
-  let verify = false;
+  let verify = config.apply.verify || false;
+  let restoreShell = config.apply.restoreShellConfigs || false;
+  let allowRedacted = config.apply.allowRedacted || false;
+  let applyGit = config.apply.applyGitConfig || false;
+  let gitPolicy = config.apply.gitPolicy || 'keep-local';
+  let cloneRepos = config.apply.cloneRepos || false;
+  let cloneConcurrency = config.apply.cloneConcurrency || 4;
+  let pinVersions = config.apply.pinVersions || false;
+  let installRuntimes = config.apply.installRuntimes || false;
+  let installExtensions = config.apply.installExtensions || false;
+  let restoreEditorSettings = config.apply.restoreEditorSettings || false;
+  let applyMacosDefaults = config.apply.applyDefaults || false;
+  let reinstall = false;
+  let interactive = false;
+  let selectionFile = null;
+  let reportFile = null;
+  let only = null;
+  let skip = config.skip;
 
   // Parse arguments
   for (let i = 0; i < args.length; i++) {
@@ -482,14 +1180,92 @@ function main() {
       dryRun = true;
     } else if (args[i] === '--verify') {
       verify = true;
+    } else if (args[i] === '--restore-shell-configs') {
+      restoreShell = true;
+    } else if (args[i] === '--allow-redacted') {
+      allowRedacted = true;
+    } else if (args[i] === '--apply-git-config') {
+      applyGit = true;
+    } else if (args[i] === '--clone-repos') {
+      cloneRepos = true;
+    } else if (args[i] === '--pin-versions') {
+      pinVersions = true;
+    } else if (args[i] === '--install-runtimes') {
+      installRuntimes = true;
+    } else if (args[i] === '--install-extensions') {
+      installExtensions = true;
+    } else if (args[i] === '--restore-editor-settings') {
+      restoreEditorSettings = true;
+    } else if (args[i] === '--apply-defaults') {
+      applyMacosDefaults = true;
+    } else if (args[i] === '--reinstall') {
+      reinstall = true;
+    } else if (args[i] === '--interactive') {
+      interactive = true;
+    } else if (args[i] === '--selection') {
+      selectionFile = args[++i];
+      if (!selectionFile) {
+        console.error('Missing file for --selection');
+        process.exit(1);
+      }
+    } else if (args[i] === '--clone-concurrency') {
+      cloneConcurrency = parseInt(args[++i], 10);
+      if (!(cloneConcurrency > 0)) {
+        console.error('Invalid --clone-concurrency: expected a positive number');
+        process.exit(1);
+      }
+    } else if (args[i] === '--git-policy') {
+      gitPolicy = args[++i];
+    } else if (args[i] === '--report') {
+      reportFile = args[++i];
+      if (!reportFile) {
+        console.error('Missing file for --report');
+        process.exit(1);
+      }
+    } else if (args[i] === '--config') {
+      i++;
+    } else if (args[i] === '--only' || args[i] === '--skip') {
+      try {
+        const list = parseSectionList(args[i + 1]);
+        if (args[i] === '--only') {
+          only = list;
+        } else {
+          skip = list;
+        }
+      } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+      }
+      i++;
     } else if (args[i] === '--help' || args[i] === '-h') {
       console.log('Usage: node apply.js <mac-setup.json> [options]');
       console.log('');
       console.log('Options:');
-      console.log('  --install-global-packages  Automatically install npm, bun, dart, ruby packages');
+      console.log(`  --install-global-packages  Automatically install ${Object.keys(PACKAGE_MANAGERS).join(', ')} packages`);
       console.log('  --install-mas              Automatically install Mac App Store apps (requires mas CLI)');
+      console.log('  --install-runtimes         Install nvm/pyenv/rbenv and asdf/mise/fnm/volta/rustup/goenv, every captured');
+      console.log('                             runtime version and the defaults, and write missing per-repo version files');
       console.log('  --dry-run                  Show what would be done without making changes');
-      console.log('  --verify                   Verify installations after applying');
+      console.log('  --verify                   Check every package, app and runtime after applying (pass/fail matrix)');
+      console.log('  --restore-shell-configs    Write captured shell configs to $HOME (existing files are backed up)');
+      console.log('  --install-extensions       Install VS Code, Cursor and VSCodium extensions missing from this Mac');
+      console.log('  --restore-editor-settings  Write captured editor settings.json/keybindings.json (existing files are backed up)');
+      console.log('  --apply-defaults           Write captured Dock, Finder, keyboard and screenshot defaults and restart Dock/Finder');
+      console.log('  --allow-redacted           Restore files even if they contain [REDACTED] values');
+      console.log('  --apply-git-config         Replay captured git settings and write ~/.gitignore_global');
+      console.log('  --git-policy <policy>      Conflicting git keys: keep-local (default) or prefer-captured');
+      console.log('  --clone-repos              Clone captured repositories into their original paths');
+      console.log('  --clone-concurrency <n>    Maximum parallel clones (default: 4)');
+      console.log('  --pin-versions             Install captured versions (name@version, versioned formulae)');
+      console.log('  --reinstall                Run installers for every package, even ones already installed');
+      console.log('  --interactive              Review the plan and deselect items in a checklist before applying');
+      console.log('  --selection <file>         Where --interactive saves the selection (default: apply-selection.json);');
+      console.log('                             without --interactive, apply only the items selected in this file');
+      console.log('  --report <file>            Write a JSON report of every step and package outcome');
+      console.log('  --config <file>            Use this config file instead of .macblueprintrc');
+      console.log('  --only <list>              Apply only these sections (comma-separated, e.g. homebrew,globalPackages)');
+      console.log('  --skip <list>              Leave these sections out (comma-separated)');
+      console.log(`                             Sections: ${SECTIONS.join(', ')}`);
       console.log('  --help, -h                 Show this help message');
       process.exit(0);
     } else if (!setupFile) {
@@ -497,6 +1273,13 @@ function main() {
     }
   }
 
+  const sections = selectSections({ only, skip });
+
+  if (!GIT_POLICIES.includes(gitPolicy)) {
+    console.error(`Invalid git policy: ${gitPolicy} (expected ${GIT_POLICIES.join(' or ')})`);
+    process.exit(1);
+  }
+
   if (!setupFile) {
     console.error('Usage: node apply.js <mac-setup.json> [options]');
     console.error('');
@@ -548,20 +1331,61 @@ function main() {
   }
   console.log('');
 
-  if (!dryRun && !checkHomebrew()) {
-    process.exit(1);
+  applyReport = createApplyReport({
+    setupFile,
+    dryRun,
+    sections: sections.filter(section => !isSectionOmitted(setup, section))
+  });
+
+  const active = section => sections.includes(section) && !isSectionOmitted(setup, section);
+  const pins = [];
+  const notApplied = SECTIONS.filter(section => !active(section));
+  if (notApplied.length > 0) {
+    console.log(`Sections not applied (omitted at capture or filtered out): ${notApplied.join(', ')}\n`);
+  }
+
+  // Only install what this machine is missing
+  const planSections = ['homebrew', 'masApps', 'globalPackages'].filter(section => active(section) &&
+    (section !== 'masApps' || installMas) && (section !== 'globalPackages' || installGlobalPackages));
+  let pending = setup;
+  if (!reinstall && planSections.length > 0) {
+    pending = planPendingInstalls(setup, planSections, collectorOptionsFor(config), pinVersions);
   }
 
-  console.log(dryRun ? 'Would install...\n' : 'Starting installation...\n');
+  if (interactive || selectionFile) {
+    const checklistSections = planSections.concat(
+      active('githubRepos') && cloneRepos ? ['githubRepos'] : [],
+      active('shellConfigs') && restoreShell ? ['shellConfigs'] : []
+    );
+    pending = await selectItems(pending, checklistSections, { interactive, selectionFile, setupFile });
+  }
+
+  if (active('homebrew')) {
+    if (!dryRun && !checkHomebrew()) {
+      process.exit(1);
+    }
+
+    console.log(dryRun ? 'Would install...\n' : 'Starting installation...\n');
 
-  installTaps(setup.homebrew.taps, dryRun);
-  installFormulae(setup.homebrew.formulae, dryRun);
-  installCasks(setup.homebrew.casks, dryRun);
+    installTaps(pending.homebrew.taps, dryRun);
+    pins.push(...installFormulae(pending.homebrew.formulae, dryRun, pinVersions));
+    installCasks(pending.homebrew.casks, dryRun);
+  }
 
   // Install Mac App Store apps if requested
-  if (setup.masApps && setup.masApps.length > 0 && installMas) {
+  if (!active('masApps')) {
+    // Not part of this run
+  } else if (setup.masApps && setup.masApps.length > 0 && installMas && pending.masApps.length === 0) {
+    console.log('\n=== Mac App Store Apps ===\n');
+    console.log(`Nothing to install: all ${setup.masApps.length} MAS app(s) already installed or deselected`);
+  } else if (setup.masApps && setup.masApps.length > 0 && installMas) {
     console.log('\n=== Mac App Store Apps ===\n');
-    const result = installMasApps(setup.masApps, dryRun);
+    const result = installMasApps(pending.masApps, dryRun);
+    const masStatuses = { installed: 'done', 'would-install': 'planned', failed: 'failed', skipped: 'skipped' };
+    for (const app of result.apps) {
+      const reason = app.status === 'skipped' ? 'mas CLI not installed' : (app.status === 'failed' ? 'mas install failed' : null);
+      recordItem(applyReport, 'masApps', app.name, masStatuses[app.status], reason);
+    }
     if (!dryRun) {
       console.log(`\nMAS Installation: ${result.success} succeeded, ${result.failed} failed, ${result.skipped} skipped`);
     }
@@ -572,24 +1396,93 @@ function main() {
     console.log('(Requires mas CLI: brew install mas)\n');
   }
 
-  // Verify installations if requested
+  if (active('applications')) {
+    reportManualInstalls(setup.applications || [], active('homebrew') ? setup.homebrew.casks : []);
+  }
+  if (active('homeBin')) {
+    reportHomeBin(setup.homeBin);
+  }
+  if (active('githubRepos')) {
+    reportGithubRepos(setup.githubRepos, cloneRepos);
+    if (cloneRepos) {
+      await cloneGithubRepos(pending.githubRepos, dryRun, cloneConcurrency);
+    }
+  }
+  const hasPackages = globalPackages => Object.values(globalPackages || {}).some(packages => packages.length > 0);
+  if (active('globalPackages') && hasPackages(setup.globalPackages) && !hasPackages(pending.globalPackages)) {
+    console.log('\nGlobal Packages: nothing to install (already installed or deselected)');
+  } else if (active('globalPackages')) {
+    pins.push(...reportGlobalPackages(pending.globalPackages, installGlobalPackages, dryRun, pinVersions));
+  }
+  if (active('shellConfigs')) {
+    reportShellConfigs(pending.shellConfigs, restoreShell, dryRun, allowRedacted);
+  }
+  if (active('gitConfig')) {
+    reportGitConfig(setup.gitConfig, applyGit, dryRun, gitPolicy);
+  }
+  reportRedactions(setup.redactionManifest);
+  if (active('versionManagers')) {
+    reportVersionManagers(setup.versionManagers, installRuntimes, dryRun);
+  }
+  if (active('toolManagers')) {
+    reportToolManagers(setup.toolManagers, installRuntimes, dryRun);
+  }
+  if (active('toolVersionFiles')) {
+    reportToolVersionFiles(setup.toolVersionFiles, installRuntimes, dryRun);
+  }
+  if (active('editors')) {
+    reportEditors(setup.editors, {
+      installExtensions,
+      restoreSettings: restoreEditorSettings,
+      dryRun,
+      allowRedacted,
+      pinVersions
+    });
+  }
+  if (active('macosDefaults')) {
+    reportMacosDefaults(setup.macosDefaults, {
+      apply: applyMacosDefaults,
+      dryRun,
+      allowlist: mergeAllowlist(config.macosDefaults)
+    });
+  }
+  if (active('menubarConfig')) {
+    reportMenubarConfig(setup.menubarConfig);
+  }
+  if (pinVersions) {
+    reportPinning(pins);
+  }
+
+  // Verify installations if requested, after every install step has run
   if (verify && !dryRun) {
     console.log('\n=== Verifying Installations ===\n');
-    verifyInstallations(setup);
+    const { verify: verified, skipped } = planVerifySections(SECTIONS.filter(active), {
+      installMas,
+      installGlobalPackages,
+      installRuntimes,
+      installExtensions
+    });
+    if (skipped.length > 0) {
+      console.log(`Not verified (not installed by this run): ${skipped.join(', ')}\n`);
+    }
+    applyReport.verification = { ...verifyInstallations(setup, verified), skipped };
   }
 
-  reportManualInstalls(setup.applications, setup.homebrew.casks);
-  reportHomeBin(setup.homeBin);
-  reportGithubRepos(setup.githubRepos);
-  reportGlobalPackages(setup.globalPackages, installGlobalPackages && !dryRun, dryRun);
-  reportShellConfigs(setup.shellConfigs);
-  reportGitConfig(setup.gitConfig);
-  reportVersionManagers(setup.versionManagers);
-  reportMenubarConfig(setup.menubarConfig);
+  finishApplyReport(applyReport);
+  reportSummary(applyReport);
+  if (reportFile) {
+    fs.writeFileSync(reportFile, JSON.stringify(applyReport, null, 2));
+    console.log(`\nApply report written to: ${reportFile}`);
+  }
+  process.exitCode = applyReport.exitCode;
 
   if (dryRun) {
     console.log('\n*** DRY RUN COMPLETE - No changes were made ***');
     console.log('\nTo actually perform the restore, run without --dry-run flag');
+  } else if (applyReport.failures.length > 0) {
+    console.log(`\n=== Restore process completed with ${applyReport.failures.length} failure(s) ===`);
+  } else if (applyReport.exitCode !== 0) {
+    console.log(`\n=== Restore process completed, but verification found ${applyReport.verification.summary.fail} missing item(s) ===`);
   } else {
     console.log('\n=== Restore process completed ===');
   }
@@ -601,9 +1494,7 @@ function main() {
   console.log('4. Restore shell configuration files');
   console.log('5. Configure git user name and email');
   console.log('6. Review and restore login items');
-  if (!installGlobalPackages && setup.globalPackages &&
-      (setup.globalPackages.npm.length > 0 || setup.globalPackages.bun.length > 0 ||
-       setup.globalPackages.dart.length > 0 || setup.globalPackages.ruby.length > 0)) {
+  if (!installGlobalPackages && active('globalPackages') && hasPackages(setup.globalPackages)) {
     console.log('7. Install global packages (or re-run with --install-global-packages)');
     console.log('8. Install version managers if needed');
     console.log('9. Run: brew cleanup');
@@ -617,38 +1508,84 @@ function main() {
   }
 }
 
-function verifyInstallations(setup) {
-  const { execSync } = require('child_process');
+function reportSummary(report) {
+  if (report.items.length === 0) {
+    return;
+  }
 
-  let verified = 0;
-  let failed = 0;
+  console.log('\n=== Summary ===\n');
+  console.log(formatApplySummary(report.summary));
 
-  console.log('Verifying Homebrew formulae...');
-  for (const formula of setup.homebrew.formulae.slice(0, 10)) {
-    try {
-      execSync(`brew list ${formula.name}`, { stdio: 'ignore' });
-      verified++;
-    } catch (error) {
-      console.log(`  ✗ ${formula.name} not found`);
-      failed++;
+  if (report.failures.length > 0) {
+    console.log(`\nFailed (${report.failures.length}):`);
+    for (const item of report.failures) {
+      console.log(`  ✗ [${item.step}] ${item.name}${item.reason ? `: ${item.reason}` : ''}`);
     }
   }
+}
 
-  console.log('Verifying Homebrew casks...');
-  for (const cask of setup.homebrew.casks.slice(0, 10)) {
+/**
+ * Lists installed software with one bulk command per tool
+ * @param {Array<string>} sections - Sections being verified
+ * @returns {Object} - Installed names per verification group (null where a tool is unavailable)
+ */
+function listInstalled(sections) {
+  const installed = {};
+
+  if (sections.includes('homebrew')) {
+    installed.taps = getHomebrewTaps();
+    installed.formulae = getHomebrewFormulae().map(formula => formula.name);
+    installed.casks = getHomebrewCasks().map(cask => cask.name);
+  }
+  if (sections.includes('masApps')) {
+    installed.masApps = isMasInstalled() ? getMasApps().map(app => app.id) : null;
+  }
+  if (sections.includes('globalPackages')) {
+    for (const [manager, packages] of Object.entries(getGlobalPackages())) {
+      installed[manager] = packages.map(pkg => pkg.name);
+    }
+  }
+  if (sections.includes('versionManagers')) {
+    installed.runtimes = Object.entries(getVersionManagers())
+      .flatMap(([manager, info]) => info.versions.map(version => `${manager} ${version}`));
+  }
+  if (sections.includes('toolManagers')) {
+    installed.toolchains = Object.entries(getToolManagers()).flatMap(([manager, info]) =>
+      Object.entries(info.tools).flatMap(([tool, entry]) => entry.versions.map(version => `${manager} ${tool} ${version}`)));
+  }
+  if (sections.includes('editors')) {
+    installed.extensions = Object.entries(getEditors()).flatMap(([editor, entry]) =>
+      entry.extensions.map(extension => `${editor} ${extension.name.toLowerCase()}`));
+  }
+  if (sections.includes('applications')) {
     try {
-      execSync(`brew list --cask ${cask.name}`, { stdio: 'ignore' });
-      verified++;
+      installed.applications = fs.readdirSync('/Applications').filter(name => name.endsWith('.app'));
     } catch (error) {
-      console.log(`  ✗ ${cask.name} not found`);
-      failed++;
+      installed.applications = null;
     }
   }
 
-  console.log(`\nVerification complete: ${verified} verified, ${failed} failed`);
-  if (failed > 0) {
-    console.log('Some packages failed to install. Check the logs above for details.');
+  return installed;
+}
+
+/**
+ * Checks every captured package, app, runtime, toolchain and editor extension and prints the pass/fail matrix
+ * @param {Object} setup - Setup that was applied
+ * @param {Array<string>} sections - Sections that were applied
+ * @returns {Object} - { summary, matrix } for the apply report
+ */
+function verifyInstallations(setup, sections) {
+  const matrix = buildVerifyMatrix(setup, listInstalled(sections), sections);
+  console.log(formatVerifyMatrix(matrix));
+
+  const summary = summarizeVerifyMatrix(matrix);
+  if (summary.fail > 0) {
+    console.log('Some packages are missing. Check the logs above for details.');
   }
+  return { summary, matrix };
 }
 
-main();
+main().catch(error => {
+  console.error(`Apply failed: ${error.message}`);
+  process.exit(1);
+});
@@ -3,8 +3,39 @@
 const fs = require('fs');
 const path = require('path');
 const { execSilent, detectSecrets } = require('../utils/exec');
-const { SCHEMA_VERSION } = require('../utils/schema');
+const { SCHEMA_VERSION, SECTIONS, parseSectionList, selectSections } = require('../utils/schema');
 const { getMasApps, isMasInstalled } = require('../utils/mas');
+const { redactSetup } = require('../utils/redact');
+const { snapshotFileName, saveSnapshot, pruneSnapshots } = require('../utils/snapshots');
+const { parseDefaultVersion } = require('../utils/runtimes');
+const { PACKAGE_MANAGERS } = require('../utils/package-managers');
+const { EDITORS, EDITOR_FILES, parseExtensionList, editorFilePath } = require('../utils/editors');
+const { mergeAllowlist, readDefaults } = require('../utils/macos-defaults');
+const {
+  TOOL_VERSION_FILES,
+  parseAsdfVersion,
+  parseVersionList,
+  parsePluginList,
+  parseToolVersions,
+  parseFnmList,
+  parseVoltaList,
+  parseRustupToolchains,
+  parseMiseList
+} = require('../utils/tool-managers');
+const {
+  findRepositories,
+  parseRemotes,
+  parseBranchTracking,
+  parseSubmodules,
+  getRepoRisks
+} = require('../utils/repos');
+const {
+  DEFAULT_SHELL_CONFIGS,
+  resolveConfig,
+  expandHome,
+  compileRedactPatterns,
+  flagValue
+} = require('../utils/config');
 
 // Track errors during capture for summary
 const captureErrors = [];
@@ -147,9 +178,8 @@ function getBinaries() {
   return binaries;
 }
 
-function getHomeBinaries() {
+function getHomeBinaries(homeBin = path.join(process.env.HOME, 'bin')) {
   const binaries = [];
-  const homeBin = path.join(process.env.HOME, 'bin');
 
   if (!fs.existsSync(homeBin)) {
     return binaries;
@@ -181,153 +211,98 @@ function getHomeBinaries() {
       binaries.push(fileInfo);
     }
   } catch (error) {
-    console.error('Error reading ~/bin:', error.message);
+    console.error(`Error reading ${homeBin}:`, error.message);
   }
 
   return binaries;
 }
 
-function getGithubRepositories() {
+function getGithubRepositories(roots = [path.join(process.env.HOME, 'Documents', 'github')], maxDepth = 1) {
   const repos = [];
-  const githubPath = path.join(process.env.HOME, 'Documents', 'github');
 
-  if (!fs.existsSync(githubPath)) {
-    return repos;
-  }
-
-  try {
-    const entries = fs.readdirSync(githubPath);
-    for (const entry of entries) {
-      const fullPath = path.join(githubPath, entry);
-      const stats = fs.lstatSync(fullPath);
+  for (const entry of findRepositories(roots, { maxDepth })) {
+    const fullPath = entry.path;
+    const repoInfo = {
+      name: entry.name,
+      path: fullPath,
+      root: entry.root
+    };
+
+    if (entry.kind === 'directory') {
+      repoInfo.isGit = false;
+      repos.push(repoInfo);
+      continue;
+    }
 
-      if (stats.isDirectory() && !entry.startsWith('.')) {
-        const repoInfo = {
-          name: entry,
-          path: fullPath
-        };
-
-        // Check if it's a git repository
-        const gitPath = path.join(fullPath, '.git');
-        if (fs.existsSync(gitPath)) {
-          repoInfo.isGit = true;
-
-          // Try to get remote URL
-          const remoteUrl = exec(`cd "${fullPath}" && git config --get remote.origin.url 2>/dev/null`);
-          if (remoteUrl) {
-            repoInfo.remoteUrl = remoteUrl;
-          }
+    repoInfo.isGit = true;
+    repoInfo.kind = entry.kind;
+    if (entry.mainRepo) {
+      repoInfo.mainRepo = entry.mainRepo;
+    }
+    if (entry.nestedIn) {
+      repoInfo.nestedIn = entry.nestedIn;
+    }
 
-          // Get current branch
-          const branch = exec(`cd "${fullPath}" && git branch --show-current 2>/dev/null`);
-          if (branch) {
-            repoInfo.branch = branch;
-          }
+    // Get all remotes, keeping origin (or the first remote) as remoteUrl
+    const remotes = parseRemotes(exec(`cd "${fullPath}" && git remote -v 2>/dev/null`));
+    if (remotes.length > 0) {
+      repoInfo.remotes = remotes;
+      repoInfo.remoteUrl = (remotes.find(r => r.name === 'origin') || remotes[0]).url;
+    }
 
-          // Check for uncommitted changes
-          const status = exec(`cd "${fullPath}" && git status --porcelain 2>/dev/null`);
-          repoInfo.hasUncommittedChanges = status ? status.length > 0 : false;
-        } else {
-          repoInfo.isGit = false;
-        }
+    // Get current branch
+    const branch = exec(`cd "${fullPath}" && git branch --show-current 2>/dev/null`);
+    if (branch) {
+      repoInfo.branch = branch;
+    }
 
-        repos.push(repoInfo);
-      }
+    // Check for uncommitted changes and untracked (but not ignored) files
+    const status = exec(`cd "${fullPath}" && git status --porcelain 2>/dev/null`);
+    const statusLines = status ? status.split('\n').filter(Boolean) : [];
+    repoInfo.hasUncommittedChanges = statusLines.some(line => !line.startsWith('??'));
+    repoInfo.untrackedCount = statusLines.filter(line => line.startsWith('??')).length;
+
+    // Local branches, their upstreams and how far ahead they are
+    repoInfo.branches = parseBranchTracking(exec(
+      `cd "${fullPath}" && git for-each-ref --format='%(refname:short)|%(upstream:short)|%(upstream:track)' refs/heads 2>/dev/null`
+    ));
+    repoInfo.unpushedBranches = repoInfo.branches.filter(b => !b.upstream).map(b => b.name);
+
+    const stashes = exec(`cd "${fullPath}" && git stash list 2>/dev/null`);
+    repoInfo.stashCount = stashes ? stashes.split('\n').filter(Boolean).length : 0;
+
+    if (fs.existsSync(path.join(fullPath, '.gitmodules'))) {
+      repoInfo.submodules = parseSubmodules(exec(
+        `cd "${fullPath}" && git config --file .gitmodules --get-regexp '^submodule\\..*\\.(path|url)$' 2>/dev/null`
+      ));
     }
-  } catch (error) {
-    console.error('Error reading ~/Documents/github:', error.message);
+
+    repos.push(repoInfo);
   }
 
   return repos;
 }
 
 function getGlobalPackages() {
-  const packages = {
-    npm: [],
-    bun: [],
-    dart: [],
-    ruby: []
-  };
+  const packages = {};
 
-  // Get npm global packages
-  const npmOutput = exec('npm list -g --depth=0 --json 2>/dev/null');
-  if (npmOutput) {
-    try {
-      const npmData = JSON.parse(npmOutput);
-      if (npmData.dependencies) {
-        for (const [name, info] of Object.entries(npmData.dependencies)) {
-          packages.npm.push({
-            name: name,
-            version: info.version || 'unknown'
-          });
-        }
-      }
-    } catch (error) {
-      console.error('Error parsing npm packages:', error.message);
-    }
-  }
-
-  // Get bun global packages
-  const bunOutput = exec('bun pm ls -g 2>/dev/null');
-  if (bunOutput) {
-    const lines = bunOutput.split('\n');
-    for (const line of lines) {
-      // Parse lines like "package-name@1.2.3"
-      const match = line.trim().match(/^(.+?)@(.+)$/);
-      if (match) {
-        packages.bun.push({
-          name: match[1],
-          version: match[2]
-        });
-      }
+  for (const [manager, registry] of Object.entries(PACKAGE_MANAGERS)) {
+    packages[manager] = [];
+    // Not having a package manager is normal, so only listing failures count as capture errors
+    if (execSilent(`command -v ${registry.binary}`) === null) {
+      continue;
     }
-  }
-
-  // Get dart global packages
-  const dartOutput = exec('dart pub global list 2>/dev/null');
-  if (dartOutput) {
-    const lines = dartOutput.split('\n');
-    for (const line of lines) {
-      // Parse lines like "package_name 1.2.3"
-      const match = line.trim().match(/^(\S+)\s+(.+)$/);
-      if (match) {
-        packages.dart.push({
-          name: match[1],
-          version: match[2]
-        });
-      }
-    }
-  }
-
-  // Get ruby gems
-  const rubyOutput = exec('gem list 2>/dev/null');
-  if (rubyOutput) {
-    const lines = rubyOutput.split('\n');
-    for (const line of lines) {
-      // Parse lines like "gem_name (1.2.3, 1.2.2)"
-      const match = line.trim().match(/^(\S+)\s+\((.+?)\)/);
-      if (match) {
-        packages.ruby.push({
-          name: match[1],
-          version: match[2]
-        });
-      }
+    const output = exec(`${registry.list} 2>/dev/null`);
+    if (output) {
+      packages[manager] = registry.parse(output);
     }
   }
 
   return packages;
 }
 
-function getShellConfigs() {
+function getShellConfigs(configFiles = DEFAULT_SHELL_CONFIGS) {
   const configs = [];
-  const configFiles = [
-    '.zshrc',
-    '.bashrc',
-    '.bash_profile',
-    '.profile',
-    '.zshenv',
-    '.config/fish/config.fish'
-  ];
 
   for (const configFile of configFiles) {
     const fullPath = path.join(process.env.HOME, configFile);
@@ -408,7 +383,7 @@ function getVersionManagers() {
   const nvmDir = path.join(process.env.HOME, '.nvm');
   if (fs.existsSync(nvmDir)) {
     managers.nvm.installed = true;
-    const nvmOutput = exec('bash -c "source ~/.nvm/nvm.sh && nvm list" 2>/dev/null');
+    const nvmOutput = exec('bash -c "source ~/.nvm/nvm.sh && nvm list --no-alias --no-colors" 2>/dev/null');
     if (nvmOutput) {
       const lines = nvmOutput.split('\n');
       for (const line of lines) {
@@ -418,6 +393,7 @@ function getVersionManagers() {
         }
       }
     }
+    managers.nvm.default = parseDefaultVersion(exec('bash -c "source ~/.nvm/nvm.sh && nvm alias default" 2>/dev/null'));
   }
 
   // Check pyenv
@@ -431,6 +407,7 @@ function getVersionManagers() {
         managers.pyenv.versions.push(match[1]);
       }
     }
+    managers.pyenv.default = parseDefaultVersion(exec('pyenv global 2>/dev/null'));
   }
 
   // Check rbenv
@@ -444,11 +421,122 @@ function getVersionManagers() {
         managers.rbenv.versions.push(match[1]);
       }
     }
+    managers.rbenv.default = parseDefaultVersion(exec('rbenv global 2>/dev/null'));
+  }
+
+  return managers;
+}
+
+function getToolManagers() {
+  const managers = {
+    asdf: { installed: false, plugins: [], tools: {} },
+    mise: { installed: false, plugins: [], tools: {} },
+    fnm: { installed: false, tools: {} },
+    volta: { installed: false, tools: {} },
+    rustup: { installed: false, tools: {} },
+    goenv: { installed: false, tools: {} }
+  };
+  // Not having a manager is normal, so only listing failures count as capture errors
+  const has = command => execSilent(`command -v ${command}`) !== null;
+
+  // asdf: one tool per plugin, global defaults in ~/.tool-versions
+  if (has('asdf')) {
+    managers.asdf.installed = true;
+    managers.asdf.version = parseAsdfVersion(exec('asdf version 2>/dev/null'));
+    managers.asdf.plugins = parsePluginList(exec('asdf plugin list 2>/dev/null'));
+    const globalFile = path.join(process.env.HOME, '.tool-versions');
+    const defaults = parseToolVersions(fs.existsSync(globalFile) ? fs.readFileSync(globalFile, 'utf8') : '');
+    for (const plugin of managers.asdf.plugins) {
+      managers.asdf.tools[plugin] = {
+        versions: parseVersionList(exec(`asdf list ${plugin} 2>/dev/null`)),
+        default: defaults[plugin] || null
+      };
+    }
+  }
+
+  // mise: core tools need no plugin, so tools come from the listing rather than the plugin list
+  if (has('mise')) {
+    managers.mise.installed = true;
+    managers.mise.plugins = parsePluginList(exec('mise plugins ls 2>/dev/null'));
+    const defaults = parseMiseList(exec('mise ls --global --json 2>/dev/null'), { installedOnly: false });
+    for (const [tool, entry] of Object.entries(parseMiseList(exec('mise ls --installed --json 2>/dev/null')))) {
+      managers.mise.tools[tool] = { versions: entry.versions, default: defaults[tool] ? defaults[tool].versions[0] : null };
+    }
+  }
+
+  if (has('fnm')) {
+    managers.fnm.installed = true;
+    managers.fnm.tools.node = parseFnmList(exec('fnm list 2>/dev/null'));
+  }
+
+  if (has('volta')) {
+    managers.volta.installed = true;
+    managers.volta.tools = parseVoltaList(exec('volta list all --format plain 2>/dev/null'));
+  }
+
+  if (has('rustup')) {
+    managers.rustup.installed = true;
+    managers.rustup.tools.rust = parseRustupToolchains(exec('rustup toolchain list 2>/dev/null'));
+  }
+
+  if (has('goenv')) {
+    managers.goenv.installed = true;
+    managers.goenv.tools.go = {
+      versions: parseVersionList(exec('goenv versions --bare 2>/dev/null')),
+      default: parseDefaultVersion(exec('goenv global 2>/dev/null'))
+    };
   }
 
   return managers;
 }
 
+function getToolVersionFiles(roots = [path.join(process.env.HOME, 'Documents', 'github')], maxDepth = 1) {
+  const files = [];
+
+  for (const repo of findRepositories(roots, { maxDepth })) {
+    for (const file of TOOL_VERSION_FILES) {
+      const filePath = path.join(repo.path, file);
+      try {
+        if (!fs.statSync(filePath).isFile()) {
+          continue;
+        }
+        files.push({
+          name: path.join(repo.name, file),
+          repo: repo.name,
+          path: filePath,
+          content: fs.readFileSync(filePath, 'utf8')
+        });
+      } catch (error) {
+        // Not present in this repository
+      }
+    }
+  }
+
+  return files;
+}
+
+function getEditors() {
+  const editors = {};
+
+  for (const [editor, { cli, userDir }] of Object.entries(EDITORS)) {
+    const hasCli = execSilent(`command -v ${cli}`) !== null;
+    editors[editor] = {
+      installed: hasCli || fs.existsSync(path.join(process.env.HOME, userDir)),
+      extensions: hasCli ? parseExtensionList(exec(`${cli} --list-extensions --show-versions 2>/dev/null`)) : [],
+      files: []
+    };
+
+    for (const file of EDITOR_FILES) {
+      const filePath = path.join(process.env.HOME, editorFilePath(editor, file));
+      if (fs.existsSync(filePath)) {
+        editors[editor].files.push({ name: file, content: fs.readFileSync(filePath, 'utf8') });
+      }
+    }
+  }
+
+  return editors;
+}
+
 function getMenubarConfiguration() {
   const menubar = {
     loginItems: [],
@@ -535,23 +623,155 @@ function getSystemInfo() {
   };
 }
 
+const COLLECTORS = {
+  applications: () => getApplications(),
+  masApps: () => getMasApps(),
+  homebrew: () => ({
+    taps: getHomebrewTaps(),
+    casks: getHomebrewCasks(),
+    formulae: getHomebrewFormulae()
+  }),
+  binaries: () => getBinaries(),
+  homeBin: options => getHomeBinaries(options.homeBin),
+  githubRepos: options => getGithubRepositories(options.repoRoots, options.repoDepth),
+  globalPackages: () => getGlobalPackages(),
+  shellConfigs: options => getShellConfigs(options.shellConfigs),
+  gitConfig: () => getGitConfig(),
+  versionManagers: () => getVersionManagers(),
+  toolManagers: () => getToolManagers(),
+  toolVersionFiles: options => getToolVersionFiles(options.repoRoots, options.repoDepth),
+  editors: () => getEditors(),
+  macosDefaults: options => readDefaults(mergeAllowlist(options.macosDefaults)),
+  menubarConfig: () => getMenubarConfiguration()
+};
+
+/**
+ * Builds the options passed to COLLECTORS from a resolved config
+ * @param {Object} config - Config from resolveConfig
+ * @param {Object} overrides - Options set on the command line (repoRoots, repoDepth)
+ * @returns {Object} - { homeBin, repoRoots, repoDepth, shellConfigs, macosDefaults }
+ */
+function collectorOptionsFor(config, overrides = {}) {
+  return {
+    homeBin: path.resolve(expandHome(config.homeBin)),
+    repoRoots: config.repoRoots.map(root => path.resolve(expandHome(root))),
+    repoDepth: config.repoDepth,
+    shellConfigs: [...new Set([...config.shellConfigs, ...config.dotfiles])],
+    macosDefaults: config.macosDefaults,
+    ...overrides
+  };
+}
+
+/**
+ * Captures the given sections of the current machine
+ * @param {Array<string>} sections - Sections to collect
+ * @param {Object} collectorOptions - Options from collectorOptionsFor
+ * @returns {Object} - Setup object with the other sections listed in omittedSections
+ */
+function captureSetup(sections, collectorOptions) {
+  const setup = {
+    version: SCHEMA_VERSION,
+    system: getSystemInfo()
+  };
+  for (const section of sections) {
+    setup[section] = COLLECTORS[section](collectorOptions);
+  }
+  setup.omittedSections = SECTIONS.filter(section => !sections.includes(section));
+  return setup;
+}
+
 function main() {
   const args = process.argv.slice(2);
   const dryRun = args.includes('--dry-run');
-  const redact = args.includes('--redact-secrets');
   const verbose = args.includes('--verbose');
+  const preWipeCheck = args.includes('--pre-wipe-check');
 
   if (args.includes('--help') || args.includes('-h')) {
     console.log('Usage: node capture.js [options]');
     console.log('');
     console.log('Options:');
-    console.log('  --dry-run         Preview capture without creating file');
-    console.log('  --redact-secrets  Redact potential secrets from shell configs');
-    console.log('  --verbose         Show detailed error information');
-    console.log('  --help, -h        Show this help message');
+    console.log('  --dry-run             Preview capture without creating file');
+    console.log('  --output, -o <file>   Write the setup to this file (default: mac-setup.json)');
+    console.log('  --snapshot            Save a timestamped snapshot into the history directory instead');
+    console.log('  --history-dir <dir>   Snapshot history directory (default: mac-setup-history)');
+    console.log('  --keep-last <n>       After a snapshot, keep only the newest n per host');
+    console.log('  --keep-monthly <n>    After a snapshot, also keep the newest per month for n months');
+    console.log('  --redact-secrets      Redact potential secrets from shell and git configs');
+    console.log('  --verbose             Show detailed error information');
+    console.log('  --repo-root <dir>     Directory to scan for repositories (repeatable, default: ~/Documents/github)');
+    console.log('  --repo-depth <n>      Directory levels to search below each root (default: 1)');
+    console.log('  --pre-wipe-check      List repos with work that would be lost and exit 1 if any');
+    console.log('  --config <file>       Use this config file instead of .macblueprintrc');
+    console.log('  --only <list>         Capture only these sections (comma-separated, e.g. homebrew,globalPackages)');
+    console.log('  --skip <list>         Leave these sections out (comma-separated, e.g. menubarConfig)');
+    console.log(`                        Sections: ${SECTIONS.join(', ')}`);
+    console.log('  --help, -h            Show this help message');
     process.exit(0);
   }
 
+  let config;
+  try {
+    config = resolveConfig(args).config;
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const redact = args.includes('--redact-secrets') || config.redactSecrets;
+
+  let repoRoots = [];
+  let repoDepth = config.repoDepth;
+  let only = null;
+  let skip = config.skip;
+  let output = config.output;
+  let historyDir = config.historyDir;
+  const retention = { ...config.retention };
+  const snapshot = args.includes('--snapshot');
+  try {
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--output' || args[i] === '-o') {
+        output = flagValue(args[i], args[++i], 'a path');
+      } else if (args[i] === '--history-dir') {
+        historyDir = flagValue(args[i], args[++i], 'a path');
+      } else if (args[i] === '--keep-last' || args[i] === '--keep-monthly') {
+        const value = parseInt(args[i + 1], 10);
+        if (!(value > 0)) {
+          throw new Error(`Invalid ${args[i]}: expected a positive number`);
+        }
+        retention[args[i] === '--keep-last' ? 'keepLast' : 'keepMonthly'] = value;
+        i++;
+      } else if (args[i] === '--repo-root') {
+        repoRoots.push(flagValue(args[i], args[++i], 'a path'));
+      } else if (args[i] === '--repo-depth') {
+        repoDepth = parseInt(args[++i], 10);
+      } else if (args[i] === '--only') {
+        only = parseSectionList(flagValue(args[i], args[++i], 'a section list'));
+      } else if (args[i] === '--skip') {
+        skip = parseSectionList(flagValue(args[i], args[++i], 'a section list'));
+      }
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  if (!output || !historyDir) {
+    console.error('Invalid --output/--history-dir: expected a path');
+    process.exit(1);
+  }
+  const sections = selectSections({ only, skip });
+  if (preWipeCheck && !sections.includes('githubRepos')) {
+    console.error('Invalid --pre-wipe-check: the githubRepos section is not selected (check --only, --skip and the config skip list)');
+    process.exit(1);
+  }
+  if (repoRoots.length === 0) {
+    repoRoots = config.repoRoots;
+  }
+  repoRoots = repoRoots.map(root => path.resolve(expandHome(root)));
+  if (!(repoDepth > 0)) {
+    console.error('Invalid --repo-depth: expected a positive number');
+    process.exit(1);
+  }
+
   if (dryRun) {
     console.log('DRY RUN MODE - No files will be created\n');
   }
@@ -562,57 +782,65 @@ function main() {
 
   console.log('Inspecting Mac setup...\n');
 
-  const setup = {
-    version: SCHEMA_VERSION,
-    system: getSystemInfo(),
-    applications: getApplications(),
-    masApps: getMasApps(),
-    homebrew: {
-      taps: getHomebrewTaps(),
-      casks: getHomebrewCasks(),
-      formulae: getHomebrewFormulae()
+  const setup = captureSetup(sections, collectorOptionsFor(config, { repoRoots, repoDepth }));
+
+  const redactPatterns = compileRedactPatterns(config.redactPatterns);
+  if (redact) {
+    setup.redactionManifest = redactSetup(setup, { patterns: redactPatterns });
+  }
+
+  const summary = {
+    applications: () => [`Applications: ${setup.applications.length}`],
+    masApps: () => [isMasInstalled()
+      ? `Mac App Store apps: ${setup.masApps.length}`
+      : 'Mac App Store apps: N/A (install \'mas\' CLI: brew install mas)'],
+    homebrew: () => [
+      `Homebrew casks: ${setup.homebrew.casks.length}`,
+      `Homebrew formulae: ${setup.homebrew.formulae.length}`,
+      `Homebrew taps: ${setup.homebrew.taps.length}`
+    ],
+    binaries: () => [`Binaries: ${setup.binaries.length}`],
+    homeBin: () => [`~/bin files: ${setup.homeBin.length}`],
+    githubRepos: () => [`GitHub repositories: ${setup.githubRepos.length} (scanned ${repoRoots.join(', ')})`],
+    globalPackages: () => Object.entries(PACKAGE_MANAGERS)
+      .map(([manager, { label }]) => `${label}: ${setup.globalPackages[manager].length}`),
+    shellConfigs: () => [`Shell config files: ${setup.shellConfigs.length}`],
+    gitConfig: () => [`Git config entries: ${setup.gitConfig.settings.length}`],
+    versionManagers: () => [],
+    toolManagers: () => {
+      const installed = Object.keys(setup.toolManagers).filter(manager => setup.toolManagers[manager].installed);
+      return [`Tool managers: ${installed.length > 0 ? installed.join(', ') : 'none'}`];
     },
-    binaries: getBinaries(),
-    homeBin: getHomeBinaries(),
-    githubRepos: getGithubRepositories(),
-    globalPackages: getGlobalPackages(),
-    shellConfigs: getShellConfigs(),
-    gitConfig: getGitConfig(),
-    versionManagers: getVersionManagers(),
-    menubarConfig: getMenubarConfiguration()
+    toolVersionFiles: () => [`Per-repo version files: ${setup.toolVersionFiles.length}`],
+    editors: () => Object.entries(setup.editors)
+      .filter(([, entry]) => entry.installed)
+      .map(([editor, entry]) => `${EDITORS[editor].label}: ${entry.extensions.length} extensions, ${entry.files.length} settings files`),
+    macosDefaults: () => [`macOS defaults: ${setup.macosDefaults.length}`],
+    menubarConfig: () => [
+      `Login items: ${setup.menubarConfig.loginItems.length}`,
+      `Running menubar apps: ${setup.menubarConfig.runningApps.length}`,
+      `Launch agents: ${setup.menubarConfig.launchAgents.length}`
+    ]
   };
 
   console.log(`System information ${dryRun ? 'found' : 'captured'}`);
-  console.log(`- Applications: ${setup.applications.length}`);
-  if (isMasInstalled()) {
-    console.log(`- Mac App Store apps: ${setup.masApps.length}`);
-  } else {
-    console.log('- Mac App Store apps: N/A (install \'mas\' CLI: brew install mas)');
-  }
-  console.log(`- Homebrew casks: ${setup.homebrew.casks.length}`);
-  console.log(`- Homebrew formulae: ${setup.homebrew.formulae.length}`);
-  console.log(`- Homebrew taps: ${setup.homebrew.taps.length}`);
-  console.log(`- Binaries: ${setup.binaries.length}`);
-  console.log(`- ~/bin files: ${setup.homeBin.length}`);
-  console.log(`- GitHub repositories: ${setup.githubRepos.length}`);
-  console.log(`- NPM global packages: ${setup.globalPackages.npm.length}`);
-  console.log(`- Bun global packages: ${setup.globalPackages.bun.length}`);
-  console.log(`- Dart global packages: ${setup.globalPackages.dart.length}`);
-  console.log(`- Ruby gems: ${setup.globalPackages.ruby.length}`);
-  console.log(`- Shell config files: ${setup.shellConfigs.length}`);
-  console.log(`- Git config entries: ${setup.gitConfig.settings.length}`);
-  console.log(`- Login items: ${setup.menubarConfig.loginItems.length}`);
-  console.log(`- Running menubar apps: ${setup.menubarConfig.runningApps.length}`);
-  console.log(`- Launch agents: ${setup.menubarConfig.launchAgents.length}`);
+  for (const section of sections) {
+    for (const line of summary[section]()) {
+      console.log(`- ${line}`);
+    }
+  }
+  if (setup.omittedSections.length > 0) {
+    console.log(`- Omitted sections: ${setup.omittedSections.join(', ')}`);
+  }
 
   // Check for secrets in shell configs
-  if (!redact && setup.shellConfigs.length > 0) {
+  if (!redact && setup.shellConfigs && setup.shellConfigs.length > 0) {
     let hasSecrets = false;
-    for (const config of setup.shellConfigs) {
-      const detection = detectSecrets(config.content);
+    for (const shellConfig of setup.shellConfigs) {
+      const detection = detectSecrets(shellConfig.content, redactPatterns);
       if (detection.hasSecrets) {
         hasSecrets = true;
-        console.warn(`\n⚠️  WARNING: Potential secrets detected in ${config.name}`);
+        console.warn(`\n⚠️  WARNING: Potential secrets detected in ${shellConfig.name}`);
         for (const secret of detection.secrets) {
           console.warn(`   - ${secret.type}: ${secret.count} occurrence(s)`);
         }
@@ -623,6 +851,16 @@ function main() {
     }
   }
 
+  if (redact && setup.redactionManifest.length > 0) {
+    console.log('\n🔒 Redacted secrets:');
+    for (const entry of setup.redactionManifest) {
+      const lines = [...new Set(entry.redactions.map(r => r.line))].join(', ');
+      console.log(`   - ${entry.file}: ${entry.total} value(s) on line(s) ${lines}`);
+    }
+  } else if (redact) {
+    console.log('\nNo secrets found to redact');
+  }
+
   // Show error summary if verbose or if there were significant errors
   if ((verbose || captureErrors.length > 5) && captureErrors.length > 0) {
     console.log(`\n⚠️  Capture warnings (${captureErrors.length}):`);
@@ -647,14 +885,63 @@ function main() {
     }
   }
 
+  const historyPath = path.resolve(expandHome(historyDir));
   if (dryRun) {
     console.log('\nDRY RUN - No file created');
-    console.log(`Would create: mac-setup.json (${JSON.stringify(setup).length} bytes)`);
+    const target = snapshot ? path.join(historyPath, snapshotFileName(setup.system.hostname)) : output;
+    console.log(`Would create: ${target} (${JSON.stringify(setup).length} bytes)`);
+  } else if (snapshot) {
+    try {
+      const saved = saveSnapshot(historyPath, setup);
+      console.log(`\nSnapshot saved to: ${saved.path}`);
+      const removed = pruneSnapshots(historyPath, retention);
+      if (removed.length > 0) {
+        console.log(`Removed ${removed.length} old snapshot(s): ${removed.map(entry => entry.file).join(', ')}`);
+      }
+    } catch (error) {
+      console.error(`Failed to save snapshot: ${error.message}`);
+      process.exit(1);
+    }
   } else {
-    const outputFile = 'mac-setup.json';
+    const outputFile = expandHome(output);
+    fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
     fs.writeFileSync(outputFile, JSON.stringify(setup, null, 2));
     console.log(`\nSetup saved to: ${outputFile}`);
   }
+
+  if (preWipeCheck) {
+    const unsafe = (setup.githubRepos || [])
+      .map(repo => ({ repo, risks: getRepoRisks(repo) }))
+      .filter(entry => entry.risks.length > 0);
+
+    if (unsafe.length === 0) {
+      console.log('\n✓ Pre-wipe check: all repositories are pushed and clean');
+    } else {
+      console.warn(`\n⚠️  Pre-wipe check: ${unsafe.length} repositor${unsafe.length === 1 ? 'y' : 'ies'} unsafe to lose:`);
+      for (const { repo, risks } of unsafe) {
+        console.warn(`   - ${repo.path}`);
+        for (const risk of risks) {
+          console.warn(`       ${risk}`);
+        }
+      }
+      process.exitCode = 1;
+    }
+  }
+}
+
+if (require.main === module) {
+  main();
 }
 
-main();
+module.exports = {
+  COLLECTORS,
+  collectorOptionsFor,
+  captureSetup,
+  getHomebrewTaps,
+  getHomebrewFormulae,
+  getHomebrewCasks,
+  getGlobalPackages,
+  getVersionManagers,
+  getToolManagers,
+  getEditors
+};
@@ -1,26 +1,115 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const path = require('path');
 const { diffSetups } = require('../utils/schema');
+const { resolveConfig, expandHome } = require('../utils/config');
+const { readIndex, resolveSnapshot } = require('../utils/snapshots');
+const {
+  DIFF_FORMATS,
+  summarizeDiff,
+  formatDiffText,
+  onlyMajorChanges,
+  buildDiffReport,
+  formatDiffMarkdown
+} = require('../utils/diff-report');
 
 function main() {
   const args = process.argv.slice(2);
+  const files = [];
+  let historyDir = null;
+  let format = 'text';
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--config') {
+      i++;
+    } else if (args[i] === '--history') {
+      historyDir = args[++i];
+    } else if (args[i] === '--format') {
+      format = args[++i];
+    } else if (!args[i].startsWith('-')) {
+      files.push(args[i]);
+    }
+  }
 
-  if (args.includes('--help') || args.includes('-h') || args.length < 2) {
+  const listSnapshots = args.includes('--list');
+  const exitCode = args.includes('--exit-code');
+  const onlyMajor = args.includes('--only-major');
+
+  if (args.includes('--help') || args.includes('-h') || (files.length < 2 && !listSnapshots)) {
     console.log('Usage: node diff.js <old-setup.json> <new-setup.json> [options]');
+    console.log('       node diff.js <old-ref> <new-ref> [--history <dir>]');
+    console.log('       node diff.js --list [--history <dir>]');
     console.log('');
     console.log('Compare two mac-setup.json files to see what changed');
     console.log('');
+    console.log('Arguments that are not existing files are looked up in the snapshot history');
+    console.log('(written by capture.js --snapshot): latest, latest~N, a capture date prefix');
+    console.log('such as 2024-12 or 2024-12-15, or a snapshot file name.');
+    console.log('');
     console.log('Options:');
-    console.log('  --help, -h     Show this help message');
+    console.log('  --config <file>  Use this config file instead of .macblueprintrc');
+    console.log('                   (sections listed in its "skip" are left out of the report)');
+    console.log('  --history <dir>  Snapshot history directory (default: mac-setup-history)');
+    console.log('  --list           List the snapshots in the history directory');
+    console.log('  --format <fmt>   Output format: text (default), json or markdown');
+    console.log('  --exit-code      Exit with status 1 if the setups differ, 0 if they match');
+    console.log('  --only-major     Only report major version changes (e.g. node 20 → 21)');
+    console.log('  --help, -h       Show this help message');
     console.log('');
-    console.log('Example:');
+    console.log('Examples:');
     console.log('  node diff.js mac-setup-2024-01.json mac-setup-2024-12.json');
+    console.log('  node diff.js latest~1 latest');
+    console.log('  node diff.js latest~1 latest --format json --exit-code');
     process.exit(0);
   }
 
-  const oldFile = args[0];
-  const newFile = args[1];
+  if (!DIFF_FORMATS.includes(format)) {
+    console.error(`Invalid --format: expected one of ${DIFF_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  let config;
+  try {
+    config = resolveConfig(args).config;
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const historyPath = path.resolve(expandHome(historyDir || config.historyDir));
+
+  if (listSnapshots) {
+    let entries;
+    try {
+      entries = readIndex(historyPath);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    if (entries.length === 0) {
+      console.log(`No snapshots in ${historyPath}`);
+    }
+    for (const entry of entries) {
+      console.log(`${entry.captureDate}  ${entry.hostname}  ${entry.file}`);
+    }
+    process.exit(0);
+  }
+
+  const resolveFile = file => {
+    if (fs.existsSync(file)) {
+      return file;
+    }
+    try {
+      return resolveSnapshot(historyPath, file) || file;
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  };
+
+  const oldFile = resolveFile(files[0]);
+  const newFile = resolveFile(files[1]);
 
   if (!fs.existsSync(oldFile)) {
     console.error(`File not found: ${oldFile}`);
@@ -48,164 +137,49 @@ function main() {
     process.exit(1);
   }
 
-  console.log('Mac Setup Diff Tool');
-  console.log('===================\n');
-  console.log(`Old: ${oldSetup.system.hostname} (captured ${oldSetup.system.captureDate})`);
-  console.log(`New: ${newSetup.system.hostname} (captured ${newSetup.system.captureDate})`);
-  console.log('');
-
-  const diff = diffSetups(oldSetup, newSetup);
-
-  // Applications
-  if (diff.applications.added.length > 0 || diff.applications.removed.length > 0 || diff.applications.updated.length > 0) {
-    console.log('Applications:');
-    console.log('-------------');
-
-    if (diff.applications.added.length > 0) {
-      console.log(`\n✓ Added (${diff.applications.added.length}):`);
-      for (const app of diff.applications.added) {
-        console.log(`  + ${app.name} (${app.version})`);
-      }
-    }
+  const fullDiff = diffSetups(oldSetup, newSetup, { skip: config.skip });
+  const diff = onlyMajor ? onlyMajorChanges(fullDiff) : fullDiff;
+  const summary = summarizeDiff(diff);
 
-    if (diff.applications.removed.length > 0) {
-      console.log(`\n✗ Removed (${diff.applications.removed.length}):`);
-      for (const app of diff.applications.removed) {
-        console.log(`  - ${app.name} (${app.version})`);
-      }
-    }
-
-    if (diff.applications.updated.length > 0) {
-      console.log(`\n↑ Updated (${diff.applications.updated.length}):`);
-      for (const app of diff.applications.updated) {
-        console.log(`  ↑ ${app.name}: ${app.oldVersion} → ${app.newVersion}`);
-      }
-    }
-    console.log('');
+  if (exitCode && summary.total > 0) {
+    process.exitCode = 1;
   }
 
-  // Homebrew
-  const hasHomebrewChanges =
-    diff.homebrew.formulae.added.length > 0 || diff.homebrew.formulae.removed.length > 0 ||
-    diff.homebrew.casks.added.length > 0 || diff.homebrew.casks.removed.length > 0 ||
-    diff.homebrew.taps.added.length > 0 || diff.homebrew.taps.removed.length > 0;
-
-  if (hasHomebrewChanges) {
-    console.log('Homebrew:');
-    console.log('---------');
-
-    // Taps
-    if (diff.homebrew.taps.added.length > 0) {
-      console.log(`\n✓ Taps Added (${diff.homebrew.taps.added.length}):`);
-      for (const tap of diff.homebrew.taps.added) {
-        console.log(`  + ${tap}`);
-      }
-    }
-
-    if (diff.homebrew.taps.removed.length > 0) {
-      console.log(`\n✗ Taps Removed (${diff.homebrew.taps.removed.length}):`);
-      for (const tap of diff.homebrew.taps.removed) {
-        console.log(`  - ${tap}`);
-      }
-    }
-
-    // Formulae
-    if (diff.homebrew.formulae.added.length > 0) {
-      console.log(`\n✓ Formulae Added (${diff.homebrew.formulae.added.length}):`);
-      for (const formula of diff.homebrew.formulae.added) {
-        console.log(`  + ${formula}`);
-      }
-    }
+  if (format === 'json') {
+    console.log(JSON.stringify(buildDiffReport(diff, oldSetup, newSetup), null, 2));
+    return;
+  }
 
-    if (diff.homebrew.formulae.removed.length > 0) {
-      console.log(`\n✗ Formulae Removed (${diff.homebrew.formulae.removed.length}):`);
-      for (const formula of diff.homebrew.formulae.removed) {
-        console.log(`  - ${formula}`);
-      }
-    }
+  if (format === 'markdown') {
+    process.stdout.write(formatDiffMarkdown(diff, oldSetup, newSetup));
+    return;
+  }
 
-    // Casks
-    if (diff.homebrew.casks.added.length > 0) {
-      console.log(`\n✓ Casks Added (${diff.homebrew.casks.added.length}):`);
-      for (const cask of diff.homebrew.casks.added) {
-        console.log(`  + ${cask}`);
-      }
-    }
+  console.log('Mac Setup Diff Tool');
+  console.log('===================\n');
+  console.log(`Old: ${oldSetup.system.hostname} (captured ${oldSetup.system.captureDate})`);
+  console.log(`New: ${newSetup.system.hostname} (captured ${newSetup.system.captureDate})`);
+  if (onlyMajor) {
+    console.log('Showing major version changes only');
+  }
+  console.log('');
 
-    if (diff.homebrew.casks.removed.length > 0) {
-      console.log(`\n✗ Casks Removed (${diff.homebrew.casks.removed.length}):`);
-      for (const cask of diff.homebrew.casks.removed) {
-        console.log(`  - ${cask}`);
-      }
-    }
-    console.log('');
+  const report = formatDiffText(diff);
+  if (report) {
+    console.log(report);
   }
 
-  // Global Packages
-  const hasPackageChanges =
-    diff.globalPackages.npm.added.length > 0 || diff.globalPackages.npm.removed.length > 0 ||
-    diff.globalPackages.bun.added.length > 0 || diff.globalPackages.bun.removed.length > 0 ||
-    diff.globalPackages.dart.added.length > 0 || diff.globalPackages.dart.removed.length > 0 ||
-    diff.globalPackages.ruby.added.length > 0 || diff.globalPackages.ruby.removed.length > 0;
-
-  if (hasPackageChanges) {
-    console.log('Global Packages:');
-    console.log('----------------');
-
-    for (const manager of ['npm', 'bun', 'dart', 'ruby']) {
-      const added = diff.globalPackages[manager].added;
-      const removed = diff.globalPackages[manager].removed;
-
-      if (added.length > 0 || removed.length > 0) {
-        console.log(`\n${manager.toUpperCase()}:`);
-
-        if (added.length > 0) {
-          console.log(`  ✓ Added (${added.length}):`);
-          for (const pkg of added) {
-            console.log(`    + ${pkg}`);
-          }
-        }
-
-        if (removed.length > 0) {
-          console.log(`  ✗ Removed (${removed.length}):`);
-          for (const pkg of removed) {
-            console.log(`    - ${pkg}`);
-          }
-        }
-      }
-    }
+  if (diff.omittedSections.length > 0) {
+    console.log(`Not compared (omitted or skipped): ${diff.omittedSections.join(', ')}`);
     console.log('');
   }
 
-  // Summary
-  const totalAdded =
-    diff.applications.added.length +
-    diff.homebrew.formulae.added.length +
-    diff.homebrew.casks.added.length +
-    diff.homebrew.taps.added.length +
-    diff.globalPackages.npm.added.length +
-    diff.globalPackages.bun.added.length +
-    diff.globalPackages.dart.added.length +
-    diff.globalPackages.ruby.added.length;
-
-  const totalRemoved =
-    diff.applications.removed.length +
-    diff.homebrew.formulae.removed.length +
-    diff.homebrew.casks.removed.length +
-    diff.homebrew.taps.removed.length +
-    diff.globalPackages.npm.removed.length +
-    diff.globalPackages.bun.removed.length +
-    diff.globalPackages.dart.removed.length +
-    diff.globalPackages.ruby.removed.length;
-
-  const totalUpdated = diff.applications.updated.length;
-
   console.log('Summary:');
   console.log('--------');
-  console.log(`✓ Added:   ${totalAdded}`);
-  console.log(`✗ Removed: ${totalRemoved}`);
-  console.log(`↑ Updated: ${totalUpdated}`);
-  console.log(`  Total changes: ${totalAdded + totalRemoved + totalUpdated}`);
+  console.log(`✓ Added:   ${summary.added}`);
+  console.log(`✗ Removed: ${summary.removed}`);
+  console.log(`↑ Updated: ${summary.updated}`);
+  console.log(`  Total changes: ${summary.total}`);
 }
 
 main();
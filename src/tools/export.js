@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { validateSetup } = require('../utils/schema');
+const { toBrewfile } = require('../utils/brewfile');
+
+const FORMATS = ['brewfile'];
+
+function main() {
+  const args = process.argv.slice(2);
+  const files = [];
+  let format = null;
+  let outputFile = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--format') {
+      format = args[++i];
+    } else if (args[i] === '--output' || args[i] === '-o') {
+      outputFile = args[++i];
+    } else if (!args[i].startsWith('-')) {
+      files.push(args[i]);
+    }
+  }
+
+  if (args.includes('--help') || args.includes('-h') || files.length !== 1) {
+    console.log('Usage: node export.js <setup.json> --format brewfile [options]');
+    console.log('');
+    console.log('Export parts of a mac-setup.json in another format');
+    console.log('');
+    console.log('Options:');
+    console.log('  --format <format>    Output format (brewfile)');
+    console.log('  --output, -o <file>  Write to a file instead of stdout');
+    console.log('  --help, -h           Show this help message');
+    console.log('');
+    console.log('Example:');
+    console.log('  node export.js mac-setup.json --format brewfile -o Brewfile');
+    console.log('  brew bundle --file Brewfile');
+    process.exit(0);
+  }
+
+  if (!FORMATS.includes(format)) {
+    console.error(`Invalid --format: expected one of ${FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const setupFile = files[0];
+  if (!fs.existsSync(setupFile)) {
+    console.error(`File not found: ${setupFile}`);
+    process.exit(1);
+  }
+
+  let setup;
+  try {
+    setup = JSON.parse(fs.readFileSync(setupFile, 'utf8'));
+  } catch (error) {
+    console.error(`Error parsing ${setupFile}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const validation = validateSetup(setup);
+  if (!validation.valid) {
+    console.error('Invalid setup file:');
+    validation.errors.forEach(err => console.error(`  - ${err}`));
+    process.exit(1);
+  }
+
+  const content = toBrewfile(setup);
+
+  if (outputFile) {
+    fs.writeFileSync(outputFile, content);
+    console.log(`Brewfile saved to: ${outputFile}`);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+main();
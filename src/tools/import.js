@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { validateSetup } = require('../utils/schema');
+const { brewfileToSetup } = require('../utils/brewfile');
+const { flagValue } = require('../utils/config');
+
+function main() {
+  const args = process.argv.slice(2);
+  const files = [];
+  let outputFile = 'mac-setup-brewfile.json';
+
+  try {
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--output' || args[i] === '-o') {
+        outputFile = flagValue(args[i], args[++i], 'a path');
+      } else if (!args[i].startsWith('-')) {
+        files.push(args[i]);
+      }
+    }
+  } catch (error) {
+    if (!args.includes('--help') && !args.includes('-h')) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+
+  if (args.includes('--help') || args.includes('-h') || files.length !== 1) {
+    console.log('Usage: node import.js <Brewfile> [options]');
+    console.log('');
+    console.log('Convert a Brewfile into the mac-setup.json schema so it can be');
+    console.log('validated, applied or compared with diff.js');
+    console.log('');
+    console.log('Options:');
+    console.log('  --output, -o <file>  Output file (default: mac-setup-brewfile.json)');
+    console.log('  --help, -h           Show this help message');
+    console.log('');
+    console.log('Example:');
+    console.log('  node import.js ~/project/Brewfile -o team.json');
+    console.log('  node diff.js team.json mac-setup.json');
+    process.exit(0);
+  }
+
+  const brewfile = files[0];
+  if (!fs.existsSync(brewfile)) {
+    console.error(`File not found: ${brewfile}`);
+    process.exit(1);
+  }
+
+  const { setup, unsupported } = brewfileToSetup(fs.readFileSync(brewfile, 'utf8'), {
+    source: path.resolve(brewfile)
+  });
+
+  const validation = validateSetup(setup);
+  if (!validation.valid) {
+    console.error('Imported setup is invalid:');
+    validation.errors.forEach(err => console.error(`  - ${err}`));
+    process.exit(1);
+  }
+
+  console.log(`Taps: ${setup.homebrew.taps.length}`);
+  console.log(`Formulae: ${setup.homebrew.formulae.length}`);
+  console.log(`Casks: ${setup.homebrew.casks.length}`);
+  console.log(`Mac App Store apps: ${setup.masApps.length}`);
+
+  if (unsupported.length > 0) {
+    console.warn(`\n⚠️  Ignored ${unsupported.length} unsupported line(s):`);
+    for (const entry of unsupported) {
+      console.warn(`   line ${entry.line}: ${entry.text}`);
+    }
+  }
+
+  fs.writeFileSync(outputFile, JSON.stringify(setup, null, 2));
+  console.log(`\nSetup saved to: ${outputFile}`);
+}
+
+main();
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const {
+  SECTIONS,
+  diffSetups,
+  validateSetup,
+  parseSectionList,
+  selectSections,
+  isSectionOmitted
+} = require('../utils/schema');
+const { resolveConfig } = require('../utils/config');
+const {
+  COMPLIANCE_TITLES,
+  summarizeCompliance,
+  formatDiffText,
+  buildDiffReport
+} = require('../utils/diff-report');
+const { collectorOptionsFor, captureSetup } = require('./capture');
+
+const VERIFY_FORMATS = ['text', 'json'];
+
+function main() {
+  const args = process.argv.slice(2);
+  let setupFile = null;
+  let format = 'text';
+  let only = null;
+  let skip = null;
+
+  try {
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--config') {
+        i++;
+      } else if (args[i] === '--format') {
+        format = args[++i];
+      } else if (args[i] === '--only') {
+        only = parseSectionList(args[++i]);
+      } else if (args[i] === '--skip') {
+        skip = parseSectionList(args[++i]);
+      } else if (!args[i].startsWith('-') && !setupFile) {
+        setupFile = args[i];
+      }
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log('Usage: node verify.js <mac-setup.json> [options]');
+    console.log('');
+    console.log('Check this Mac against a blueprint: captures the current state and reports');
+    console.log('what is missing, extra or different. Exits with status 1 if anything is missing.');
+    console.log('');
+    console.log('Options:');
+    console.log('  --format <fmt>   Output format: text (default) or json');
+    console.log('  --config <file>  Use this config file instead of .macblueprintrc');
+    console.log('  --only <list>    Check only these sections (comma-separated, e.g. homebrew,globalPackages)');
+    console.log('  --skip <list>    Leave these sections out (comma-separated)');
+    console.log(`                   Sections: ${SECTIONS.join(', ')}`);
+    console.log('  --help, -h       Show this help message');
+    process.exit(0);
+  }
+
+  if (!setupFile) {
+    console.error('Usage: node verify.js <mac-setup.json> [options]');
+    console.error('');
+    console.error('Run with --help for more information');
+    process.exit(1);
+  }
+
+  if (!VERIFY_FORMATS.includes(format)) {
+    console.error(`Invalid --format: expected one of ${VERIFY_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  let config;
+  try {
+    config = resolveConfig(args).config;
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(setupFile)) {
+    console.error(`File not found: ${setupFile}`);
+    process.exit(1);
+  }
+
+  let blueprint;
+  try {
+    blueprint = JSON.parse(fs.readFileSync(setupFile, 'utf8'));
+  } catch (error) {
+    console.error(`Error parsing JSON file: ${error.message}`);
+    process.exit(1);
+  }
+
+  const validation = validateSetup(blueprint);
+  if (!validation.valid) {
+    console.error('Invalid setup file:');
+    for (const error of validation.errors) {
+      console.error(`  - ${error}`);
+    }
+    process.exit(1);
+  }
+
+  // Only capture what the blueprint has something to say about
+  const sections = selectSections({ only, skip: skip || config.skip })
+    .filter(section => !isSectionOmitted(blueprint, section));
+
+  if (format === 'text') {
+    console.log('Mac Setup Verify Tool');
+    console.log('=====================\n');
+    console.log(`Blueprint: ${blueprint.system.hostname} (captured ${blueprint.system.captureDate})`);
+    console.log(`Checking: ${sections.join(', ')}\n`);
+  }
+
+  const live = captureSetup(sections, collectorOptionsFor(config));
+  const diff = diffSetups(blueprint, live);
+  const compliance = summarizeCompliance(diff);
+
+  if (!compliance.compliant) {
+    process.exitCode = 1;
+  }
+
+  if (format === 'json') {
+    console.log(JSON.stringify({ ...buildDiffReport(diff, blueprint, live), compliance }, null, 2));
+    return;
+  }
+
+  const report = formatDiffText(diff, { titles: COMPLIANCE_TITLES });
+  if (report) {
+    console.log(report);
+  }
+
+  if (diff.omittedSections.length > 0) {
+    console.log(`Not checked (omitted or skipped): ${diff.omittedSections.join(', ')}`);
+    console.log('');
+  }
+
+  console.log('Summary:');
+  console.log('--------');
+  console.log(`✗ Missing:   ${compliance.missing}`);
+  console.log(`✓ Extra:     ${compliance.extra}`);
+  console.log(`↑ Different: ${compliance.different}`);
+  console.log('');
+  console.log(compliance.compliant
+    ? '✓ This Mac has everything in the blueprint'
+    : `✗ This Mac is missing ${compliance.missing} item(s) from the blueprint`);
+}
+
+main();
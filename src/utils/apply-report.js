@@ -0,0 +1,104 @@
+/**
+ * Per-package outcome tracking for apply.js runs
+ */
+
+const ITEM_STATUSES = ['done', 'planned', 'unchanged', 'skipped', 'failed'];
+
+/**
+ * Creates an empty apply report
+ * @param {Object} meta - Run details recorded at the top of the report (setup file, options...)
+ * @param {Date} now - Start time (default: now)
+ * @returns {Object} - Report with startedAt, meta fields and an empty items list
+ */
+function createApplyReport(meta = {}, now = new Date()) {
+  return {
+    startedAt: now.toISOString(),
+    finishedAt: null,
+    ...meta,
+    items: []
+  };
+}
+
+/**
+ * Records the outcome for one package, file or setting
+ * @param {Object} report - Report from createApplyReport
+ * @param {string} step - Step name (taps, formulae, casks, masApps, ...)
+ * @param {string} name - Item name
+ * @param {string} status - One of done, planned, unchanged, skipped, failed
+ * @param {string} reason - Optional explanation (shown for skipped and failed items)
+ */
+function recordItem(report, step, name, status, reason = null) {
+  if (!ITEM_STATUSES.includes(status)) {
+    throw new Error(`Unknown apply status: ${status}`);
+  }
+
+  const item = { step, name, status };
+  if (reason) {
+    item.reason = reason;
+  }
+  report.items.push(item);
+}
+
+/**
+ * Counts outcomes per step and overall
+ * @param {Object} report - Report from createApplyReport
+ * @returns {Object} - { steps: { [step]: counts }, totals: counts } with one count per status
+ */
+function summarizeApplyReport(report) {
+  const emptyCounts = () => Object.fromEntries(ITEM_STATUSES.map(status => [status, 0]));
+  const summary = { steps: {}, totals: emptyCounts() };
+
+  for (const item of report.items) {
+    summary.steps[item.step] = summary.steps[item.step] || emptyCounts();
+    summary.steps[item.step][item.status]++;
+    summary.totals[item.status]++;
+  }
+
+  return summary;
+}
+
+/**
+ * Completes a report with its summary and exit code
+ * @param {Object} report - Report from createApplyReport
+ * @param {Date} now - Finish time (default: now)
+ * @returns {Object} - The same report with finishedAt, summary, failures and exitCode
+ *   (1 if anything failed, including --verify checks stored in report.verification)
+ */
+function finishApplyReport(report, now = new Date()) {
+  report.finishedAt = now.toISOString();
+  report.summary = summarizeApplyReport(report);
+  report.failures = report.items.filter(item => item.status === 'failed');
+  const verifyFailed = report.verification ? report.verification.summary.fail > 0 : false;
+  report.exitCode = report.failures.length > 0 || verifyFailed ? 1 : 0;
+  return report;
+}
+
+/**
+ * Renders the per-step summary as a text table
+ * @param {Object} summary - Summary from summarizeApplyReport
+ * @returns {string} - Table with one row per step and a total row
+ */
+function formatApplySummary(summary) {
+  const headers = ['Step', 'Done', 'Planned', 'Unchanged', 'Skipped', 'Failed'];
+  const row = (label, counts) => [label, ...ITEM_STATUSES.map(status => String(counts[status]))];
+  const rows = Object.entries(summary.steps).map(([step, counts]) => row(step, counts));
+  rows.push(row('Total', summary.totals));
+
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(cells => cells[i].length)));
+  const format = cells => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+
+  return [
+    format(headers),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...rows.map(format)
+  ].join('\n');
+}
+
+module.exports = {
+  ITEM_STATUSES,
+  createApplyReport,
+  recordItem,
+  summarizeApplyReport,
+  finishApplyReport,
+  formatApplySummary
+};
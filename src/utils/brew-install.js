@@ -0,0 +1,102 @@
+/**
+ * Batched Homebrew installs with a per-package fallback when a batch fails
+ */
+
+/**
+ * Output patterns for classifying a failed `brew install`, checked in order
+ */
+const BREW_FAILURE_PATTERNS = [
+  {
+    kind: 'already-installed',
+    regex: /is already installed|already an App at|already a Binary at/i
+  },
+  {
+    kind: 'unknown',
+    regex: /No available (?:formula|cask)|No formulae or casks found|No (?:formula|cask) with (?:this|the) name|is unavailable|has been (?:disabled|deprecated and removed)/i
+  },
+  {
+    kind: 'conflict',
+    regex: /conflicts? with|Could not symlink|Cannot install .* because|is keg-only and another version is linked/i
+  },
+  {
+    kind: 'network',
+    regex: /Failed to download|curl: \(\d+\)|Could not resolve host|Connection (?:timed out|refused|reset)|Operation timed out|Network is unreachable|SSL/i
+  }
+];
+
+/**
+ * Works out why a single-package `brew install` failed
+ * @param {string} output - Combined stdout and stderr of the command
+ * @returns {string} - unknown, already-installed, conflict, network or other
+ */
+function classifyBrewFailure(output) {
+  const match = BREW_FAILURE_PATTERNS.find(pattern => pattern.regex.test(output || ''));
+  return match ? match.kind : 'other';
+}
+
+/**
+ * Picks the line that best explains a failure
+ * @param {string} output - Command output
+ * @returns {string} - First "Error:" line, or the last non-empty line
+ */
+function failureMessage(output) {
+  const lines = (output || '').split('\n').map(line => line.trim()).filter(Boolean);
+  return lines.find(line => line.startsWith('Error:')) || lines[lines.length - 1] || 'install command failed';
+}
+
+/**
+ * Installs packages in batches, retrying a failed batch one package at a time
+ * so one bad name does not keep the rest of its batch from being installed
+ * @param {Array<string>} names - Sanitized package names
+ * @param {Object} options - Install options
+ * @param {number} options.batchSize - Packages per batch
+ * @param {Function} options.installBatch - (names) => boolean, runs one batch command
+ * @param {Function} options.installOne - (name) => { ok, stdout, stderr, error } for the retry
+ * @param {Function} options.onBatch - Optional (index, count, batch) callback before each batch
+ * @returns {Array<Object>} - One outcome per package: { name, status, kind, message } where status
+ *   is installed, already-installed or failed and kind classifies failures
+ */
+function installWithFallback(names, options) {
+  const { batchSize, installBatch, installOne, onBatch } = options;
+  const outcomes = [];
+
+  const batches = [];
+  for (let i = 0; i < names.length; i += batchSize) {
+    batches.push(names.slice(i, i + batchSize));
+  }
+
+  batches.forEach((batch, index) => {
+    if (onBatch) {
+      onBatch(index, batches.length, batch);
+    }
+
+    if (installBatch(batch)) {
+      outcomes.push(...batch.map(name => ({ name, status: 'installed' })));
+      return;
+    }
+
+    for (const name of batch) {
+      const result = installOne(name);
+      if (result.ok) {
+        outcomes.push({ name, status: 'installed' });
+        continue;
+      }
+
+      const output = [result.stdout, result.stderr, result.error].filter(Boolean).join('\n');
+      const kind = classifyBrewFailure(output);
+      outcomes.push({
+        name,
+        status: kind === 'already-installed' ? 'already-installed' : 'failed',
+        kind,
+        message: failureMessage(output)
+      });
+    }
+  });
+
+  return outcomes;
+}
+
+module.exports = {
+  classifyBrewFailure,
+  installWithFallback
+};
@@ -0,0 +1,176 @@
+const { SECTIONS, createEmptySetup } = require('./schema');
+
+/**
+ * Quotes a value as a Ruby string literal for a Brewfile
+ * @param {string} value - Value to quote
+ * @returns {string} - Double-quoted string
+ */
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Turns the Homebrew and Mac App Store parts of a setup into a Brewfile
+ * @param {Object} setup - Captured setup
+ * @returns {string} - Brewfile content usable with `brew bundle`
+ */
+function toBrewfile(setup) {
+  const homebrew = setup.homebrew || {};
+  const lines = [];
+  const name = entry => (typeof entry === 'string' ? entry : entry.name);
+
+  if (setup.system) {
+    lines.push(`# Generated by mac-blueprint from ${setup.system.hostname} (captured ${setup.system.captureDate})`);
+    lines.push('');
+  }
+
+  const groups = [
+    ['tap', homebrew.taps || []],
+    ['brew', homebrew.formulae || []],
+    ['cask', homebrew.casks || []]
+  ];
+  for (const [directive, entries] of groups) {
+    if (entries.length === 0) {
+      continue;
+    }
+    for (const entry of entries) {
+      lines.push(`${directive} ${quote(name(entry))}`);
+    }
+    lines.push('');
+  }
+
+  const masApps = (setup.masApps || []).filter(app => app.id);
+  for (const app of masApps) {
+    lines.push(`mas ${quote(app.name)}, id: ${app.id}`);
+  }
+  if (masApps.length > 0) {
+    lines.push('');
+  }
+
+  return lines.join('\n').replace(/\n+$/, '\n');
+}
+
+/**
+ * Reads the quoted string at the start of a Brewfile argument list
+ * @param {string} text - Text starting with a quoted string
+ * @returns {Object|null} - { value, rest } or null if the text does not start with a string
+ */
+function readString(text) {
+  const match = text.match(/^\s*(["'])((?:\\.|(?!\1).)*)\1/);
+  if (!match) {
+    return null;
+  }
+  return {
+    value: match[2].replace(/\\(.)/g, '$1'),
+    rest: text.slice(match[0].length)
+  };
+}
+
+/**
+ * Removes a trailing Ruby comment from a Brewfile line, leaving '#' inside quoted strings alone
+ * @param {string} line - Brewfile line
+ * @returns {string} - Line without its comment
+ */
+function stripComment(line) {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+
+  return line;
+}
+
+/**
+ * Parses a Brewfile into taps, formulae, casks and Mac App Store apps
+ * @param {string} content - Brewfile content
+ * @returns {Object} - { taps, formulae, casks, masApps, unsupported } where unsupported
+ *   lists lines (with line number) that were not understood
+ */
+function parseBrewfile(content) {
+  const result = {
+    taps: [],
+    formulae: [],
+    casks: [],
+    masApps: [],
+    unsupported: []
+  };
+
+  (content || '').split('\n').forEach((raw, idx) => {
+    const line = stripComment(raw).trim();
+    if (!line) {
+      return;
+    }
+
+    const directive = line.match(/^(\w+)\s*\(?\s*(.*)$/);
+    const arg = directive ? readString(directive[2]) : null;
+    if (!arg) {
+      result.unsupported.push({ line: idx + 1, text: raw.trim() });
+      return;
+    }
+
+    const kind = directive[1];
+    const id = arg.rest.match(/id:\s*(\d+)/);
+    if (kind === 'tap') {
+      result.taps.push(arg.value);
+    } else if (kind === 'brew') {
+      result.formulae.push({ name: arg.value });
+    } else if (kind === 'cask') {
+      result.casks.push({ name: arg.value });
+    } else if (kind === 'mas' && id) {
+      result.masApps.push({ id: id[1], name: arg.value });
+    } else {
+      result.unsupported.push({ line: idx + 1, text: raw.trim() });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Builds a setup object from a Brewfile so it can be validated and diffed
+ * @param {string} content - Brewfile content
+ * @param {Object} options - Import options
+ * @param {string} options.source - Name recorded as the hostname (default: 'Brewfile')
+ * @param {Date} options.now - Import time recorded as captureDate (default: now)
+ * @returns {Object} - { setup, unsupported } with every non-Homebrew section marked as omitted
+ */
+function brewfileToSetup(content, options = {}) {
+  const { source = 'Brewfile', now = new Date() } = options;
+  const parsed = parseBrewfile(content);
+  const setup = createEmptySetup();
+
+  setup.system.hostname = source;
+  setup.system.captureDate = now.toISOString();
+  setup.homebrew = {
+    taps: parsed.taps,
+    formulae: parsed.formulae,
+    casks: parsed.casks
+  };
+  setup.masApps = parsed.masApps;
+
+  // A Brewfile says nothing about the other sections
+  setup.omittedSections = SECTIONS.filter(section => section !== 'homebrew' && section !== 'masApps');
+  for (const section of setup.omittedSections) {
+    delete setup[section];
+  }
+
+  return { setup, unsupported: parsed.unsupported };
+}
+
+module.exports = {
+  toBrewfile,
+  parseBrewfile,
+  brewfileToSetup
+};
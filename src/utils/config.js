@@ -0,0 +1,288 @@
+/**
+ * Project configuration (.macblueprintrc) shared by capture, apply and diff
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SECTIONS } = require('./schema');
+
+const CONFIG_FILE = '.macblueprintrc';
+
+/**
+ * Shell config files captured when the config does not override the list
+ */
+const DEFAULT_SHELL_CONFIGS = [
+  '.zshrc',
+  '.bashrc',
+  '.bash_profile',
+  '.profile',
+  '.zshenv',
+  '.config/fish/config.fish'
+];
+
+/**
+ * Apply options that the config file may switch on by default
+ */
+const APPLY_OPTIONS = {
+  installGlobalPackages: 'boolean',
+  installMas: 'boolean',
+  verify: 'boolean',
+  restoreShellConfigs: 'boolean',
+  allowRedacted: 'boolean',
+  applyGitConfig: 'boolean',
+  gitPolicy: 'string',
+  cloneRepos: 'boolean',
+  cloneConcurrency: 'number',
+  pinVersions: 'boolean',
+  installRuntimes: 'boolean',
+  installExtensions: 'boolean',
+  restoreEditorSettings: 'boolean',
+  applyDefaults: 'boolean'
+};
+
+const DEFAULT_CONFIG = {
+  output: 'mac-setup.json',
+  historyDir: 'mac-setup-history',
+  retention: {},
+  repoRoots: ['~/Documents/github'],
+  repoDepth: 1,
+  homeBin: '~/bin',
+  shellConfigs: DEFAULT_SHELL_CONFIGS,
+  dotfiles: [],
+  skip: [],
+  redactSecrets: false,
+  redactPatterns: [],
+  macosDefaults: {},
+  apply: {}
+};
+
+/**
+ * Expands a leading ~ to the home directory
+ * @param {string} filePath - Path that may start with ~
+ * @param {string} home - Home directory (default: $HOME)
+ * @returns {string} - Expanded path
+ */
+function expandHome(filePath, home = process.env.HOME) {
+  if (filePath === '~') {
+    return home;
+  }
+  if (filePath.startsWith('~/')) {
+    return path.join(home, filePath.slice(2));
+  }
+  return filePath;
+}
+
+/**
+ * Loads .macblueprintrc from the working directory, falling back to the home directory
+ * @param {Object} options - Lookup options
+ * @param {string} options.cwd - Working directory (default: process.cwd())
+ * @param {string} options.home - Home directory (default: $HOME)
+ * @param {string} options.configPath - Explicit config file; must exist when given
+ * @returns {Object} - { config, path } where path is null if no file was found
+ */
+function loadConfig(options = {}) {
+  const { cwd = process.cwd(), home = process.env.HOME, configPath = null } = options;
+  const candidates = [];
+
+  if (configPath) {
+    const explicit = path.resolve(cwd, expandHome(configPath, home));
+    if (!fs.existsSync(explicit)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    candidates.push(explicit);
+  } else {
+    candidates.push(path.join(cwd, CONFIG_FILE));
+    if (home) {
+      candidates.push(path.join(home, CONFIG_FILE));
+    }
+  }
+
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate)) {
+      let config;
+      try {
+        config = JSON.parse(fs.readFileSync(candidate, 'utf8'));
+      } catch (error) {
+        throw new Error(`Error parsing ${candidate}: ${error.message}`);
+      }
+      return { config, path: candidate };
+    }
+  }
+
+  return { config: {}, path: null };
+}
+
+/**
+ * Validates the structure of a config object
+ * @param {Object} config - Config loaded from .macblueprintrc
+ * @returns {Object} - Validation result with { valid: boolean, errors: Array }
+ */
+function validateConfig(config) {
+  const errors = [];
+  const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    return { valid: false, errors: ['Config must be a JSON object'] };
+  }
+
+  if (config.output !== undefined && typeof config.output !== 'string') {
+    errors.push('Invalid field: output must be a string');
+  }
+  if (config.homeBin !== undefined && typeof config.homeBin !== 'string') {
+    errors.push('Invalid field: homeBin must be a string');
+  }
+  if (config.historyDir !== undefined && typeof config.historyDir !== 'string') {
+    errors.push('Invalid field: historyDir must be a string');
+  }
+  if (config.retention !== undefined) {
+    if (typeof config.retention !== 'object' || config.retention === null || Array.isArray(config.retention)) {
+      errors.push('Invalid field: retention must be an object');
+    } else {
+      for (const [key, value] of Object.entries(config.retention)) {
+        if (key !== 'keepLast' && key !== 'keepMonthly') {
+          errors.push(`Invalid field: retention.${key} is not a known option`);
+        } else if (!(Number.isInteger(value) && value > 0)) {
+          errors.push(`Invalid field: retention.${key} must be a positive integer`);
+        }
+      }
+    }
+  }
+  for (const field of ['repoRoots', 'shellConfigs', 'dotfiles', 'skip']) {
+    if (config[field] !== undefined && !isStringArray(config[field])) {
+      errors.push(`Invalid field: ${field} must be an array of strings`);
+    }
+  }
+  if (config.repoDepth !== undefined && !(Number.isInteger(config.repoDepth) && config.repoDepth > 0)) {
+    errors.push('Invalid field: repoDepth must be a positive integer');
+  }
+  if (isStringArray(config.skip)) {
+    for (const section of config.skip) {
+      if (!SECTIONS.includes(section)) {
+        errors.push(`Invalid field: skip contains unknown section '${section}'`);
+      }
+    }
+  }
+  if (config.redactSecrets !== undefined && typeof config.redactSecrets !== 'boolean') {
+    errors.push('Invalid field: redactSecrets must be a boolean');
+  }
+  if (config.redactPatterns !== undefined) {
+    if (!Array.isArray(config.redactPatterns)) {
+      errors.push('Invalid field: redactPatterns must be an array');
+    } else {
+      config.redactPatterns.forEach((pattern, idx) => {
+        if (!pattern || typeof pattern.name !== 'string' || typeof pattern.regex !== 'string') {
+          errors.push(`Invalid redact pattern at index ${idx}: needs 'name' and 'regex' strings`);
+          return;
+        }
+        try {
+          new RegExp(pattern.regex);
+        } catch (error) {
+          errors.push(`Invalid redact pattern at index ${idx}: ${error.message}`);
+        }
+      });
+    }
+  }
+  if (config.macosDefaults !== undefined) {
+    if (typeof config.macosDefaults !== 'object' || config.macosDefaults === null || Array.isArray(config.macosDefaults)) {
+      errors.push('Invalid field: macosDefaults must be an object');
+    } else {
+      for (const [domain, keys] of Object.entries(config.macosDefaults)) {
+        if (!isStringArray(keys)) {
+          errors.push(`Invalid field: macosDefaults.${domain} must be an array of strings`);
+        }
+      }
+    }
+  }
+  if (config.apply !== undefined) {
+    if (typeof config.apply !== 'object' || config.apply === null) {
+      errors.push('Invalid field: apply must be an object');
+    } else {
+      for (const [key, value] of Object.entries(config.apply)) {
+        if (!APPLY_OPTIONS[key]) {
+          errors.push(`Invalid field: apply.${key} is not a known option`);
+        } else if (typeof value !== APPLY_OPTIONS[key]) {
+          errors.push(`Invalid field: apply.${key} must be a ${APPLY_OPTIONS[key]}`);
+        }
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Compiles configured redaction patterns into the form used by detectSecrets/redactSecrets
+ * @param {Array<Object>} patterns - Patterns with name and regex source string
+ * @returns {Array<Object>} - Patterns with name and a global, case-insensitive RegExp
+ */
+function compileRedactPatterns(patterns = []) {
+  return patterns.map(pattern => ({
+    name: pattern.name,
+    regex: new RegExp(pattern.regex, 'gi')
+  }));
+}
+
+/**
+ * Finds the value of --config in an argument list
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {string|null} - Config path, or null if not given
+ */
+function getConfigArg(args) {
+  const idx = args.indexOf('--config');
+  return idx >= 0 && idx + 1 < args.length ? args[idx + 1] : null;
+}
+
+/**
+ * Checks that a flag was given a value rather than nothing or another flag
+ * @param {string} flag - Flag being parsed (e.g. --repo-root)
+ * @param {string|undefined} value - Argument following the flag
+ * @param {string} expected - What the flag expects, for the error message
+ * @returns {string} - The value
+ */
+function flagValue(flag, value, expected) {
+  if (value === undefined || value.startsWith('-')) {
+    throw new Error(`Invalid ${flag}: expected ${expected}`);
+  }
+  return value;
+}
+
+/**
+ * Loads, validates and fills in defaults for the config used by a tool
+ * @param {Array<string>} args - Command-line arguments (for --config)
+ * @param {Object} options - Lookup options passed to loadConfig
+ * @returns {Object} - { config, path } with every default field present
+ */
+function resolveConfig(args = [], options = {}) {
+  const loaded = loadConfig({ ...options, configPath: getConfigArg(args) });
+  const validation = validateConfig(loaded.config);
+
+  if (!validation.valid) {
+    throw new Error(`Invalid config file ${loaded.path}:\n  - ${validation.errors.join('\n  - ')}`);
+  }
+
+  return {
+    config: {
+      ...DEFAULT_CONFIG,
+      ...loaded.config,
+      retention: { ...DEFAULT_CONFIG.retention, ...(loaded.config.retention || {}) },
+      apply: { ...DEFAULT_CONFIG.apply, ...(loaded.config.apply || {}) }
+    },
+    path: loaded.path
+  };
+}
+
+module.exports = {
+  CONFIG_FILE,
+  DEFAULT_SHELL_CONFIGS,
+  DEFAULT_CONFIG,
+  expandHome,
+  loadConfig,
+  validateConfig,
+  compileRedactPatterns,
+  getConfigArg,
+  flagValue,
+  resolveConfig
+};
@@ -0,0 +1,315 @@
+/**
+ * Plain-text, JSON and Markdown reports of a diff from diffSetups
+ */
+
+const { PACKAGE_MANAGERS } = require('./package-managers');
+
+const DIFF_FORMATS = ['text', 'json', 'markdown'];
+
+const SECTION_TITLES = {
+  applications: 'Applications',
+  masApps: 'Mac App Store Apps',
+  homebrew: 'Homebrew',
+  binaries: 'Binaries',
+  homeBin: '~/bin',
+  githubRepos: 'Repositories',
+  globalPackages: 'Global Packages',
+  shellConfigs: 'Shell Configs',
+  gitConfig: 'Git Config',
+  versionManagers: 'Version Managers',
+  toolManagers: 'Tool Managers',
+  toolVersionFiles: 'Tool Version Files',
+  editors: 'Editors',
+  macosDefaults: 'macOS Defaults',
+  menubarConfig: 'Menu Bar & Login Items'
+};
+
+const GROUP_LABELS = {
+  taps: 'Taps',
+  formulae: 'Formulae',
+  casks: 'Casks',
+  ...Object.fromEntries(Object.entries(PACKAGE_MANAGERS).map(([manager, { title }]) => [manager, title])),
+  settings: 'Settings',
+  globalGitignore: '.gitignore_global',
+  loginItems: 'Login Items',
+  launchAgents: 'Launch Agents',
+  plugins: 'Plugins',
+  extensions: 'Extensions',
+  files: 'Files',
+  vscode: 'VS Code',
+  cursor: 'Cursor',
+  vscodium: 'VSCodium'
+};
+
+// Headings used when the old setup is a blueprint and the new one is the live machine
+const COMPLIANCE_TITLES = { added: 'Extra', removed: 'Missing', updated: 'Different' };
+
+const KINDS = [
+  { key: 'added', title: 'Added', mark: '+', glyph: '✓' },
+  { key: 'removed', title: 'Removed', mark: '-', glyph: '✗' },
+  { key: 'updated', title: 'Updated', mark: '↑', glyph: '↑' }
+];
+
+/**
+ * Collects every { added, removed, updated } group in a diff section
+ * @param {Object} node - Diff section or sub-section
+ * @param {Array<string>} trail - Keys leading to this node
+ * @returns {Array<Object>} - Groups with path (e.g. ['homebrew', 'casks']) and the group itself
+ */
+function collectGroups(node, trail = []) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return [];
+  }
+  if (Array.isArray(node.added) || Array.isArray(node.removed) || Array.isArray(node.updated)) {
+    return [{ path: trail, group: node }];
+  }
+  return Object.entries(node).flatMap(([key, child]) => collectGroups(child, trail.concat(key)));
+}
+
+/**
+ * Counts added, removed and updated items in a diff from diffSetups
+ * @param {Object} diff - Diff object
+ * @returns {Object} - { added, removed, updated, total, sections } with per-section counts
+ */
+function summarizeDiff(diff) {
+  const summary = { added: 0, removed: 0, updated: 0, total: 0, sections: {} };
+
+  for (const [section, node] of Object.entries(diff)) {
+    if (section === 'omittedSections') {
+      continue;
+    }
+    const counts = { added: 0, removed: 0, updated: 0 };
+    for (const { group } of collectGroups(node)) {
+      counts.added += (group.added || []).length;
+      counts.removed += (group.removed || []).length;
+      counts.updated += (group.updated || []).length;
+    }
+    summary.sections[section] = counts;
+    summary.added += counts.added;
+    summary.removed += counts.removed;
+    summary.updated += counts.updated;
+  }
+
+  summary.total = summary.added + summary.removed + summary.updated;
+  return summary;
+}
+
+/**
+ * Reads a blueprint-to-machine diff as a compliance result
+ * @param {Object} diff - Diff from diffSetups(blueprint, live)
+ * @returns {Object} - { missing, extra, different, compliant } where compliant means nothing is missing
+ */
+function summarizeCompliance(diff) {
+  const summary = summarizeDiff(diff);
+  return {
+    missing: summary.removed,
+    extra: summary.added,
+    different: summary.updated,
+    compliant: summary.removed === 0
+  };
+}
+
+/**
+ * Formats one diff item for a report line
+ * @param {string|Object} item - Name, or an added/removed/updated entry from diffSetups
+ * @returns {string} - Display text
+ */
+function describeItem(item) {
+  if (typeof item === 'string') {
+    return item;
+  }
+  if (item.oldVersion !== undefined || item.newVersion !== undefined) {
+    const tags = [item.change, item.direction === 'downgrade' ? 'downgrade' : null]
+      .filter(tag => tag && tag !== 'other');
+    return `${item.name}: ${item.oldVersion} → ${item.newVersion}${tags.length > 0 ? ` (${tags.join(' ')})` : ''}`;
+  }
+  if (item.oldValue !== undefined) {
+    return `${item.name}: ${item.oldValue} → ${item.newValue}`;
+  }
+  if (item.changes) {
+    return `${item.name}: ${item.changes.join(', ')}`;
+  }
+  if (item.linesAdded !== undefined) {
+    return `${item.name}: +${item.linesAdded} -${item.linesRemoved} lines`;
+  }
+  if (item.value !== undefined) {
+    return `${item.name} = ${item.value}`;
+  }
+  if (item.remoteUrl) {
+    return `${item.name} (${item.remoteUrl})`;
+  }
+  if (item.lines !== undefined) {
+    return `${item.name} (${item.lines} lines)`;
+  }
+  return item.version ? `${item.name} (${item.version})` : item.name;
+}
+
+/**
+ * Lists the changed sections of a diff with their non-empty groups, in diff order
+ * @param {Object} diff - Diff object
+ * @returns {Array<Object>} - Sections with section, title and groups ({ label, key, items })
+ */
+function changedSections(diff) {
+  const summary = summarizeDiff(diff);
+  const sections = [];
+
+  for (const [section, node] of Object.entries(diff)) {
+    const counts = summary.sections[section];
+    if (!counts || counts.added + counts.removed + counts.updated === 0) {
+      continue;
+    }
+
+    const groups = [];
+    for (const { path, group } of collectGroups(node)) {
+      const label = path.map(key => GROUP_LABELS[key] || key).join(' ');
+      for (const kind of KINDS) {
+        if ((group[kind.key] || []).length > 0) {
+          groups.push({ ...kind, label, items: group[kind.key] });
+        }
+      }
+    }
+    sections.push({ section, title: SECTION_TITLES[section] || section, groups });
+  }
+
+  return sections;
+}
+
+/**
+ * Builds the heading of one group, e.g. 'Casks Added' or 'Missing'
+ * @param {Object} group - Group from changedSections
+ * @param {Object} titles - Replacement headings per kind, e.g. { removed: 'Missing' }
+ * @returns {string} - Heading without the item count
+ */
+function groupHeading(group, titles = {}) {
+  const kindTitle = titles[group.key] || group.title;
+  return group.label ? `${group.label} ${kindTitle}` : kindTitle;
+}
+
+/**
+ * Renders a diff as the plain-text report printed by diff.js
+ * @param {Object} diff - Diff object
+ * @param {Object} options - Formatting options
+ * @param {Object} options.titles - Replacement headings per kind, e.g. { removed: 'Missing' }
+ * @returns {string} - Report with one block per changed section, without the header or summary
+ */
+function formatDiffText(diff, options = {}) {
+  const { titles = {} } = options;
+  const lines = [];
+
+  for (const { title, groups } of changedSections(diff)) {
+    lines.push(`${title}:`, '-'.repeat(title.length + 1));
+    for (const group of groups) {
+      lines.push('', `${group.glyph} ${groupHeading(group, titles)} (${group.items.length}):`);
+      for (const item of group.items) {
+        lines.push(`  ${group.mark} ${describeItem(item)}`);
+        if (item.diff) {
+          lines.push(...item.diff.split('\n').map(line => `      ${line}`));
+        }
+      }
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Narrows a diff to major version changes, dropping additions, removals and smaller updates
+ * @param {Object} diff - Diff object from diffSetups
+ * @returns {Object} - Copy of the diff with the same shape
+ */
+function onlyMajorChanges(diff) {
+  const filter = node => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      return node;
+    }
+    if (Array.isArray(node.added) || Array.isArray(node.removed) || Array.isArray(node.updated)) {
+      const group = {};
+      for (const [key, items] of Object.entries(node)) {
+        group[key] = key === 'updated' ? items.filter(item => item.change === 'major') : [];
+      }
+      return group;
+    }
+    return Object.fromEntries(Object.entries(node).map(([key, child]) => [key, filter(child)]));
+  };
+
+  return { ...filter(diff), omittedSections: diff.omittedSections };
+}
+
+/**
+ * Builds the JSON document printed by diff.js --format json
+ * @param {Object} diff - Diff object
+ * @param {Object} oldSetup - Old setup
+ * @param {Object} newSetup - New setup
+ * @returns {Object} - { old, new, summary, omittedSections, diff }
+ */
+function buildDiffReport(diff, oldSetup, newSetup) {
+  const source = setup => ({
+    hostname: setup.system.hostname,
+    captureDate: setup.system.captureDate,
+    version: setup.version
+  });
+
+  return {
+    old: source(oldSetup),
+    new: source(newSetup),
+    summary: summarizeDiff(diff),
+    omittedSections: diff.omittedSections || [],
+    diff
+  };
+}
+
+/**
+ * Renders a diff as Markdown for pull requests and wiki pages
+ * @param {Object} diff - Diff object
+ * @param {Object} oldSetup - Old setup
+ * @param {Object} newSetup - New setup
+ * @returns {string} - Markdown document
+ */
+function formatDiffMarkdown(diff, oldSetup, newSetup) {
+  const summary = summarizeDiff(diff);
+  const lines = [
+    '# Mac Setup Diff',
+    '',
+    `- **Old:** ${oldSetup.system.hostname} (captured ${oldSetup.system.captureDate})`,
+    `- **New:** ${newSetup.system.hostname} (captured ${newSetup.system.captureDate})`,
+    ''
+  ];
+
+  for (const { title, groups } of changedSections(diff)) {
+    lines.push(`## ${title}`, '');
+    for (const group of groups) {
+      lines.push(`**${groupHeading(group)} (${group.items.length})**`, '');
+      for (const item of group.items) {
+        lines.push(`- ${group.mark} \`${describeItem(item)}\``);
+        if (item.diff) {
+          lines.push('', '  ```diff', ...item.diff.split('\n').map(line => `  ${line}`), '  ```', '');
+        }
+      }
+      lines.push('');
+    }
+  }
+
+  if ((diff.omittedSections || []).length > 0) {
+    lines.push(`_Not compared (omitted or skipped): ${diff.omittedSections.join(', ')}_`, '');
+  }
+
+  lines.push('## Summary', '');
+  lines.push('| Added | Removed | Updated | Total |');
+  lines.push('|-------|---------|---------|-------|');
+  lines.push(`| ${summary.added} | ${summary.removed} | ${summary.updated} | ${summary.total} |`);
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  DIFF_FORMATS,
+  COMPLIANCE_TITLES,
+  summarizeDiff,
+  summarizeCompliance,
+  describeItem,
+  formatDiffText,
+  onlyMajorChanges,
+  buildDiffReport,
+  formatDiffMarkdown
+};
@@ -0,0 +1,99 @@
+/**
+ * VS Code-family editors: extension lists and user settings files
+ */
+
+const path = require('path');
+
+// Extension IDs are passed to shell commands: publisher.name
+const EXTENSION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]*\.[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const VERSION_PATTERN = /^[0-9A-Za-z][0-9A-Za-z.+_-]*$/;
+
+/**
+ * Supported editors with their command-line launcher and user profile directory (relative to $HOME)
+ */
+const EDITORS = {
+  vscode: { label: 'Visual Studio Code', cli: 'code', userDir: 'Library/Application Support/Code/User' },
+  cursor: { label: 'Cursor', cli: 'cursor', userDir: 'Library/Application Support/Cursor/User' },
+  vscodium: { label: 'VSCodium', cli: 'codium', userDir: 'Library/Application Support/VSCodium/User' }
+};
+
+/**
+ * User profile files captured per editor
+ */
+const EDITOR_FILES = ['settings.json', 'keybindings.json'];
+
+/**
+ * Reads `<cli> --list-extensions --show-versions` output
+ * @param {string} output - Lines like 'ms-python.python@2024.0.1'
+ * @returns {Array<Object>} - Extensions with name and version
+ */
+function parseExtensionList(output) {
+  const extensions = [];
+
+  for (const line of (output || '').split('\n')) {
+    const match = line.trim().match(/^([^@\s]+)(?:@(\S+))?$/);
+    if (match && EXTENSION_PATTERN.test(match[1])) {
+      extensions.push({ name: match[1], version: match[2] || 'unknown' });
+    }
+  }
+
+  return extensions;
+}
+
+/**
+ * Returns where an editor profile file lives, relative to the home directory
+ * @param {string} editor - Key of EDITORS
+ * @param {string} file - File name such as 'settings.json'
+ * @returns {string} - Path relative to $HOME
+ */
+function editorFilePath(editor, file) {
+  return path.join(EDITORS[editor].userDir, file);
+}
+
+/**
+ * Plans extension installs for every captured editor
+ * @param {Object} captured - Captured editors section
+ * @param {Object} current - editors captured from this machine
+ * @param {Object} options - Plan options
+ * @param {Array<string>} options.available - Editors whose launcher is on this machine's PATH
+ * @param {boolean} options.pinVersions - Install the captured version (id@version) instead of the latest
+ * @returns {Array<Object>} - Steps with editor, name, command and status (present, pending, skipped or
+ *   invalid, with reason)
+ */
+function planExtensionInstalls(captured = {}, current = {}, options = {}) {
+  const { available = [], pinVersions = false } = options;
+  const steps = [];
+
+  for (const [editor, { cli }] of Object.entries(EDITORS)) {
+    const wanted = captured[editor];
+    if (!wanted || !wanted.installed) {
+      continue;
+    }
+
+    const have = new Set(((current[editor] || {}).extensions || []).map(extension => extension.name.toLowerCase()));
+    for (const extension of wanted.extensions || []) {
+      const step = { editor, name: `${editor} ${extension.name}` };
+      if (!EXTENSION_PATTERN.test(extension.name)) {
+        steps.push({ ...step, status: 'invalid', reason: 'invalid extension ID' });
+      } else if (have.has(extension.name.toLowerCase())) {
+        steps.push({ ...step, status: 'present' });
+      } else if (!available.includes(editor)) {
+        steps.push({ ...step, status: 'skipped', reason: `${cli} command not found` });
+      } else {
+        const pinned = pinVersions && VERSION_PATTERN.test(extension.version || '') && extension.version !== 'unknown';
+        const id = pinned ? `${extension.name}@${extension.version}` : extension.name;
+        steps.push({ ...step, command: `${cli} --install-extension ${id}`, status: 'pending' });
+      }
+    }
+  }
+
+  return steps;
+}
+
+module.exports = {
+  EDITORS,
+  EDITOR_FILES,
+  parseExtensionList,
+  editorFilePath,
+  planExtensionInstalls
+};
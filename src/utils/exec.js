@@ -1,4 +1,4 @@
-const { execSync } = require('child_process');
+const { execSync, execFile } = require('child_process');
 
 /**
  * Sanitizes a package name to prevent command injection
@@ -19,6 +19,15 @@ return null;
   return null;
 }
 
+/**
+ * Quotes a value for safe use as a single shell argument
+ * @param {string} value - The value to quote
+ * @returns {string} - The value wrapped in single quotes
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
 /**
  * Executes a shell command with enhanced error handling
  * @param {string} command - The command to execute
@@ -73,6 +82,59 @@ function execSilent(command) {
   return exec(command, { silent: true, logErrors: false });
 }
 
+/**
+ * Runs a shell command and captures its output, including stderr on failure
+ * @param {string} command - The command to execute
+ * @param {Object} options - Execution options
+ * @param {number} options.timeout - Command timeout in ms (default: 10 minutes)
+ * @returns {Object} - { ok, stdout, stderr, error }
+ */
+function execCapture(command, options = {}) {
+  const { timeout = 600000 } = options;
+
+  try {
+    const stdout = execSync(command, {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      timeout,
+      maxBuffer: 10 * 1024 * 1024
+    });
+    return { ok: true, stdout: stdout.trim(), stderr: '', error: null };
+  } catch (error) {
+    return {
+      ok: false,
+      stdout: String(error.stdout || '').trim(),
+      stderr: String(error.stderr || '').trim(),
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Runs a program without a shell and resolves with its outcome (never rejects)
+ * @param {string} file - Program to run
+ * @param {Array<string>} args - Arguments passed verbatim
+ * @param {Object} options - Execution options
+ * @param {string} options.cwd - Working directory
+ * @param {number} options.timeout - Command timeout in ms (default: 10 minutes)
+ * @param {Object} options.env - Environment (default: process.env)
+ * @returns {Promise<Object>} - Resolves with { ok, stdout, stderr, error }
+ */
+function execFileAsync(file, args = [], options = {}) {
+  const { cwd, timeout = 600000, env } = options;
+
+  return new Promise(resolve => {
+    execFile(file, args, { cwd, env, timeout, encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      resolve({
+        ok: !error,
+        stdout: (stdout || '').trim(),
+        stderr: (stderr || '').trim(),
+        error: error ? error.message : null
+      });
+    });
+  });
+}
+
 /**
  * Validates an array of package names and filters out invalid ones
  * @param {Array<Object>} packages - Array of package objects with 'name' property
@@ -92,25 +154,35 @@ function sanitizePackages(packages, context = 'packages') {
   return safeNames;
 }
 
+/**
+ * Secret patterns shared by detection and redaction.
+ * Keyed patterns keep the key name (e.g. "API_KEY") and only redact the value;
+ * they never match across a newline, so line-by-line detection and whole-file redaction agree.
+ */
+const SECRET_PATTERNS = [
+  { name: 'API Key', keyed: true, regex: /(?:api[_-]?key|apikey)[ \t:=]+['"]?([a-zA-Z0-9_-]{20,})['"]?/gi },
+  { name: 'Password', keyed: true, regex: /(?:password|passwd|pwd)[ \t:=]+['"]?([^\s'"]+)['"]?/gi },
+  { name: 'Token', keyed: true, regex: /(?:token|access[_-]?token)[ \t:=]+['"]?([a-zA-Z0-9_-]{20,})['"]?/gi },
+  { name: 'Secret', keyed: true, regex: /(?:secret|private[_-]?key)[ \t:=]+['"]?([^\s'"]+)['"]?/gi },
+  { name: 'AWS Key', regex: /AKIA[0-9A-Z]{16}/gi },
+  { name: 'GitHub Token', regex: /gh[ps]_[a-zA-Z0-9]{36}/gi },
+  {
+    name: 'Private Key',
+    regex: /-----BEGIN (?:RSA |DSA |EC )?PRIVATE KEY-----/gi,
+    redactRegex: /-----BEGIN (?:RSA |DSA |EC )?PRIVATE KEY-----[\s\S]*?-----END (?:RSA |DSA |EC )?PRIVATE KEY-----/gi
+  }
+];
+
 /**
  * Detects if a string might contain secrets
  * @param {string} content - Content to check
+ * @param {Array<Object>} extraPatterns - Additional { name, regex } patterns (e.g. from .macblueprintrc)
  * @returns {Object} - Detection results with found secrets info
  */
-function detectSecrets(content) {
-  const patterns = [
-    { name: 'API Key', regex: /(?:api[_-]?key|apikey)[\s:=]+['"]?([a-zA-Z0-9_-]{20,})['"]?/gi },
-    { name: 'Password', regex: /(?:password|passwd|pwd)[\s:=]+['"]?([^\s'"]+)['"]?/gi },
-    { name: 'Token', regex: /(?:token|access[_-]?token)[\s:=]+['"]?([a-zA-Z0-9_-]{20,})['"]?/gi },
-    { name: 'Secret', regex: /(?:secret|private[_-]?key)[\s:=]+['"]?([^\s'"]+)['"]?/gi },
-    { name: 'AWS Key', regex: /AKIA[0-9A-Z]{16}/gi },
-    { name: 'GitHub Token', regex: /gh[ps]_[a-zA-Z0-9]{36}/gi },
-    { name: 'Private Key', regex: /-----BEGIN (?:RSA |DSA |EC )?PRIVATE KEY-----/gi }
-  ];
-
+function detectSecrets(content, extraPatterns = []) {
   const found = [];
 
-  for (const pattern of patterns) {
+  for (const pattern of SECRET_PATTERNS.concat(extraPatterns)) {
     const matches = content.match(pattern.regex);
     if (matches && matches.length > 0) {
       found.push({
@@ -129,24 +201,18 @@ function detectSecrets(content) {
 /**
  * Redacts potential secrets from content
  * @param {string} content - Content to redact
+ * @param {Array<Object>} extraPatterns - Additional { name, regex } patterns (e.g. from .macblueprintrc)
  * @returns {string} - Redacted content
  */
-function redactSecrets(content) {
-  const patterns = [
-    /(?:api[_-]?key|apikey)[\s:=]+['"]?([a-zA-Z0-9_-]{20,})['"]?/gi,
-    /(?:password|passwd|pwd)[\s:=]+['"]?([^\s'"]+)['"]?/gi,
-    /(?:token|access[_-]?token)[\s:=]+['"]?([a-zA-Z0-9_-]{20,})['"]?/gi,
-    /(?:secret|private[_-]?key)[\s:=]+['"]?([^\s'"]+)['"]?/gi,
-    /AKIA[0-9A-Z]{16}/gi,
-    /gh[ps]_[a-zA-Z0-9]{36}/gi,
-    /-----BEGIN (?:RSA |DSA |EC )?PRIVATE KEY-----[\s\S]*?-----END (?:RSA |DSA |EC )?PRIVATE KEY-----/gi
-  ];
-
+function redactSecrets(content, extraPatterns = []) {
   let redacted = content;
 
-  for (const pattern of patterns) {
-    redacted = redacted.replace(pattern, (match) => {
-      const keyPart = match.split(/[\s:=]+/)[0];
+  for (const pattern of SECRET_PATTERNS.concat(extraPatterns)) {
+    redacted = redacted.replace(pattern.redactRegex || pattern.regex, (match) => {
+      if (!pattern.keyed) {
+        return '[REDACTED]';
+      }
+      const keyPart = match.split(/[ \t:=]+/)[0];
       return `${keyPart}=[REDACTED]`;
     });
   }
@@ -157,8 +223,11 @@ function redactSecrets(content) {
 module.exports = {
   exec,
   execSilent,
+  execCapture,
+  execFileAsync,
   sanitizePackageName,
   sanitizePackages,
+  shellQuote,
   detectSecrets,
   redactSecrets
 };
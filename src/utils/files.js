@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Formats a date as a compact timestamp for backup file names
+ * @param {Date} date - Date to format
+ * @returns {string} - Timestamp like 20241215-100000
+ */
+function formatTimestamp(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Copies an existing file to a timestamped backup next to it
+ * @param {string} filePath - File to back up
+ * @param {Date} date - Timestamp to use (default: now)
+ * @returns {string|null} - Backup path, or null if the file does not exist
+ */
+function backupFile(filePath, date = new Date()) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const backupPath = `${filePath}.backup-${formatTimestamp(date)}`;
+  fs.copyFileSync(filePath, backupPath);
+  return backupPath;
+}
+
+/**
+ * Resolves a path relative to a home directory, rejecting paths that escape it
+ * @param {string} home - Home directory
+ * @param {string} relativePath - Path relative to home (e.g. '.config/fish/config.fish')
+ * @returns {string|null} - Absolute path, or null if the path is unsafe
+ */
+function resolveHomePath(home, relativePath) {
+  if (typeof relativePath !== 'string' || relativePath === '' || path.isAbsolute(relativePath)) {
+    return null;
+  }
+
+  const root = path.resolve(home);
+  const resolved = path.resolve(root, relativePath);
+  if (!resolved.startsWith(root + path.sep)) {
+    return null;
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  formatTimestamp,
+  backupFile,
+  resolveHomePath
+};
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { exec, execSilent, shellQuote } = require('./exec');
+const { backupFile } = require('./files');
+const { hasRedactions } = require('./redact');
+
+const GIT_POLICIES = ['keep-local', 'prefer-captured'];
+
+/**
+ * Groups key=value settings by key, keeping every value of multi-valued keys
+ * @param {Array<Object>} settings - Settings with key and value
+ * @returns {Map<string, Array<string>>} - Values per key in original order
+ */
+function groupSettings(settings) {
+  const grouped = new Map();
+
+  for (const setting of settings || []) {
+    if (!grouped.has(setting.key)) {
+      grouped.set(setting.key, []);
+    }
+    grouped.get(setting.key).push(setting.value);
+  }
+
+  return grouped;
+}
+
+/**
+ * Reads the current global git configuration
+ * @returns {Array<Object>} - Settings with key and value
+ */
+function readGlobalGitConfig() {
+  const output = execSilent('git config --global --list');
+  if (!output) {
+    return [];
+  }
+
+  return output.split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      const [key, ...valueParts] = line.split('=');
+      return { key: key.trim(), value: valueParts.join('=') };
+    });
+}
+
+/**
+ * Compares captured settings with local ones and decides what to change
+ * @param {Array<Object>} captured - Captured settings with key and value
+ * @param {Array<Object>} local - Current settings with key and value
+ * @param {string} policy - 'keep-local' or 'prefer-captured' for conflicting keys
+ * @returns {Array<Object>} - One entry per captured key with status and action
+ */
+function planGitConfig(captured, local, policy = 'keep-local') {
+  const capturedByKey = groupSettings(captured);
+  const localByKey = groupSettings(local);
+  const plan = [];
+
+  for (const [key, values] of capturedByKey) {
+    const localValues = localByKey.get(key) || [];
+    const missing = values.filter(value => !localValues.includes(value));
+    const extra = localValues.filter(value => !values.includes(value));
+    const entry = { key, captured: values, local: localValues };
+
+    if (values.some(hasRedactions)) {
+      entry.status = 'redacted';
+      entry.action = 'skip';
+    } else if (missing.length === 0 && extra.length === 0) {
+      entry.status = 'unchanged';
+      entry.action = 'none';
+    } else if (extra.length === 0) {
+      // Local values are a subset of the captured ones, so adding is safe
+      entry.status = 'added';
+      entry.action = 'add';
+      entry.values = missing;
+    } else {
+      entry.status = 'conflict';
+      entry.action = policy === 'prefer-captured' ? 'replace' : 'keep';
+      entry.values = values;
+    }
+
+    plan.push(entry);
+  }
+
+  return plan;
+}
+
+/**
+ * Runs the git commands for one plan entry
+ * @param {Object} entry - Plan entry from planGitConfig
+ * @returns {boolean} - True if every command succeeded
+ */
+function applyPlanEntry(entry) {
+  const key = shellQuote(entry.key);
+  let ok = true;
+
+  if (entry.action === 'replace' && entry.local.length > 0) {
+    ok = exec(`git config --global --unset-all ${key}`, { silent: true, ignoreError: true }) !== null;
+  }
+
+  for (const value of entry.values) {
+    const result = exec(`git config --global --add ${key} ${shellQuote(value)}`, {
+      silent: true,
+      ignoreError: true
+    });
+    ok = ok && result !== null;
+  }
+
+  return ok;
+}
+
+/**
+ * Applies a captured git configuration to the global git config
+ * @param {Object} gitConfig - Captured gitConfig section
+ * @param {Object} options - Apply options
+ * @param {string} options.policy - 'keep-local' or 'prefer-captured' (default: keep-local)
+ * @param {boolean} options.dryRun - Preview mode
+ * @param {string} options.home - Home directory for .gitignore_global (default: $HOME)
+ * @param {Date} options.now - Timestamp for backups (default: now)
+ * @returns {Object} - Result with the per-key plan, counts and gitignore outcome
+ */
+function applyGitConfig(gitConfig, options = {}) {
+  const {
+    policy = 'keep-local',
+    dryRun = false,
+    home = process.env.HOME,
+    now = new Date()
+  } = options;
+
+  const result = {
+    plan: [],
+    applied: 0,
+    failed: 0,
+    gitignore: null
+  };
+
+  let captured = gitConfig.settings || [];
+  const gitignorePath = path.join(home, '.gitignore_global');
+
+  if (typeof gitConfig.globalGitignore === 'string') {
+    // The captured excludesfile points at the source machine's home
+    captured = captured
+      .filter(setting => setting.key !== 'core.excludesfile')
+      .concat({ key: 'core.excludesfile', value: gitignorePath });
+  }
+
+  result.plan = planGitConfig(captured, readGlobalGitConfig(), policy);
+
+  const excludes = result.plan.find(entry => entry.key === 'core.excludesfile');
+  if (excludes && excludes.status === 'conflict' && typeof gitConfig.globalGitignore === 'string') {
+    excludes.action = 'replace';
+  }
+
+  for (const entry of result.plan) {
+    if (dryRun || (entry.action !== 'add' && entry.action !== 'replace')) {
+      continue;
+    }
+    if (applyPlanEntry(entry)) {
+      result.applied++;
+    } else {
+      entry.status = 'failed';
+      result.failed++;
+    }
+  }
+
+  if (typeof gitConfig.globalGitignore === 'string') {
+    result.gitignore = writeGlobalGitignore(gitConfig.globalGitignore, gitignorePath, dryRun, now);
+  }
+
+  return result;
+}
+
+/**
+ * Writes the global gitignore file, backing up a different existing one
+ * @param {string} content - Captured gitignore content
+ * @param {string} target - Path to write
+ * @param {boolean} dryRun - Preview mode
+ * @param {Date} now - Timestamp for backups
+ * @returns {Object} - Outcome with path, status and optional backup path
+ */
+function writeGlobalGitignore(content, target, dryRun, now) {
+  if (hasRedactions(content)) {
+    return { path: target, status: 'redacted' };
+  }
+
+  if (fs.existsSync(target) && fs.readFileSync(target, 'utf8') === content) {
+    return { path: target, status: 'unchanged' };
+  }
+
+  if (dryRun) {
+    return { path: target, status: 'would-write' };
+  }
+
+  try {
+    const backup = backupFile(target, now);
+    fs.writeFileSync(target, content);
+    return { path: target, status: 'written', backup };
+  } catch (error) {
+    return { path: target, status: 'failed', error: error.message };
+  }
+}
+
+module.exports = {
+  GIT_POLICIES,
+  groupSettings,
+  readGlobalGitConfig,
+  planGitConfig,
+  applyGitConfig
+};
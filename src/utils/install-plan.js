@@ -0,0 +1,142 @@
+/**
+ * Works out which blueprint packages still need installing on this machine
+ */
+
+const { PACKAGE_MANAGERS } = require('./package-managers');
+
+const PLAN_GROUPS = [
+  { section: 'homebrew', group: 'taps', label: 'Taps' },
+  { section: 'homebrew', group: 'formulae', label: 'Formulae' },
+  { section: 'homebrew', group: 'casks', label: 'Casks' },
+  { section: 'masApps', group: 'masApps', label: 'Mac App Store Apps' },
+  ...Object.entries(PACKAGE_MANAGERS).map(([group, { title }]) => ({ section: 'globalPackages', group, label: title }))
+];
+
+/**
+ * Returns the items of one plan group from a setup
+ * @param {Object} setup - Setup object
+ * @param {string} group - Group from PLAN_GROUPS
+ * @returns {Array<Object>} - Entries with key (name, or app ID for masApps), name, version and the original item
+ */
+function groupItems(setup, group) {
+  let items;
+  if (group === 'taps' || group === 'formulae' || group === 'casks') {
+    items = (setup.homebrew || {})[group] || [];
+  } else if (group === 'masApps') {
+    items = setup.masApps || [];
+  } else {
+    items = (setup.globalPackages || {})[group] || [];
+  }
+
+  return items.map(item => {
+    if (typeof item === 'string') {
+      return { key: item, name: item, version: null, item };
+    }
+    const key = group === 'masApps' ? String(item.id) : item.name;
+    return { key, name: item.name, version: item.version || null, item };
+  });
+}
+
+/**
+ * Compares a blueprint with a capture of the current machine
+ * @param {Object} blueprint - Setup being applied
+ * @param {Object} current - Capture of this machine (from captureSetup)
+ * @param {Object} options - Plan options
+ * @param {Array<string>} options.sections - Sections to plan (default: homebrew, masApps, globalPackages)
+ * @param {boolean} options.pinVersions - Reinstall items whose version differs from the blueprint
+ * @returns {Array<Object>} - One entry per group with present, missing and mismatched items
+ *   (mismatched items carry installedVersion) and install, the keys to act on
+ */
+function planInstalls(blueprint, current, options = {}) {
+  const { sections = ['homebrew', 'masApps', 'globalPackages'], pinVersions = false } = options;
+  const plan = [];
+
+  for (const { section, group, label } of PLAN_GROUPS) {
+    if (!sections.includes(section)) {
+      continue;
+    }
+
+    const installed = new Map(groupItems(current, group).map(entry => [entry.key, entry.version]));
+    const entry = { section, group, label, present: [], missing: [], mismatched: [], install: [] };
+
+    for (const wanted of groupItems(blueprint, group)) {
+      const { key, name, version } = wanted;
+      if (!installed.has(key)) {
+        entry.missing.push({ key, name, version });
+      } else if (version && installed.get(key) && installed.get(key) !== version) {
+        entry.mismatched.push({ key, name, version, installedVersion: installed.get(key) });
+      } else {
+        entry.present.push({ key, name, version });
+      }
+    }
+
+    entry.install = entry.missing.concat(pinVersions ? entry.mismatched : []).map(item => item.key);
+    plan.push(entry);
+  }
+
+  return plan;
+}
+
+/**
+ * Narrows a setup to the items a plan says to install
+ * Sections the plan does not cover are left as they are.
+ * @param {Object} setup - Setup being applied
+ * @param {Array<Object>} plan - Plan from planInstalls
+ * @returns {Object} - Copy of the setup
+ */
+function pendingSetup(setup, plan) {
+  const pending = {
+    ...setup,
+    homebrew: { ...setup.homebrew },
+    globalPackages: { ...setup.globalPackages }
+  };
+
+  for (const entry of plan) {
+    const keep = new Set(entry.install);
+    const items = groupItems(setup, entry.group).filter(item => keep.has(item.key)).map(item => item.item);
+    if (entry.section === 'homebrew') {
+      pending.homebrew[entry.group] = items;
+    } else if (entry.section === 'masApps') {
+      pending.masApps = items;
+    } else {
+      pending.globalPackages[entry.group] = items;
+    }
+  }
+
+  return pending;
+}
+
+/**
+ * Renders a plan as "already present / to install / version mismatch" lines per group
+ * @param {Array<Object>} plan - Plan from planInstalls
+ * @returns {string} - Text report
+ */
+function formatInstallPlan(plan) {
+  const lines = [];
+
+  for (const entry of plan) {
+    const total = entry.present.length + entry.missing.length + entry.mismatched.length;
+    if (total === 0) {
+      continue;
+    }
+
+    lines.push(`${entry.label}: ${entry.present.length} already present, ${entry.missing.length} to install, ` +
+      `${entry.mismatched.length} version mismatch`);
+    for (const item of entry.missing) {
+      lines.push(`  + ${item.name}`);
+    }
+    for (const item of entry.mismatched) {
+      const action = entry.install.includes(item.key) ? ', will reinstall' : '';
+      lines.push(`  ~ ${item.name} ${item.version} (installed: ${item.installedVersion}${action})`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  PLAN_GROUPS,
+  planInstalls,
+  pendingSetup,
+  formatInstallPlan
+};
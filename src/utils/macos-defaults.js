@@ -0,0 +1,266 @@
+/**
+ * Capturing and replaying macOS user defaults for an allowlist of domains and keys
+ */
+
+const { execFileSync } = require('child_process');
+
+/**
+ * Domains and keys captured and written by default, with the process to restart after writing
+ * Extra keys can be added per domain with `macosDefaults` in .macblueprintrc.
+ */
+const DEFAULTS_ALLOWLIST = {
+  'com.apple.dock': {
+    label: 'Dock',
+    restart: 'Dock',
+    keys: ['autohide', 'autohide-delay', 'autohide-time-modifier', 'tilesize', 'magnification', 'largesize',
+      'orientation', 'mineffect', 'minimize-to-application', 'show-recents', 'mru-spaces', 'static-only']
+  },
+  'com.apple.finder': {
+    label: 'Finder',
+    restart: 'Finder',
+    keys: ['AppleShowAllFiles', 'ShowPathbar', 'ShowStatusBar', 'FXPreferredViewStyle', 'FXDefaultSearchScope',
+      'FXEnableExtensionChangeWarning', '_FXShowPosixPathInTitle', '_FXSortFoldersFirst', 'NewWindowTarget',
+      'ShowExternalHardDrivesOnDesktop', 'ShowHardDrivesOnDesktop', 'ShowRemovableMediaOnDesktop']
+  },
+  NSGlobalDomain: {
+    label: 'Keyboard & global',
+    restart: null,
+    keys: ['KeyRepeat', 'InitialKeyRepeat', 'ApplePressAndHoldEnabled', 'AppleShowAllExtensions',
+      'AppleInterfaceStyle', 'AppleKeyboardUIMode', 'com.apple.swipescrolldirection',
+      'NSAutomaticSpellingCorrectionEnabled', 'NSAutomaticCapitalizationEnabled',
+      'NSAutomaticQuoteSubstitutionEnabled', 'NSAutomaticDashSubstitutionEnabled',
+      'NSAutomaticPeriodSubstitutionEnabled']
+  },
+  'com.apple.screencapture': {
+    label: 'Screenshots',
+    restart: 'SystemUIServer',
+    keys: ['location', 'type', 'disable-shadow', 'show-thumbnail', 'include-date']
+  }
+};
+
+// defaults write flag and value check per captured type
+const WRITE_TYPES = {
+  bool: { flag: '-bool', valid: value => typeof value === 'boolean' },
+  int: { flag: '-int', valid: value => Number.isInteger(value) },
+  float: { flag: '-float', valid: value => Number.isFinite(value) },
+  string: { flag: '-string', valid: value => typeof value === 'string' }
+};
+
+/**
+ * Returns the defaults binary to run
+ * MAC_BLUEPRINT_DEFAULTS_BIN points at a stand-in, e.g. a script used by the tests on Linux.
+ * @returns {string} - Command name or path
+ */
+function defaultsBinary() {
+  return process.env.MAC_BLUEPRINT_DEFAULTS_BIN || 'defaults';
+}
+
+/**
+ * Adds configured keys to the built-in allowlist
+ * @param {Object} extra - Keys per domain, e.g. { 'com.apple.dock': ['wvous-tr-corner'] }
+ * @returns {Object} - Allowlist in the shape of DEFAULTS_ALLOWLIST
+ */
+function mergeAllowlist(extra = {}) {
+  const allowlist = {};
+
+  for (const [domain, entry] of Object.entries(DEFAULTS_ALLOWLIST)) {
+    allowlist[domain] = { ...entry, keys: [...entry.keys] };
+  }
+  for (const [domain, keys] of Object.entries(extra || {})) {
+    allowlist[domain] = allowlist[domain] || { label: domain, restart: null, keys: [] };
+    allowlist[domain].keys = [...new Set(allowlist[domain].keys.concat(keys))];
+  }
+
+  return allowlist;
+}
+
+/**
+ * Reads the top-level scalar values of an XML property list
+ * Nested dictionaries and arrays, dates and data are skipped.
+ * @param {string} xml - Output of `defaults export <domain> -`
+ * @returns {Object} - { type (bool, int, float or string), value } per key
+ */
+function parsePlistScalars(xml) {
+  const unescape = text => text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'').replace(/&amp;/g, '&');
+  const tokens = (xml || '').match(/<[^>]+>|[^<]+/g) || [];
+  const values = {};
+  let depth = 0;
+  let key = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const match = tokens[i].match(/^<(\/?)(\w+)[^>]*?(\/?)>$/);
+    if (!match) {
+      continue;
+    }
+    const [, closing, tag, selfClosing] = match;
+    const text = !selfClosing && tokens[i + 1] && !tokens[i + 1].startsWith('<') ? unescape(tokens[i + 1]) : '';
+
+    if (tag === 'dict' || tag === 'array') {
+      if (closing) {
+        depth--;
+      } else if (!selfClosing) {
+        depth++;
+      }
+      key = null;
+    } else if (closing || depth !== 1) {
+      // Closing tags and values inside nested containers
+    } else if (tag === 'key') {
+      key = text;
+    } else if (key !== null) {
+      if (tag === 'true' || tag === 'false') {
+        values[key] = { type: 'bool', value: tag === 'true' };
+      } else if (tag === 'integer') {
+        values[key] = { type: 'int', value: parseInt(text, 10) };
+      } else if (tag === 'real') {
+        values[key] = { type: 'float', value: parseFloat(text) };
+      } else if (tag === 'string') {
+        values[key] = { type: 'string', value: text };
+      }
+      key = null;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Captures the allowlisted keys of each domain
+ * @param {Object} allowlist - Allowlist from mergeAllowlist
+ * @param {Object} options - Command options
+ * @param {string} options.bin - defaults binary (default: defaultsBinary())
+ * @returns {Array<Object>} - Entries with domain, key, type and value, in allowlist order
+ */
+function readDefaults(allowlist = DEFAULTS_ALLOWLIST, options = {}) {
+  const { bin = defaultsBinary() } = options;
+  const entries = [];
+
+  for (const [domain, { keys }] of Object.entries(allowlist)) {
+    let values;
+    try {
+      values = parsePlistScalars(execFileSync(bin, ['export', domain, '-'], { encoding: 'utf8', stdio: 'pipe', timeout: 30000 }));
+    } catch (error) {
+      // Domain not present on this machine, or no defaults binary
+      continue;
+    }
+    for (const key of keys) {
+      if (values[key]) {
+        entries.push({ domain, key, ...values[key] });
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Builds the arguments of the defaults write command for one entry
+ * @param {Object} entry - Entry with domain, key, type and value
+ * @returns {Array<string>|null} - Arguments for the defaults binary, or null for an unsupported type or
+ *   a value that does not match the type
+ */
+function writeArgs(entry) {
+  const type = WRITE_TYPES[entry.type];
+  if (!type || !type.valid(entry.value)) {
+    return null;
+  }
+  return ['write', entry.domain, entry.key, type.flag, String(entry.value)];
+}
+
+/**
+ * Plans which captured defaults to write
+ * @param {Array<Object>} captured - Captured macosDefaults entries
+ * @param {Array<Object>} current - Entries read from this machine
+ * @param {Object} allowlist - Domains and keys that may be written
+ * @returns {Array<Object>} - Entries with name, args and status (pending, unchanged or skipped, with reason)
+ */
+function planDefaultsWrites(captured, current, allowlist = DEFAULTS_ALLOWLIST) {
+  const now = new Map((current || []).map(entry => [`${entry.domain} ${entry.key}`, entry]));
+
+  return (captured || []).map(entry => {
+    const name = `${entry.domain} ${entry.key}`;
+    const args = writeArgs(entry);
+    const existing = now.get(name);
+
+    if (!allowlist[entry.domain] || !allowlist[entry.domain].keys.includes(entry.key)) {
+      return { name, entry, status: 'skipped', reason: 'not in the defaults allowlist' };
+    }
+    if (!WRITE_TYPES[entry.type]) {
+      return { name, entry, status: 'skipped', reason: `unsupported type ${entry.type}` };
+    }
+    if (!args) {
+      return { name, entry, status: 'skipped', reason: `value does not match type ${entry.type}` };
+    }
+    if (existing && existing.type === entry.type && existing.value === entry.value) {
+      return { name, entry, args, status: 'unchanged' };
+    }
+    return { name, entry, args, status: 'pending' };
+  });
+}
+
+/**
+ * Writes planned defaults and restarts the processes that read them
+ * @param {Array<Object>} plan - Entries from planDefaultsWrites
+ * @param {Object} options - Apply options
+ * @param {Object} options.allowlist - Allowlist with the process to restart per domain
+ * @param {boolean} options.dryRun - Preview mode
+ * @param {string} options.bin - defaults binary (default: defaultsBinary())
+ * @param {string} options.killall - killall binary (default: 'killall')
+ * @returns {Object} - { results, restarts } where results carry status written, would-write or failed
+ *   and restarts lists { process, status } for each restarted process
+ */
+function applyDefaults(plan, options = {}) {
+  const { allowlist = DEFAULTS_ALLOWLIST, dryRun = false, bin = defaultsBinary(), killall = 'killall' } = options;
+  const results = [];
+  const restart = new Set();
+
+  for (const item of plan.filter(entry => entry.status === 'pending')) {
+    if (dryRun) {
+      results.push({ ...item, status: 'would-write' });
+      continue;
+    }
+    try {
+      execFileSync(bin, item.args, { stdio: 'pipe', timeout: 30000 });
+      results.push({ ...item, status: 'written' });
+      if (allowlist[item.entry.domain].restart) {
+        restart.add(allowlist[item.entry.domain].restart);
+      }
+    } catch (error) {
+      results.push({ ...item, status: 'failed', error: error.message.split('\n')[0] });
+    }
+  }
+
+  const restarts = [];
+  for (const name of restart) {
+    try {
+      execFileSync(killall, [name], { stdio: 'pipe', timeout: 30000 });
+      restarts.push({ process: name, status: 'restarted' });
+    } catch (error) {
+      // killall fails when the process is not running, which is fine
+      restarts.push({ process: name, status: 'not running' });
+    }
+  }
+
+  return { results, restarts };
+}
+
+/**
+ * Formats an entry as the equivalent shell command
+ * @param {Object} entry - Entry with domain, key, type and value
+ * @returns {string} - e.g. 'defaults write com.apple.dock autohide -bool true'
+ */
+function formatDefaultsCommand(entry) {
+  const args = writeArgs(entry) || ['write', entry.domain, entry.key];
+  return ['defaults', ...args].map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, '\'\\\'\'')}'`)).join(' ');
+}
+
+module.exports = {
+  DEFAULTS_ALLOWLIST,
+  defaultsBinary,
+  mergeAllowlist,
+  parsePlistScalars,
+  readDefaults,
+  planDefaultsWrites,
+  applyDefaults,
+  formatDefaultsCommand
+};
@@ -45,19 +45,22 @@ function getMasApps() {
  * Installs Mac App Store apps by ID
  * @param {Array<Object>} apps - Array of apps with 'id' property
  * @param {boolean} dryRun - Preview mode
- * @returns {Object} - Result with success and failure counts
+ * @returns {Object} - Result with success, failed and skipped counts, and per-app
+ *   outcomes in apps ({ id, name, status }: installed, would-install, failed or skipped)
  */
 function installMasApps(apps, dryRun = false) {
   const result = {
     success: 0,
     failed: 0,
-    skipped: 0
+    skipped: 0,
+    apps: []
   };
 
   if (!isMasInstalled()) {
     console.warn('⚠️  mas CLI not installed. Mac App Store apps cannot be automatically installed.');
     console.log('Install mas: brew install mas');
     result.skipped = apps.length;
+    result.apps = apps.map(app => ({ id: app.id, name: app.name, status: 'skipped' }));
     return result;
   }
 
@@ -69,13 +72,16 @@ function installMasApps(apps, dryRun = false) {
     if (dryRun) {
       console.log(`  + Would install: ${app.name} (${app.id})`);
       result.success++;
+      result.apps.push({ id: app.id, name: app.name, status: 'would-install' });
     } else {
       console.log(`  Installing: ${app.name}...`);
       const installResult = exec(`mas install ${app.id}`, { ignoreError: true, silent: false });
       if (installResult !== null) {
         result.success++;
+        result.apps.push({ id: app.id, name: app.name, status: 'installed' });
       } else {
         result.failed++;
+        result.apps.push({ id: app.id, name: app.name, status: 'failed' });
       }
     }
   }
@@ -0,0 +1,253 @@
+/**
+ * Registry of global package managers: how to list, parse and install each one's packages
+ */
+
+/**
+ * Parses a JSON listing, returning null when it is not valid JSON
+ * @param {string} output - Command output
+ * @returns {*} - Parsed value or null
+ */
+function parseJson(output) {
+  try {
+    return JSON.parse(output);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Collects { name, version } entries from lines matching a pattern
+ * @param {string} output - Command output
+ * @param {RegExp} pattern - Pattern capturing the name and version
+ * @returns {Array<Object>} - Packages
+ */
+function matchLines(output, pattern) {
+  const packages = [];
+
+  for (const line of (output || '').split('\n')) {
+    const match = line.match(pattern);
+    if (match) {
+      packages.push({ name: match[1], version: match[2] });
+    }
+  }
+
+  return packages;
+}
+
+/**
+ * Reads `dependencies` from npm- and pnpm-style JSON listings
+ * @param {Object|Array} listing - Parsed listing (pnpm wraps it in an array)
+ * @returns {Array<Object>} - Packages
+ */
+function dependenciesOf(listing) {
+  return [].concat(listing || []).flatMap(entry => Object.entries((entry && entry.dependencies) || {})
+    .map(([name, info]) => ({ name, version: (info && info.version) || 'unknown' })));
+}
+
+/**
+ * Reads `go version -m` output: one block per binary, named by its package path
+ * @param {string} output - Output of `go version -m <bin dir>`
+ * @returns {Array<Object>} - Packages with the path as name and the module version
+ */
+function parseGoBinaries(output) {
+  const packages = [];
+
+  for (const line of (output || '').split('\n')) {
+    const [, field, value, version] = line.split('\t');
+    if (field === 'path') {
+      packages.push({ name: value, version: 'unknown' });
+    } else if (field === 'mod' && packages.length > 0 && version) {
+      packages[packages.length - 1].version = version;
+    }
+  }
+
+  return packages;
+}
+
+/**
+ * Global package managers in report order
+ * list/parse capture the packages; install is the command prefix, pinned formats one
+ * name at a version, latest (optional) the unpinned argument, and batch / batchPinned
+ * say whether several packages can be installed with one command.
+ */
+const PACKAGE_MANAGERS = {
+  npm: {
+    label: 'NPM global packages',
+    title: 'NPM',
+    binary: 'npm',
+    list: 'npm list -g --depth=0 --json',
+    parse: output => dependenciesOf(parseJson(output)),
+    install: 'npm install -g',
+    batch: true,
+    batchPinned: true,
+    pinned: (name, version) => `${name}@${version}`
+  },
+  bun: {
+    label: 'Bun global packages',
+    title: 'Bun',
+    binary: 'bun',
+    list: 'bun pm ls -g',
+    // Lines like "├── package-name@1.2.3"
+    parse: output => matchLines(output, /^[\s│├└─]*(.+?)@([^@\s]+)\s*$/),
+    install: 'bun install -g',
+    batch: true,
+    batchPinned: true,
+    pinned: (name, version) => `${name}@${version}`
+  },
+  dart: {
+    label: 'Dart global packages',
+    title: 'Dart',
+    binary: 'dart',
+    list: 'dart pub global list',
+    // Lines like "package_name 1.2.3"
+    parse: output => matchLines(output, /^\s*(\S+)\s+(.+?)\s*$/),
+    install: 'dart pub global activate',
+    batch: false,
+    batchPinned: false,
+    pinned: (name, version) => `${name} ${version}`
+  },
+  ruby: {
+    label: 'Ruby gems',
+    title: 'Ruby',
+    binary: 'gem',
+    list: 'gem list',
+    // Lines like "gem_name (1.2.3, 1.2.2)"
+    parse: output => matchLines(output, /^\s*(\S+)\s+\((.+?)\)/),
+    install: 'gem install',
+    batch: true,
+    batchPinned: false,
+    pinned: (name, version) => `${name} -v ${version}`
+  },
+  pipx: {
+    label: 'pipx applications',
+    title: 'pipx',
+    binary: 'pipx',
+    list: 'pipx list --json',
+    parse: output => Object.values(((parseJson(output) || {}).venvs) || {})
+      .map(venv => ((venv.metadata || {}).main_package) || {})
+      .filter(pkg => pkg.package)
+      .map(pkg => ({ name: pkg.package, version: pkg.package_version || 'unknown' })),
+    install: 'pipx install',
+    batch: false,
+    batchPinned: false,
+    pinned: (name, version) => `${name}==${version}`
+  },
+  uv: {
+    label: 'uv tools',
+    title: 'uv',
+    binary: 'uv',
+    list: 'uv tool list',
+    // Lines like "ruff v0.1.9"; the executables follow as "- ruff"
+    parse: output => matchLines(output, /^(\S+) v(\S+)/),
+    install: 'uv tool install',
+    batch: false,
+    batchPinned: false,
+    pinned: (name, version) => `${name}==${version}`
+  },
+  cargo: {
+    label: 'Cargo crates',
+    title: 'Cargo',
+    binary: 'cargo',
+    list: 'cargo install --list',
+    // Lines like "ripgrep v14.0.3:" or "tool v0.1.0 (https://github.com/...):"
+    parse: output => matchLines(output, /^(\S+) v([^\s:]+)(?: \([^)]*\))?:$/),
+    install: 'cargo install',
+    batch: true,
+    batchPinned: false,
+    pinned: (name, version) => `${name} --version ${version}`
+  },
+  go: {
+    label: 'Go binaries',
+    title: 'Go',
+    binary: 'go',
+    list: 'go version -m "$(go env GOPATH | cut -d: -f1)/bin"',
+    parse: parseGoBinaries,
+    install: 'go install',
+    batch: false,
+    batchPinned: false,
+    pinned: (name, version) => `${name}@${version}`,
+    latest: name => `${name}@latest`
+  },
+  pnpm: {
+    label: 'pnpm global packages',
+    title: 'pnpm',
+    binary: 'pnpm',
+    list: 'pnpm ls -g --depth=0 --json',
+    parse: output => dependenciesOf(parseJson(output)),
+    install: 'pnpm add -g',
+    batch: true,
+    batchPinned: true,
+    pinned: (name, version) => `${name}@${version}`
+  },
+  yarn: {
+    label: 'Yarn global packages',
+    title: 'Yarn',
+    binary: 'yarn',
+    list: 'yarn global list',
+    // Lines like 'info "typescript@5.3.3" has binaries:'
+    parse: output => matchLines(output, /^info "(.+)@([^@"]+)" has binaries/),
+    install: 'yarn global add',
+    batch: true,
+    batchPinned: true,
+    pinned: (name, version) => `${name}@${version}`
+  },
+  composer: {
+    label: 'Composer global packages',
+    title: 'Composer',
+    binary: 'composer',
+    list: 'composer global show --direct --format=json',
+    parse: output => (((parseJson(output) || {}).installed) || [])
+      .filter(pkg => pkg && pkg.name)
+      .map(pkg => ({ name: pkg.name, version: pkg.version || 'unknown' })),
+    install: 'composer global require',
+    batch: true,
+    batchPinned: true,
+    pinned: (name, version) => `${name}:${version}`
+  }
+};
+
+/**
+ * Names of the global package managers, in report order
+ */
+const GLOBAL_PACKAGE_MANAGERS = Object.keys(PACKAGE_MANAGERS);
+
+/**
+ * Returns the argument that installs the latest version of a package
+ * @param {string} manager - Key of PACKAGE_MANAGERS
+ * @param {string} name - Sanitized package name
+ * @returns {string} - Install argument
+ */
+function latestArg(manager, name) {
+  const { latest } = PACKAGE_MANAGERS[manager];
+  return latest ? latest(name) : name;
+}
+
+/**
+ * Builds the shell commands that install packages with one manager
+ * @param {string} manager - Key of PACKAGE_MANAGERS
+ * @param {Array<Object>} entries - Entries with arg (the install argument); entries without arg are left out
+ * @param {Object} options - Command options
+ * @param {boolean} options.pinned - Arguments carry versions (batched only where the manager allows it)
+ * @returns {Array<Object>} - { command, entries } in run order
+ */
+function installCommands(manager, entries, options = {}) {
+  const { pinned = false } = options;
+  const registry = PACKAGE_MANAGERS[manager];
+  const installable = entries.filter(entry => entry.arg);
+
+  if (installable.length === 0) {
+    return [];
+  }
+  if (pinned ? registry.batchPinned : registry.batch) {
+    return [{ command: `${registry.install} ${installable.map(entry => entry.arg).join(' ')}`, entries: installable }];
+  }
+  return installable.map(entry => ({ command: `${registry.install} ${entry.arg}`, entries: [entry] }));
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  GLOBAL_PACKAGE_MANAGERS,
+  parseGoBinaries,
+  latestArg,
+  installCommands
+};
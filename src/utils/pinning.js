@@ -0,0 +1,130 @@
+const { sanitizePackageName } = require('./exec');
+const { parseVersion } = require('./versions');
+const { PACKAGE_MANAGERS, latestArg, installCommands } = require('./package-managers');
+
+const VERSION_PATTERN = /^[0-9A-Za-z][0-9A-Za-z.+_-]*$/;
+
+/**
+ * Extracts a single installable version from a captured version string
+ * @param {string} version - Captured version like '1.2.3', '1.2.3, 1.2.2', 'default: 2.0.1' or '1.0.0 at path "/x"'
+ * @returns {string|null} - Version safe to pass to an installer, or null if there is none
+ */
+function cleanVersion(version) {
+  if (typeof version !== 'string') {
+    return null;
+  }
+
+  const first = version.split(',')[0].replace(/^\s*default:\s*/, '').trim().split(/\s+/)[0];
+  if (!first || first === 'unknown' || !VERSION_PATTERN.test(first)) {
+    return null;
+  }
+
+  return first;
+}
+
+/**
+ * Plans pinned installs for global packages
+ * @param {Object} globalPackages - Captured globalPackages section
+ * @returns {Array<Object>} - One entry per package with manager, name, version, arg and status
+ *   ('exact', 'unpinned' when no usable version was captured, 'invalid' for unsafe names)
+ */
+function planGlobalPackagePins(globalPackages = {}) {
+  const plan = [];
+
+  for (const manager of Object.keys(PACKAGE_MANAGERS)) {
+    for (const pkg of globalPackages[manager] || []) {
+      const name = sanitizePackageName(pkg.name);
+      const version = cleanVersion(pkg.version);
+      const entry = { manager, name: pkg.name, captured: pkg.version };
+
+      if (!name) {
+        plan.push({ ...entry, status: 'invalid', reason: 'invalid package name' });
+      } else if (!version) {
+        plan.push({ ...entry, arg: latestArg(manager, name), status: 'unpinned', reason: 'no usable captured version, installing latest' });
+      } else {
+        plan.push({ ...entry, version, arg: PACKAGE_MANAGERS[manager].pinned(name, version), status: 'exact' });
+      }
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Builds the shell commands that install a manager's planned packages
+ * @param {string} manager - Key of PACKAGE_MANAGERS
+ * @param {Array<Object>} entries - Plan entries for that manager
+ * @returns {Array<Object>} - { command, entries } per command (batched where the manager installs several
+ *   pinned packages at once), where entries are exactly the plan entries that command installs
+ */
+function globalPinCommands(manager, entries) {
+  return installCommands(manager, entries, { pinned: true });
+}
+
+/**
+ * Picks the Homebrew formula to install for each captured formula
+ * Homebrew only ships the current version of a formula, so the closest match is a
+ * versioned formula (node@20, python@3.12) when one exists. The bare formula is kept when its
+ * current version is already in the captured series: versioned formulae are keg-only and
+ * would leave the command off PATH.
+ * @param {Array<Object>} formulae - Captured formulae with name and version
+ * @param {Set<string>} available - Names of formulae Homebrew knows about
+ * @param {Map<string, string>} stableVersions - Current stable version per bare formula name
+ * @returns {Array<Object>} - Entries with name, captured version, spec to install and status
+ *   ('approximate' for a versioned formula or a bare formula in the captured series,
+ *   'unpinned' when only the latest is available)
+ */
+function planFormulaPins(formulae, available, stableVersions = new Map()) {
+  return formulae.map(formula => {
+    const entry = { name: formula.name, captured: formula.version };
+    const parts = parseVersion(formula.version);
+
+    if (formula.name.includes('@')) {
+      return { ...entry, spec: formula.name, status: 'approximate', reason: `latest ${formula.name}` };
+    }
+
+    const stable = parseVersion(stableVersions.get(formula.name));
+    const series = parts ? [[`${parts[0]}.${parts[1]}`, 2], [`${parts[0]}`, 1]] : [];
+    for (const [suffix, depth] of series) {
+      if (stable && stable.slice(0, depth).join('.') === parts.slice(0, depth).join('.')) {
+        return { ...entry, spec: formula.name, status: 'approximate', reason: `latest ${formula.name} (${suffix} series)` };
+      }
+      const versioned = `${formula.name}@${suffix}`;
+      if (available.has(versioned)) {
+        return { ...entry, spec: versioned, status: 'approximate', reason: `latest ${versioned}` };
+      }
+    }
+
+    return { ...entry, spec: formula.name, status: 'unpinned', reason: 'no versioned formula, installing latest' };
+  });
+}
+
+/**
+ * Marks formula pins as exact where Homebrew's current version matches the captured one
+ * @param {Array<Object>} pins - Entries from planFormulaPins
+ * @param {Map<string, string>} stableVersions - Current stable version per formula spec
+ * @returns {Array<Object>} - The same entries, updated in place
+ */
+function markExactFormulaPins(pins, stableVersions) {
+  const withoutRevision = version => String(version || '').trim().split(/\s+/).pop().replace(/_\d+$/, '');
+
+  for (const pin of pins) {
+    const stable = stableVersions.get(pin.spec);
+    if (stable && withoutRevision(stable) === withoutRevision(pin.captured)) {
+      pin.status = 'exact';
+      delete pin.reason;
+    } else if (stable) {
+      pin.reason = `${pin.reason} (Homebrew has ${stable})`;
+    }
+  }
+
+  return pins;
+}
+
+module.exports = {
+  cleanVersion,
+  planGlobalPackagePins,
+  globalPinCommands,
+  planFormulaPins,
+  markExactFormulaPins
+};
@@ -0,0 +1,407 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileAsync } = require('./exec');
+const { hasRedactions } = require('./redact');
+
+const SKIP_DIRS = new Set(['node_modules', '.git']);
+
+/**
+ * Works out what a .git entry says about its directory
+ * @param {string} dir - Directory to inspect
+ * @returns {Object|null} - { kind, mainRepo } or null if the directory is not a git checkout
+ */
+function detectGitKind(dir) {
+  const gitPath = path.join(dir, '.git');
+  let stats;
+  try {
+    stats = fs.lstatSync(gitPath);
+  } catch (error) {
+    return null;
+  }
+
+  if (stats.isDirectory()) {
+    return { kind: 'repo' };
+  }
+
+  // Worktrees and submodules have a .git file pointing at the real git dir
+  const content = fs.readFileSync(gitPath, 'utf8');
+  const match = content.match(/^gitdir:\s*(.+)$/m);
+  if (!match) {
+    return null;
+  }
+
+  const gitdir = path.resolve(dir, match[1].trim());
+  const worktree = gitdir.match(/^(.*)[/\\]\.git[/\\]worktrees[/\\][^/\\]+$/);
+  if (worktree) {
+    return { kind: 'worktree', mainRepo: worktree[1] };
+  }
+
+  return { kind: 'submodule' };
+}
+
+/**
+ * Scans root directories for git repositories and worktrees
+ * @param {Array<string>} roots - Directories to scan
+ * @param {Object} options - Scan options
+ * @param {number} options.maxDepth - How many directory levels below each root to search (default: 1)
+ * @returns {Array<Object>} - Entries with name, path, root, kind ('repo', 'worktree', 'directory'),
+ *   plus mainRepo for worktrees and nestedIn for repos inside other repos
+ */
+function findRepositories(roots, options = {}) {
+  const { maxDepth = 1 } = options;
+  const found = [];
+  const seen = new Set();
+
+  const walk = (root, dir, depth, parentRepo) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || SKIP_DIRS.has(entry.name)) {
+        continue;
+      }
+
+      const fullPath = path.join(dir, entry.name);
+      const git = detectGitKind(fullPath);
+      let realPath = fullPath;
+      try {
+        realPath = fs.realpathSync(fullPath);
+      } catch (error) {
+        // Keep the unresolved path
+      }
+
+      if (git && git.kind !== 'submodule' && !seen.has(realPath)) {
+        seen.add(realPath);
+        const repo = {
+          name: path.relative(root, fullPath),
+          path: fullPath,
+          root,
+          kind: git.kind
+        };
+        if (git.mainRepo) {
+          repo.mainRepo = git.mainRepo;
+        }
+        if (parentRepo) {
+          repo.nestedIn = parentRepo;
+        }
+        found.push(repo);
+      } else if (!git && depth === 1) {
+        found.push({ name: entry.name, path: fullPath, root, kind: 'directory' });
+      }
+
+      if (depth < maxDepth) {
+        walk(root, fullPath, depth + 1, git && git.kind !== 'submodule' ? fullPath : parentRepo);
+      }
+    }
+  };
+
+  for (const root of roots) {
+    if (fs.existsSync(root)) {
+      walk(root, root, 1, null);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Parses `git remote -v` output into one entry per remote
+ * @param {string} output - Output of git remote -v
+ * @returns {Array<Object>} - Remotes with name, url and pushUrl when it differs
+ */
+function parseRemotes(output) {
+  const remotes = new Map();
+
+  for (const line of (output || '').split('\n')) {
+    const match = line.trim().match(/^(\S+)\s+(\S+)\s+\((fetch|push)\)$/);
+    if (!match) {
+      continue;
+    }
+    const [, name, url, type] = match;
+    const remote = remotes.get(name) || { name };
+    if (type === 'fetch') {
+      remote.url = url;
+    } else {
+      remote.pushUrl = url;
+    }
+    remotes.set(name, remote);
+  }
+
+  return Array.from(remotes.values()).map(remote => {
+    if (remote.pushUrl === remote.url) {
+      delete remote.pushUrl;
+    }
+    return remote;
+  });
+}
+
+/**
+ * Parses `git for-each-ref` output for local branches and their upstream tracking
+ * @param {string} output - Lines of "<branch>|<upstream>|<track>"
+ * @returns {Array<Object>} - Branches with name, upstream, ahead, behind (gone upstreams count as none)
+ */
+function parseBranchTracking(output) {
+  const branches = [];
+
+  for (const line of (output || '').split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    const [name, upstream, track = ''] = line.trim().split('|');
+    const ahead = track.match(/ahead (\d+)/);
+    const behind = track.match(/behind (\d+)/);
+    branches.push({
+      name,
+      upstream: upstream && !track.includes('gone') ? upstream : null,
+      ahead: ahead ? parseInt(ahead[1], 10) : 0,
+      behind: behind ? parseInt(behind[1], 10) : 0
+    });
+  }
+
+  return branches;
+}
+
+/**
+ * Parses `git config --file .gitmodules --get-regexp` output into submodules
+ * @param {string} output - Lines of "submodule.<name>.<path|url> <value>"
+ * @returns {Array<Object>} - Submodules with name, path and url
+ */
+function parseSubmodules(output) {
+  const submodules = new Map();
+
+  for (const line of (output || '').split('\n')) {
+    const match = line.trim().match(/^submodule\.(.+)\.(path|url)\s+(.+)$/);
+    if (match) {
+      const submodule = submodules.get(match[1]) || { name: match[1] };
+      submodule[match[2]] = match[3];
+      submodules.set(match[1], submodule);
+    }
+  }
+
+  return Array.from(submodules.values());
+}
+
+/**
+ * Lists the reasons a captured repository would lose work if the machine were wiped
+ * @param {Object} repo - Captured githubRepos entry
+ * @returns {Array<string>} - Human-readable risks, empty if the repo is safe to lose
+ */
+function getRepoRisks(repo) {
+  const risks = [];
+
+  if (!repo.isGit || repo.kind === 'worktree') {
+    return risks;
+  }
+
+  if (!repo.remoteUrl) {
+    risks.push('no remote (exists only on this machine)');
+  }
+  if (repo.hasUncommittedChanges) {
+    risks.push('uncommitted changes');
+  }
+  if (repo.untrackedCount > 0) {
+    risks.push(`${repo.untrackedCount} untracked file(s)`);
+  }
+  if (repo.stashCount > 0) {
+    risks.push(`${repo.stashCount} stash(es)`);
+  }
+  if (repo.unpushedBranches && repo.unpushedBranches.length > 0 && repo.remoteUrl) {
+    risks.push(`${repo.unpushedBranches.length} branch(es) without upstream: ${repo.unpushedBranches.join(', ')}`);
+  }
+  for (const branch of repo.branches || []) {
+    if (branch.ahead > 0) {
+      risks.push(`${branch.name} is ${branch.ahead} commit(s) ahead of ${branch.upstream}`);
+    }
+  }
+
+  return risks;
+}
+
+/**
+ * Runs an async function over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(1, limit), items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * Maps a captured path from the source machine's home onto the current home
+ * @param {string} repoPath - Captured absolute path (e.g. /Users/alice/Documents/github/app)
+ * @param {string} home - Current home directory
+ * @returns {string} - Path under the current home, or the original path if not under /Users
+ */
+function remapHomePath(repoPath, home) {
+  const match = repoPath.match(/^\/Users\/[^/]+(\/.*)?$/);
+  if (!match || !home) {
+    return repoPath;
+  }
+  return path.join(home, match[1] || '');
+}
+
+/**
+ * Clones one captured repository, re-adds its other remotes, checks out its captured branch
+ * and initialises its submodules
+ * @param {Object} repo - Captured repo with remoteUrl, path, branch and submodules
+ * @param {string} target - Directory to clone into
+ * @returns {Promise<Object>} - Outcome with status and optional warning or error
+ */
+async function cloneRepository(repo, target) {
+  // A credential or host-key prompt would block a clone worker forever
+  const env = { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_SSH_COMMAND: 'ssh -o BatchMode=yes' };
+
+  try {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+  } catch (error) {
+    return { status: 'failed', error: error.message };
+  }
+
+  const clone = await execFileAsync('git', ['clone', '--quiet', repo.remoteUrl, target], { env });
+  if (!clone.ok) {
+    return { status: 'failed', error: clone.stderr || clone.error };
+  }
+
+  const warnings = [];
+  for (const remote of repo.remotes || []) {
+    if (remote.name === 'origin' || !remote.url) {
+      continue;
+    }
+    if (hasRedactions(remote.url)) {
+      warnings.push(`remote ${remote.name} not added: credentials redacted`);
+    } else {
+      await execFileAsync('git', ['remote', 'add', remote.name, remote.url], { cwd: target });
+    }
+  }
+
+  if (repo.branch) {
+    const current = await execFileAsync('git', ['branch', '--show-current'], { cwd: target });
+    if (current.stdout !== repo.branch) {
+      const checkout = await execFileAsync('git', ['checkout', '--quiet', repo.branch], { cwd: target });
+      if (!checkout.ok) {
+        warnings.push(`branch ${repo.branch} not found on remote`);
+      }
+    }
+  }
+
+  // After the checkout, so the submodules match the captured branch
+  if (repo.submodules && repo.submodules.length > 0) {
+    const update = await execFileAsync('git', ['submodule', 'update', '--init', '--recursive', '--quiet'], { cwd: target, env });
+    if (!update.ok) {
+      warnings.push('submodules could not be initialised');
+    }
+  }
+
+  return warnings.length > 0 ? { status: 'cloned', warning: warnings.join('; ') } : { status: 'cloned' };
+}
+
+/**
+ * Clones captured repositories into their original paths
+ * @param {Array<Object>} repos - Captured githubRepos entries
+ * @param {Object} options - Clone options
+ * @param {number} options.concurrency - Maximum parallel clones (default: 4)
+ * @param {boolean} options.dryRun - Preview mode
+ * @param {string} options.home - Current home directory used to remap /Users/<name> paths
+ * @returns {Promise<Object>} - Result with cloned, skipped, failed counts and per-repo details
+ */
+async function cloneRepositories(repos, options = {}) {
+  const {
+    concurrency = 4,
+    dryRun = false,
+    home = process.env.HOME
+  } = options;
+
+  const result = {
+    cloned: 0,
+    skipped: 0,
+    failed: 0,
+    repos: []
+  };
+
+  const cloneOne = async repo => {
+    const target = remapHomePath(repo.path, home);
+    const outcome = { name: repo.name, path: target, remoteUrl: repo.remoteUrl, branch: repo.branch };
+
+    if (repo.kind === 'worktree') {
+      return { ...outcome, status: 'worktree', mainRepo: repo.mainRepo };
+    }
+    if (!repo.isGit || !repo.remoteUrl) {
+      return { ...outcome, status: 'no-remote' };
+    }
+    if (fs.existsSync(target)) {
+      return { ...outcome, status: 'exists' };
+    }
+    if (hasRedactions(repo.remoteUrl)) {
+      return { ...outcome, status: 'failed', error: 'credentials redacted from remote URL' };
+    }
+    if (dryRun) {
+      return { ...outcome, status: 'would-clone' };
+    }
+
+    return { ...outcome, ...(await cloneRepository(repo, target)) };
+  };
+
+  // Clone outer repos before the repos nested inside them
+  const byPath = new Map(repos.map(repo => [repo.path, repo]));
+  const nestingLevel = repo => (repo.nestedIn && byPath.has(repo.nestedIn) ? nestingLevel(byPath.get(repo.nestedIn)) + 1 : 0);
+  const levels = [];
+  repos.forEach((repo, index) => {
+    const level = nestingLevel(repo);
+    levels[level] = levels[level] || [];
+    levels[level].push(index);
+  });
+
+  const outcomes = new Array(repos.length);
+  for (const indexes of levels.filter(Boolean)) {
+    const levelOutcomes = await mapWithConcurrency(indexes, concurrency, index => cloneOne(repos[index]));
+    indexes.forEach((index, i) => {
+      outcomes[index] = levelOutcomes[i];
+    });
+  }
+
+  for (const outcome of outcomes) {
+    if (outcome.status === 'cloned' || outcome.status === 'would-clone') {
+      result.cloned++;
+    } else if (outcome.status === 'failed') {
+      result.failed++;
+    } else {
+      result.skipped++;
+    }
+    result.repos.push(outcome);
+  }
+
+  return result;
+}
+
+module.exports = {
+  findRepositories,
+  parseRemotes,
+  parseBranchTracking,
+  parseSubmodules,
+  getRepoRisks,
+  mapWithConcurrency,
+  remapHomePath,
+  cloneRepositories
+};
@@ -0,0 +1,120 @@
+/**
+ * Restoring version managers and the runtime versions they manage
+ */
+
+const { stripVTControlCharacters } = require('util');
+
+const VERSION_PATTERN = /^[0-9A-Za-z][0-9A-Za-z._-]*$/;
+
+// nvm release whose install script is run; bump deliberately after reviewing the release
+const NVM_VERSION = 'v0.40.3';
+
+/**
+ * Install commands per version manager
+ * installManager runs when the manager is missing (managerVersion names the release it installs, where
+ * it pins one); installVersion and setDefault take a version that has already been checked against VERSION_PATTERN.
+ */
+const RUNTIME_MANAGERS = {
+  nvm: {
+    label: 'nvm (Node Version Manager)',
+    managerVersion: NVM_VERSION,
+    installManager: `PROFILE=/dev/null bash -c "curl -fsSL https://raw.githubusercontent.com/nvm-sh/nvm/${NVM_VERSION}/install.sh | bash"`,
+    installVersion: version => `bash -c 'source ~/.nvm/nvm.sh && nvm install ${version}'`,
+    setDefault: version => `bash -c 'source ~/.nvm/nvm.sh && nvm alias default ${version}'`
+  },
+  pyenv: {
+    label: 'pyenv (Python Version Manager)',
+    installManager: 'brew install pyenv',
+    installVersion: version => `pyenv install --skip-existing ${version}`,
+    setDefault: version => `pyenv global ${version}`
+  },
+  rbenv: {
+    label: 'rbenv (Ruby Version Manager)',
+    installManager: 'brew install rbenv ruby-build',
+    installVersion: version => `rbenv install --skip-existing ${version}`,
+    setDefault: version => `rbenv global ${version}`
+  }
+};
+
+/**
+ * Reads the version a default alias or global setting resolves to
+ * @param {string} output - Output of `nvm alias default`, `pyenv global` or `rbenv global`
+ * @returns {string|null} - Version such as '20.10.0' or 'system', or null if none is set
+ */
+function parseDefaultVersion(output) {
+  const text = stripVTControlCharacters(output || '').trim();
+  if (!text || /N\/A|not set|no such/i.test(text)) {
+    return null;
+  }
+
+  // nvm prints "default -> 20 (-> v20.10.0)"; the last full version is what it resolves to
+  const versions = text.match(/\d+\.\d+\.\d+/g);
+  if (text.includes('->')) {
+    return versions ? versions[versions.length - 1] : null;
+  }
+  return text.split('\n')[0].trim().replace(/^v(?=\d)/, '');
+}
+
+/**
+ * Plans what to run to restore captured version managers and runtimes
+ * @param {Object} captured - Captured versionManagers section
+ * @param {Object} current - versionManagers captured from this machine
+ * @returns {Array<Object>} - Steps in run order with manager, kind (manager, version or default),
+ *   name, command and status (present, pending or invalid, with reason)
+ */
+function planRuntimeInstalls(captured = {}, current = {}) {
+  const steps = [];
+
+  for (const [manager, commands] of Object.entries(RUNTIME_MANAGERS)) {
+    const wanted = captured[manager];
+    if (!wanted || !wanted.installed) {
+      continue;
+    }
+
+    const have = current[manager] || { installed: false, versions: [] };
+    const haveVersions = (have.versions || []).map(version => version.replace(/^v/, ''));
+
+    steps.push({
+      manager,
+      kind: 'manager',
+      name: manager,
+      ...(commands.managerVersion ? { version: commands.managerVersion } : {}),
+      command: commands.installManager,
+      status: have.installed ? 'present' : 'pending'
+    });
+
+    for (const raw of wanted.versions || []) {
+      const version = String(raw).replace(/^v/, '');
+      const step = { manager, kind: 'version', name: `${manager} ${version}` };
+      if (!VERSION_PATTERN.test(version)) {
+        steps.push({ ...step, status: 'invalid', reason: 'invalid version' });
+      } else if (haveVersions.includes(version)) {
+        steps.push({ ...step, status: 'present' });
+      } else {
+        steps.push({ ...step, command: commands.installVersion(version), status: 'pending' });
+      }
+    }
+
+    const version = wanted.default ? String(wanted.default).replace(/^v/, '') : null;
+    if (version && version !== 'system') {
+      const step = { manager, kind: 'default', name: `${manager} default ${version}` };
+      if (!VERSION_PATTERN.test(version)) {
+        steps.push({ ...step, status: 'invalid', reason: 'invalid version' });
+      } else if (String(have.default || '').replace(/^v/, '') === version) {
+        steps.push({ ...step, status: 'present' });
+      } else {
+        steps.push({ ...step, command: commands.setDefault(version), status: 'pending' });
+      }
+    }
+  }
+
+  return steps;
+}
+
+module.exports = {
+  NVM_VERSION,
+  VERSION_PATTERN,
+  RUNTIME_MANAGERS,
+  parseDefaultVersion,
+  planRuntimeInstalls
+};
@@ -2,8 +2,76 @@
  * JSON Schema validation for mac-setup.json
  */
 
+const { diffLines, unifiedDiff } = require('./textdiff');
+const { classifyVersionChange } = require('./versions');
+const { GLOBAL_PACKAGE_MANAGERS } = require('./package-managers');
+const { EDITORS } = require('./editors');
+
 const SCHEMA_VERSION = '2.0';
 
+/**
+ * Top-level sections a capture can include or omit
+ */
+const SECTIONS = [
+  'applications',
+  'masApps',
+  'homebrew',
+  'binaries',
+  'homeBin',
+  'githubRepos',
+  'globalPackages',
+  'shellConfigs',
+  'gitConfig',
+  'versionManagers',
+  'toolManagers',
+  'toolVersionFiles',
+  'editors',
+  'macosDefaults',
+  'menubarConfig'
+];
+
+/**
+ * Parses a comma-separated list of section names
+ * @param {string} value - List like 'homebrew,globalPackages'
+ * @returns {Array<string>} - Section names
+ * @throws {Error} - If the list is empty or a name is not a known section
+ */
+function parseSectionList(value) {
+  const sections = String(value || '').split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = sections.filter(name => !SECTIONS.includes(name));
+
+  if (sections.length === 0) {
+    throw new Error(`No sections given (expected: ${SECTIONS.join(', ')})`);
+  }
+  if (unknown.length > 0) {
+    throw new Error(`Unknown section(s): ${unknown.join(', ')} (expected: ${SECTIONS.join(', ')})`);
+  }
+
+  return sections;
+}
+
+/**
+ * Works out which sections to process from --only / --skip style lists
+ * @param {Object} options - Selection options
+ * @param {Array<string>|null} options.only - Sections to keep (null means all)
+ * @param {Array<string>} options.skip - Sections to leave out
+ * @returns {Array<string>} - Selected sections in schema order
+ */
+function selectSections(options = {}) {
+  const { only = null, skip = [] } = options;
+  return SECTIONS.filter(section => (!only || only.includes(section)) && !skip.includes(section));
+}
+
+/**
+ * Checks whether a setup intentionally left a section out at capture time
+ * @param {Object} setup - The setup object
+ * @param {string} section - Section name
+ * @returns {boolean} - True if the section is listed in omittedSections
+ */
+function isSectionOmitted(setup, section) {
+  return Array.isArray(setup.omittedSections) && setup.omittedSections.includes(section);
+}
+
 /**
  * Validates the structure of a setup JSON object
  * @param {Object} setup - The setup object to validate
@@ -34,8 +102,23 @@ function validateSetup(setup) {
     }
   }
 
+  // Validate omitted sections
+  if (setup.omittedSections !== undefined) {
+    if (!Array.isArray(setup.omittedSections)) {
+      errors.push('Invalid field: omittedSections must be an array');
+    } else {
+      for (const section of setup.omittedSections) {
+        if (!SECTIONS.includes(section)) {
+          errors.push(`Invalid field: omittedSections contains unknown section '${section}'`);
+        }
+      }
+    }
+  }
+
   // Validate homebrew section
-  if (!setup.homebrew) {
+  if (isSectionOmitted(setup, 'homebrew')) {
+    // Intentionally left out at capture time
+  } else if (!setup.homebrew) {
     errors.push('Missing required field: homebrew');
   } else {
     if (!Array.isArray(setup.homebrew.taps)) {
@@ -73,10 +156,16 @@ function validateSetup(setup) {
 
   // Validate global packages
   if (setup.globalPackages) {
-    const managers = ['npm', 'bun', 'dart', 'ruby'];
-    for (const manager of managers) {
-      if (setup.globalPackages[manager] && !Array.isArray(setup.globalPackages[manager])) {
+    for (const manager of GLOBAL_PACKAGE_MANAGERS) {
+      const packages = setup.globalPackages[manager];
+      if (packages && !Array.isArray(packages)) {
         errors.push(`Invalid field: globalPackages.${manager} must be an array`);
+      } else if (packages) {
+        packages.forEach((pkg, idx) => {
+          if (!pkg || typeof pkg.name !== 'string' || !pkg.name) {
+            errors.push(`Invalid ${manager} package at index ${idx}: missing 'name' field`);
+          }
+        });
       }
     }
   }
@@ -101,6 +190,46 @@ function validateSetup(setup) {
     errors.push('Invalid field: githubRepos must be an array');
   }
 
+  // Validate tool managers and per-repo version files
+  if (setup.toolManagers) {
+    if (typeof setup.toolManagers !== 'object' || Array.isArray(setup.toolManagers)) {
+      errors.push('Invalid field: toolManagers must be an object');
+    } else {
+      for (const [manager, entry] of Object.entries(setup.toolManagers)) {
+        if (entry && entry.tools && (typeof entry.tools !== 'object' || Array.isArray(entry.tools))) {
+          errors.push(`Invalid field: toolManagers.${manager}.tools must be an object`);
+        }
+      }
+    }
+  }
+  if (setup.toolVersionFiles && !Array.isArray(setup.toolVersionFiles)) {
+    errors.push('Invalid field: toolVersionFiles must be an array');
+  }
+
+  // Validate editors
+  if (setup.editors) {
+    if (typeof setup.editors !== 'object' || Array.isArray(setup.editors)) {
+      errors.push('Invalid field: editors must be an object');
+    } else {
+      for (const [editor, entry] of Object.entries(setup.editors)) {
+        for (const field of ['extensions', 'files']) {
+          if (entry && entry[field] && !Array.isArray(entry[field])) {
+            errors.push(`Invalid field: editors.${editor}.${field} must be an array`);
+          }
+        }
+      }
+    }
+  }
+
+  if (setup.macosDefaults && !Array.isArray(setup.macosDefaults)) {
+    errors.push('Invalid field: macosDefaults must be an array');
+  }
+
+  // Validate redaction manifest
+  if (setup.redactionManifest && !Array.isArray(setup.redactionManifest)) {
+    errors.push('Invalid field: redactionManifest must be an array');
+  }
+
   return {
     valid: errors.length === 0,
     errors: errors
@@ -130,12 +259,7 @@ function createEmptySetup() {
     binaries: [],
     homeBin: [],
     githubRepos: [],
-    globalPackages: {
-      npm: [],
-      bun: [],
-      dart: [],
-      ruby: []
-    },
+    globalPackages: Object.fromEntries(GLOBAL_PACKAGE_MANAGERS.map(manager => [manager, []])),
     shellConfigs: [],
     gitConfig: {
       user: {},
@@ -146,6 +270,17 @@ function createEmptySetup() {
       pyenv: { installed: false, versions: [] },
       rbenv: { installed: false, versions: [] }
     },
+    toolManagers: {
+      asdf: { installed: false, plugins: [], tools: {} },
+      mise: { installed: false, plugins: [], tools: {} },
+      fnm: { installed: false, tools: {} },
+      volta: { installed: false, tools: {} },
+      rustup: { installed: false, tools: {} },
+      goenv: { installed: false, tools: {} }
+    },
+    toolVersionFiles: [],
+    editors: Object.fromEntries(Object.keys(EDITORS).map(editor => [editor, { installed: false, extensions: [], files: [] }])),
+    macosDefaults: [],
     menubarConfig: {
       loginItems: [],
       runningApps: [],
@@ -172,83 +307,317 @@ function isCompatibleVersion(setup) {
   return major === currentMajor;
 }
 
+/**
+ * Compares two lists of items matched by a key
+ * @param {Array} oldList - Items from the old setup
+ * @param {Array} newList - Items from the new setup
+ * @param {Function} key - Returns the identity of an item
+ * @param {Function} compare - Optional (oldItem, newItem) => update details or null if unchanged
+ * @param {Function} summarize - Optional item => what to record for added/removed items
+ * @returns {Object} - Group with added, removed and updated arrays
+ */
+function compareLists(oldList, newList, key, compare = null, summarize = item => item) {
+  const group = { added: [], removed: [], updated: [] };
+  const oldItems = new Map((oldList || []).map(item => [key(item), item]));
+  const newItems = new Map((newList || []).map(item => [key(item), item]));
+
+  for (const [name, item] of newItems) {
+    if (!oldItems.has(name)) {
+      group.added.push(summarize(item));
+    } else if (compare) {
+      const update = compare(oldItems.get(name), item);
+      if (update) {
+        group.updated.push({ name, ...update });
+      }
+    }
+  }
+
+  for (const [name, item] of oldItems) {
+    if (!newItems.has(name)) {
+      group.removed.push(summarize(item));
+    }
+  }
+
+  return group;
+}
+
+/**
+ * Builds a comparator that lists which of the given fields changed
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Function} - (oldItem, newItem) => { changes } or null
+ */
+function fieldChanges(fields) {
+  return (oldItem, newItem) => {
+    const changes = fields
+      .filter(field => oldItem[field] !== newItem[field])
+      .map(field => `${field} ${oldItem[field] ?? 'none'} → ${newItem[field] ?? 'none'}`);
+    return changes.length > 0 ? { changes } : null;
+  };
+}
+
+/**
+ * Describes a version change between two captured items
+ * @param {Object} oldItem - Item with version
+ * @param {Object} newItem - Item with version
+ * @returns {Object|null} - { oldVersion, newVersion, change, direction } or null if unchanged
+ */
+function versionUpdate(oldItem, newItem) {
+  if (!oldItem.version || !newItem.version || oldItem.version === newItem.version) {
+    return null;
+  }
+  return {
+    oldVersion: oldItem.version,
+    newVersion: newItem.version,
+    ...classifyVersionChange(oldItem.version, newItem.version)
+  };
+}
+
+/**
+ * Compares captured text files line by line
+ * @param {Array<Object>} oldFiles - Files with name and content
+ * @param {Array<Object>} newFiles - Files with name and content
+ * @returns {Object} - Group where updated entries carry line counts and a unified diff
+ */
+function compareFiles(oldFiles, newFiles) {
+  return compareLists(oldFiles, newFiles, file => file.name, (oldFile, newFile) => {
+    const oldContent = oldFile.content || '';
+    const newContent = newFile.content || '';
+    if (oldContent === newContent) {
+      return null;
+    }
+
+    const ops = diffLines(oldContent.split('\n'), newContent.split('\n'));
+    return {
+      linesAdded: ops.filter(op => op.type === '+').length,
+      linesRemoved: ops.filter(op => op.type === '-').length,
+      diff: unifiedDiff(oldContent, newContent, { oldLabel: `a/${oldFile.name}`, newLabel: `b/${newFile.name}` })
+    };
+  }, file => ({ name: file.name, lines: (file.content || '').split('\n').length }));
+}
+
+/**
+ * Compares git settings key by key, joining the values of multi-valued keys
+ * @param {Array<Object>} oldSettings - Settings with key and value
+ * @param {Array<Object>} newSettings - Settings with key and value
+ * @returns {Object} - Group of { name, value } / { name, oldValue, newValue } entries
+ */
+function compareGitSettings(oldSettings, newSettings) {
+  const byKey = settings => {
+    const grouped = new Map();
+    for (const setting of settings || []) {
+      grouped.set(setting.key, (grouped.get(setting.key) || []).concat(setting.value));
+    }
+    return Array.from(grouped, ([name, values]) => ({ name, value: values.join(', ') }));
+  };
+
+  return compareLists(byKey(oldSettings), byKey(newSettings), setting => setting.name, (oldSetting, newSetting) => (
+    oldSetting.value === newSetting.value ? null : { oldValue: oldSetting.value, newValue: newSetting.value }
+  ));
+}
+
 /**
  * Compares two setup objects and returns differences
+ * Sections omitted from either capture (or skipped via options) are not compared
+ * and are listed in diff.omittedSections instead of showing up as removed/added.
  * @param {Object} oldSetup - The old setup
  * @param {Object} newSetup - The new setup
- * @returns {Object} - Diff object with added, removed, changed items
+ * @param {Object} options - Diff options
+ * @param {Array<string>} options.skip - Sections to leave out of the comparison
+ * @returns {Object} - Diff object with added, removed, updated items per section
  */
-function diffSetups(oldSetup, newSetup) {
+function diffSetups(oldSetup, newSetup, options = {}) {
+  const { skip = [] } = options;
+  const emptyGroup = () => ({ added: [], removed: [], updated: [] });
   const diff = {
-    applications: {
-      added: [],
-      removed: [],
-      updated: []
-    },
+    applications: emptyGroup(),
+    masApps: emptyGroup(),
     homebrew: {
-      formulae: { added: [], removed: [] },
-      casks: { added: [], removed: [] },
+      formulae: emptyGroup(),
+      casks: emptyGroup(),
       taps: { added: [], removed: [] }
     },
-    globalPackages: {
-      npm: { added: [], removed: [] },
-      bun: { added: [], removed: [] },
-      dart: { added: [], removed: [] },
-      ruby: { added: [], removed: [] }
-    }
+    binaries: emptyGroup(),
+    homeBin: emptyGroup(),
+    githubRepos: emptyGroup(),
+    globalPackages: Object.fromEntries(GLOBAL_PACKAGE_MANAGERS.map(manager => [manager, emptyGroup()])),
+    shellConfigs: emptyGroup(),
+    gitConfig: {
+      settings: emptyGroup(),
+      globalGitignore: emptyGroup()
+    },
+    versionManagers: {},
+    toolManagers: {},
+    toolVersionFiles: emptyGroup(),
+    editors: {},
+    macosDefaults: emptyGroup(),
+    menubarConfig: {
+      loginItems: emptyGroup(),
+      launchAgents: emptyGroup()
+    },
+    omittedSections: SECTIONS.filter(section =>
+      skip.includes(section) || isSectionOmitted(oldSetup, section) || isSectionOmitted(newSetup, section)
+    )
   };
 
+  const compared = section => !diff.omittedSections.includes(section);
+  const byName = item => item.name;
+
   // Compare applications
-  const oldApps = new Map(oldSetup.applications.map(a => [a.name, a]));
-  const newApps = new Map(newSetup.applications.map(a => [a.name, a]));
-
-  for (const [name, app] of newApps) {
-    if (!oldApps.has(name)) {
-      diff.applications.added.push(app);
-    } else if (oldApps.get(name).version !== app.version) {
-      diff.applications.updated.push({
-        name,
-        oldVersion: oldApps.get(name).version,
-        newVersion: app.version
-      });
+  if (compared('applications')) {
+    diff.applications = compareLists(oldSetup.applications, newSetup.applications, byName, versionUpdate);
+  }
+
+  // Compare Mac App Store apps
+  if (compared('masApps')) {
+    diff.masApps = compareLists(oldSetup.masApps, newSetup.masApps, app => app.id || app.name, (oldApp, newApp) => {
+      const update = versionUpdate(oldApp, newApp);
+      return update ? { name: newApp.name, ...update } : null;
+    });
+  }
+
+  // Compare package lists by name, and versions where both sides recorded one
+  const comparePackages = (oldPkgs, newPkgs, target) => {
+    const group = compareLists(oldPkgs, newPkgs, pkg => pkg.name || pkg, (oldPkg, newPkg) => (
+      typeof oldPkg === 'string' || typeof newPkg === 'string' ? null : versionUpdate(oldPkg, newPkg)
+    ), pkg => (typeof pkg === 'string' ? pkg : pkg.name));
+
+    target.added.push(...group.added);
+    target.removed.push(...group.removed);
+    if (target.updated) {
+      target.updated.push(...group.updated);
     }
+  };
+
+  // Compare Homebrew packages
+  if (compared('homebrew')) {
+    const oldBrew = oldSetup.homebrew || {};
+    const newBrew = newSetup.homebrew || {};
+    for (const category of ['formulae', 'casks', 'taps']) {
+      comparePackages(oldBrew[category] || [], newBrew[category] || [], diff.homebrew[category]);
+    }
+  }
+
+  // Compare executables in /usr/local/bin and /opt/homebrew/bin
+  if (compared('binaries')) {
+    diff.binaries = compareLists(oldSetup.binaries, newSetup.binaries, binary => binary.path || binary.name,
+      fieldChanges(['type', 'target']), binary => binary.path || binary.name);
+  }
+
+  // Compare ~/bin
+  if (compared('homeBin')) {
+    diff.homeBin = compareLists(oldSetup.homeBin, newSetup.homeBin, byName,
+      fieldChanges(['type', 'target', 'size', 'executable']));
+  }
+
+  // Compare repositories
+  if (compared('githubRepos')) {
+    diff.githubRepos = compareLists(oldSetup.githubRepos, newSetup.githubRepos, byName,
+      fieldChanges(['remoteUrl', 'branch']), repo => ({ name: repo.name, remoteUrl: repo.remoteUrl }));
   }
 
-  for (const [name, app] of oldApps) {
-    if (!newApps.has(name)) {
-      diff.applications.removed.push(app);
+  // Compare global packages
+  if (compared('globalPackages')) {
+    for (const manager of GLOBAL_PACKAGE_MANAGERS) {
+      const oldPkgs = (oldSetup.globalPackages || {})[manager] || [];
+      const newPkgs = (newSetup.globalPackages || {})[manager] || [];
+      comparePackages(oldPkgs, newPkgs, diff.globalPackages[manager]);
     }
   }
 
-  // Compare Homebrew packages
-  const comparePackages = (oldPkgs, newPkgs, type, category) => {
-    const oldSet = new Set(oldPkgs.map(p => p.name || p));
-    const newSet = new Set(newPkgs.map(p => p.name || p));
-
-    for (const pkg of newPkgs) {
-      const name = pkg.name || pkg;
-      if (!oldSet.has(name)) {
-        diff.homebrew[category].added.push(typeof pkg === 'string' ? pkg : pkg.name);
-      }
+  // Compare shell config contents line by line
+  if (compared('shellConfigs')) {
+    diff.shellConfigs = compareFiles(oldSetup.shellConfigs, newSetup.shellConfigs);
+  }
+
+  // Compare git settings key by key, and the global gitignore line by line
+  if (compared('gitConfig')) {
+    const oldGit = oldSetup.gitConfig || {};
+    const newGit = newSetup.gitConfig || {};
+    const gitignore = git => (typeof git.globalGitignore === 'string'
+      ? [{ name: '.gitignore_global', content: git.globalGitignore }]
+      : []);
+    diff.gitConfig.settings = compareGitSettings(oldGit.settings, newGit.settings);
+    diff.gitConfig.globalGitignore = compareFiles(gitignore(oldGit), gitignore(newGit));
+  }
+
+  // Compare installed runtime versions per version manager
+  if (compared('versionManagers')) {
+    const oldManagers = oldSetup.versionManagers || {};
+    const newManagers = newSetup.versionManagers || {};
+    const managers = new Set([...Object.keys(oldManagers), ...Object.keys(newManagers)]);
+    for (const manager of managers) {
+      const versions = setup => ((setup[manager] || {}).versions || []);
+      const group = compareLists(versions(oldManagers), versions(newManagers), version => version);
+      diff.versionManagers[manager] = { added: group.added, removed: group.removed };
     }
+  }
 
-    for (const pkg of oldPkgs) {
-      const name = pkg.name || pkg;
-      if (!newSet.has(name)) {
-        diff.homebrew[category].removed.push(typeof pkg === 'string' ? pkg : pkg.name);
+  // Compare plugins, installed versions and the default per tool, for each tool manager
+  if (compared('toolManagers')) {
+    const oldManagers = oldSetup.toolManagers || {};
+    const newManagers = newSetup.toolManagers || {};
+    const managers = new Set([...Object.keys(oldManagers), ...Object.keys(newManagers)]);
+    for (const manager of managers) {
+      const oldManager = oldManagers[manager] || {};
+      const newManager = newManagers[manager] || {};
+      const groups = {};
+
+      if (oldManager.plugins || newManager.plugins) {
+        const plugins = compareLists(oldManager.plugins, newManager.plugins, plugin => plugin);
+        groups.plugins = { added: plugins.added, removed: plugins.removed };
+      }
+
+      const oldTools = oldManager.tools || {};
+      const newTools = newManager.tools || {};
+      for (const tool of new Set([...Object.keys(oldTools), ...Object.keys(newTools)])) {
+        const oldTool = oldTools[tool] || {};
+        const newTool = newTools[tool] || {};
+        groups[tool] = compareLists(oldTool.versions, newTool.versions, version => version);
+        if (oldTool.default && newTool.default && oldTool.default !== newTool.default) {
+          groups[tool].updated.push({ name: 'default', oldValue: oldTool.default, newValue: newTool.default });
+        }
       }
+
+      diff.toolManagers[manager] = groups;
     }
-  };
+  }
 
-  comparePackages(oldSetup.homebrew.formulae, newSetup.homebrew.formulae, 'formulae', 'formulae');
-  comparePackages(oldSetup.homebrew.casks, newSetup.homebrew.casks, 'casks', 'casks');
-  comparePackages(oldSetup.homebrew.taps, newSetup.homebrew.taps, 'taps', 'taps');
+  // Compare per-repo version files line by line
+  if (compared('toolVersionFiles')) {
+    diff.toolVersionFiles = compareFiles(oldSetup.toolVersionFiles, newSetup.toolVersionFiles);
+  }
 
-  // Compare global packages
-  for (const manager of ['npm', 'bun', 'dart', 'ruby']) {
-    const oldPkgs = oldSetup.globalPackages[manager] || [];
-    const newPkgs = newSetup.globalPackages[manager] || [];
-    comparePackages(oldPkgs, newPkgs, manager, manager);
+  // Compare extensions (with versions) and profile files per editor
+  if (compared('editors')) {
+    const oldEditors = oldSetup.editors || {};
+    const newEditors = newSetup.editors || {};
+    for (const editor of new Set([...Object.keys(oldEditors), ...Object.keys(newEditors)])) {
+      const oldEditor = oldEditors[editor] || {};
+      const newEditor = newEditors[editor] || {};
+      diff.editors[editor] = {
+        extensions: compareLists(oldEditor.extensions, newEditor.extensions, extension => extension.name.toLowerCase(),
+          versionUpdate),
+        files: compareFiles(oldEditor.files, newEditor.files)
+      };
+    }
+  }
+
+  // Compare macOS defaults by domain and key
+  if (compared('macosDefaults')) {
+    diff.macosDefaults = compareLists(oldSetup.macosDefaults, newSetup.macosDefaults, entry => `${entry.domain} ${entry.key}`,
+      (oldEntry, newEntry) => (oldEntry.type === newEntry.type && oldEntry.value === newEntry.value
+        ? null
+        : { oldValue: oldEntry.value, newValue: newEntry.value }),
+      entry => ({ name: `${entry.domain} ${entry.key}`, value: entry.value }));
+  }
+
+  // Compare login items and launch agents
+  if (compared('menubarConfig')) {
+    const oldMenubar = oldSetup.menubarConfig || {};
+    const newMenubar = newSetup.menubarConfig || {};
+    diff.menubarConfig.loginItems = compareLists(oldMenubar.loginItems, newMenubar.loginItems, item => item);
+    diff.menubarConfig.launchAgents = compareLists(oldMenubar.launchAgents, newMenubar.launchAgents,
+      agent => agent.label || agent.name, fieldChanges(['path']), agent => agent.label || agent.name);
   }
 
   return diff;
@@ -256,6 +625,10 @@ function diffSetups(oldSetup, newSetup) {
 
 module.exports = {
   SCHEMA_VERSION,
+  SECTIONS,
+  parseSectionList,
+  selectSections,
+  isSectionOmitted,
   validateSetup,
   createEmptySetup,
   isCompatibleVersion,
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const readline = require('readline');
+const { PACKAGE_MANAGERS } = require('./package-managers');
+
+const SELECTION_VERSION = 1;
+
+/**
+ * Plan groups offered in the interactive checklist, in the order they are asked
+ */
+const SELECTION_GROUPS = [
+  { group: 'taps', section: 'homebrew', label: 'Homebrew taps' },
+  { group: 'formulae', section: 'homebrew', label: 'Homebrew formulae' },
+  { group: 'casks', section: 'homebrew', label: 'Homebrew casks' },
+  { group: 'masApps', section: 'masApps', label: 'Mac App Store apps' },
+  ...Object.entries(PACKAGE_MANAGERS).map(([group, { label }]) => ({ group, section: 'globalPackages', label })),
+  { group: 'githubRepos', section: 'githubRepos', label: 'Repositories to clone' },
+  { group: 'shellConfigs', section: 'shellConfigs', label: 'Shell configs to restore' }
+];
+
+/**
+ * Reads the list behind a selection group and how to identify and show its items
+ * @param {Object} setup - Setup object
+ * @param {string} group - Group from SELECTION_GROUPS
+ * @returns {Array<Object>} - Entries with key, label and the original item
+ */
+function groupEntries(setup, group) {
+  const nameOf = item => (typeof item === 'string' ? item : item.name);
+
+  if (group === 'taps' || group === 'formulae' || group === 'casks') {
+    return ((setup.homebrew || {})[group] || []).map(item => ({ key: nameOf(item), label: nameOf(item), item }));
+  }
+  if (group === 'masApps') {
+    return (setup.masApps || []).map(app => ({ key: String(app.id), label: `${app.name} (${app.id})`, item: app }));
+  }
+  if (group === 'githubRepos') {
+    return (setup.githubRepos || []).map(repo => ({
+      key: repo.path || repo.name,
+      label: repo.path ? `${repo.name} (${repo.path})` : repo.name,
+      item: repo
+    }));
+  }
+  if (group === 'shellConfigs') {
+    return (setup.shellConfigs || []).map(config => ({ key: config.name, label: config.name, item: config }));
+  }
+  return ((setup.globalPackages || {})[group] || []).map(pkg => ({
+    key: pkg.name,
+    label: pkg.version ? `${pkg.name} ${pkg.version}` : pkg.name,
+    item: pkg
+  }));
+}
+
+/**
+ * Lists the items offered for selection
+ * @param {Object} setup - Setup narrowed to what apply will act on
+ * @param {Array<string>} sections - Sections apply will act on
+ * @returns {Array<Object>} - Non-empty groups with group, label and entries ({ key, label })
+ */
+function selectionCandidates(setup, sections) {
+  return SELECTION_GROUPS
+    .filter(({ section }) => sections.includes(section))
+    .map(({ group, label }) => ({ group, label, entries: groupEntries(setup, group) }))
+    .filter(candidate => candidate.entries.length > 0);
+}
+
+/**
+ * Parses a checklist answer into the item numbers to toggle
+ * @param {string} answer - Numbers and ranges such as '1,3-5'
+ * @param {number} count - Number of items in the list
+ * @returns {Array<number>} - Zero-based indexes
+ */
+function parseToggle(answer, count) {
+  const indexes = [];
+
+  for (const part of answer.split(/[\s,]+/).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    const from = match ? parseInt(match[1], 10) : NaN;
+    const to = match && match[2] ? parseInt(match[2], 10) : from;
+    if (!match || from < 1 || to > count || from > to) {
+      throw new Error(`Invalid selection: ${part} (expected numbers between 1 and ${count})`);
+    }
+    for (let i = from; i <= to; i++) {
+      indexes.push(i - 1);
+    }
+  }
+
+  return indexes;
+}
+
+/**
+ * Asks the user to deselect items group by group in a numbered checklist
+ * @param {Array<Object>} candidates - Groups from selectionCandidates
+ * @param {Object} options - Terminal streams
+ * @param {Object} options.input - Readable stream (default: stdin)
+ * @param {Object} options.output - Writable stream (default: stdout)
+ * @returns {Promise<Object>} - Selection: approved item keys per group
+ */
+async function promptSelection(candidates, options = {}) {
+  const { input = process.stdin, output = process.stdout } = options;
+  const rl = readline.createInterface({ input, output, terminal: false });
+  const lines = rl[Symbol.asyncIterator]();
+  const selection = {};
+
+  const ask = async question => {
+    output.write(question);
+    const { value, done } = await lines.next();
+    return done ? null : value.trim();
+  };
+
+  try {
+    for (const { group, label, entries } of candidates) {
+      const selected = entries.map(() => true);
+
+      for (;;) {
+        output.write(`\n${label} (${selected.filter(Boolean).length} of ${entries.length} selected):\n`);
+        entries.forEach((entry, i) => output.write(`  ${String(i + 1).padStart(3)}. [${selected[i] ? 'x' : ' '}] ${entry.label}\n`));
+
+        const answer = await ask('Toggle items (e.g. 2 or 1,3-5), a = all, n = none, Enter = continue: ');
+        if (answer === null || answer === '') {
+          break;
+        }
+        if (answer === 'a' || answer === 'n') {
+          selected.fill(answer === 'a');
+          continue;
+        }
+        try {
+          for (const index of parseToggle(answer, entries.length)) {
+            selected[index] = !selected[index];
+          }
+        } catch (error) {
+          output.write(`${error.message}\n`);
+        }
+      }
+
+      selection[group] = entries.filter((entry, i) => selected[i]).map(entry => entry.key);
+    }
+  } finally {
+    rl.close();
+  }
+
+  return selection;
+}
+
+/**
+ * Narrows a setup to the selected items
+ * Groups missing from the selection are left as they are.
+ * @param {Object} setup - Setup object
+ * @param {Object} selection - Approved item keys per group
+ * @returns {Object} - { setup, deselected } where deselected lists { group, key, name } of dropped items
+ */
+function applySelection(setup, selection) {
+  const narrowed = {
+    ...setup,
+    homebrew: { ...setup.homebrew },
+    globalPackages: { ...setup.globalPackages }
+  };
+  const deselected = [];
+
+  for (const { group, section } of SELECTION_GROUPS) {
+    if (!Array.isArray(selection[group])) {
+      continue;
+    }
+
+    const keep = new Set(selection[group].map(String));
+    const entries = groupEntries(setup, group);
+    deselected.push(...entries.filter(entry => !keep.has(entry.key)).map(entry => ({
+      group,
+      key: entry.key,
+      name: typeof entry.item === 'string' ? entry.item : entry.item.name
+    })));
+
+    const items = entries.filter(entry => keep.has(entry.key)).map(entry => entry.item);
+    if (section === 'homebrew') {
+      narrowed.homebrew[group] = items;
+    } else if (section === 'globalPackages') {
+      narrowed.globalPackages[group] = items;
+    } else {
+      narrowed[group] = items;
+    }
+  }
+
+  return { setup: narrowed, deselected };
+}
+
+/**
+ * Saves a selection so it can be replayed with --selection
+ * @param {string} file - Output path
+ * @param {Object} selection - Approved item keys per group
+ * @param {Object} meta - Details recorded alongside (setupFile)
+ * @param {Date} now - Save time (default: now)
+ */
+function saveSelection(file, selection, meta = {}, now = new Date()) {
+  const document = { version: SELECTION_VERSION, savedAt: now.toISOString(), ...meta, selection };
+  fs.writeFileSync(file, JSON.stringify(document, null, 2));
+}
+
+/**
+ * Reads a selection saved by saveSelection
+ * @param {string} file - Selection file
+ * @returns {Object} - Approved item keys per group
+ */
+function readSelection(file) {
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read selection file ${file}: ${error.message}`);
+  }
+
+  const selection = document && document.selection;
+  const known = SELECTION_GROUPS.map(({ group }) => group);
+  if (!selection || typeof selection !== 'object' ||
+      Object.entries(selection).some(([group, keys]) => !known.includes(group) || !Array.isArray(keys))) {
+    throw new Error(`Invalid selection file ${file}: expected "selection" with item lists for ${known.join(', ')}`);
+  }
+
+  return selection;
+}
+
+module.exports = {
+  SELECTION_GROUPS,
+  selectionCandidates,
+  parseToggle,
+  promptSelection,
+  applySelection,
+  saveSelection,
+  readSelection
+};
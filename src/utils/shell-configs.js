@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { backupFile, resolveHomePath } = require('./files');
+const { hasRedactions } = require('./redact');
+const { unifiedDiff } = require('./textdiff');
+
+/**
+ * Restores captured shell configuration files into a home directory
+ * @param {Array<Object>} shellConfigs - Captured configs with name and content
+ * @param {Object} options - Restore options
+ * @param {string} options.home - Target home directory (default: $HOME)
+ * @param {boolean} options.dryRun - Preview mode
+ * @param {boolean} options.allowRedacted - Write files that still contain [REDACTED] markers
+ * @param {Date} options.now - Timestamp for backups (default: now)
+ * @returns {Object} - Result with restored, unchanged, skipped, failed counts and per-file details
+ */
+function restoreShellConfigs(shellConfigs, options = {}) {
+  const {
+    home = process.env.HOME,
+    dryRun = false,
+    allowRedacted = false,
+    now = new Date()
+  } = options;
+
+  const result = {
+    restored: 0,
+    unchanged: 0,
+    skipped: 0,
+    failed: 0,
+    files: []
+  };
+
+  for (const config of shellConfigs) {
+    const target = resolveHomePath(home, config.name);
+
+    if (!target || typeof config.content !== 'string') {
+      console.warn(`  ✗ ${config.name}: invalid name or missing content, skipped`);
+      result.skipped++;
+      result.files.push({ name: config.name, status: 'invalid' });
+      continue;
+    }
+
+    if (hasRedactions(config.content) && !allowRedacted) {
+      console.warn(`  ✗ ${config.name}: contains [REDACTED] values, skipped (use --allow-redacted to write anyway)`);
+      result.skipped++;
+      result.files.push({ name: config.name, path: target, status: 'redacted' });
+      continue;
+    }
+
+    const existing = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+
+    if (existing === config.content) {
+      console.log(`  = ${config.name}: already up to date`);
+      result.unchanged++;
+      result.files.push({ name: config.name, path: target, status: 'unchanged' });
+      continue;
+    }
+
+    if (existing !== null) {
+      console.log(`\n  ~ ${config.name}:`);
+      const diff = unifiedDiff(existing, config.content, {
+        oldLabel: `${target} (current)`,
+        newLabel: `${target} (captured)`
+      });
+      console.log(diff.split('\n').map(line => `    ${line}`).join('\n'));
+    } else {
+      console.log(`  + ${config.name}: new file (${config.content.split('\n').length} lines)`);
+    }
+
+    if (dryRun) {
+      result.restored++;
+      result.files.push({ name: config.name, path: target, status: 'would-write' });
+      continue;
+    }
+
+    try {
+      const backup = backupFile(target, now);
+      if (backup) {
+        console.log(`    Backed up to ${backup}`);
+      }
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, config.content);
+      result.restored++;
+      result.files.push({ name: config.name, path: target, status: 'written', backup });
+    } catch (error) {
+      console.error(`  ✗ ${config.name}: ${error.message}`);
+      result.failed++;
+      result.files.push({ name: config.name, path: target, status: 'failed', error: error.message });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  restoreShellConfigs
+};
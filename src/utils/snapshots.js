@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const { formatTimestamp } = require('./files');
+
+const INDEX_FILE = 'index.json';
+
+/**
+ * Builds the file name for a snapshot
+ * @param {string} hostname - Captured hostname
+ * @param {Date} date - Capture time
+ * @returns {string} - File name like mac-setup-macbook-pro-20241215-100000.json
+ */
+function snapshotFileName(hostname, date = new Date()) {
+  const host = String(hostname || 'unknown').replace(/\.local$/, '').replace(/[^A-Za-z0-9.-]+/g, '-').toLowerCase();
+  return `mac-setup-${host}-${formatTimestamp(date)}.json`;
+}
+
+/**
+ * Reads the snapshot index of a history directory
+ * @param {string} dir - History directory
+ * @returns {Array<Object>} - Entries with file, hostname and captureDate, oldest first
+ */
+function readIndex(dir) {
+  const indexPath = path.join(dir, INDEX_FILE);
+  if (!fs.existsSync(indexPath)) {
+    return [];
+  }
+
+  let index;
+  try {
+    index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Error parsing ${indexPath}: ${error.message}`);
+  }
+
+  return Array.isArray(index.snapshots) ? index.snapshots : [];
+}
+
+/**
+ * Writes the snapshot index, sorted oldest first
+ * @param {string} dir - History directory
+ * @param {Array<Object>} entries - Index entries
+ */
+function writeIndex(dir, entries) {
+  const snapshots = [...entries].sort((a, b) => a.captureDate.localeCompare(b.captureDate));
+  fs.writeFileSync(path.join(dir, INDEX_FILE), JSON.stringify({ snapshots }, null, 2));
+}
+
+/**
+ * Saves a setup into a history directory and records it in the index
+ * @param {string} dir - History directory (created if missing)
+ * @param {Object} setup - Captured setup
+ * @param {Object} options - Snapshot options
+ * @param {Date} options.now - Timestamp used in the file name (default: now)
+ * @returns {Object} - Index entry with file, path, hostname and captureDate
+ */
+function saveSnapshot(dir, setup, options = {}) {
+  const { now = new Date() } = options;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const entry = {
+    file: snapshotFileName(setup.system.hostname, now),
+    hostname: setup.system.hostname,
+    captureDate: setup.system.captureDate || now.toISOString()
+  };
+
+  fs.writeFileSync(path.join(dir, entry.file), JSON.stringify(setup, null, 2));
+  writeIndex(dir, readIndex(dir).filter(existing => existing.file !== entry.file).concat(entry));
+
+  return { ...entry, path: path.join(dir, entry.file) };
+}
+
+/**
+ * Decides which snapshots a retention policy keeps, per hostname
+ * @param {Array<Object>} entries - Index entries
+ * @param {Object} retention - Retention policy
+ * @param {number} retention.keepLast - Keep the newest N snapshots
+ * @param {number} retention.keepMonthly - Keep the newest snapshot of each of the last N months
+ * @returns {Set<string>} - File names to keep (all of them if no policy is set)
+ */
+function selectRetained(entries, retention = {}) {
+  const { keepLast, keepMonthly } = retention;
+  if (!keepLast && !keepMonthly) {
+    return new Set(entries.map(entry => entry.file));
+  }
+
+  const keep = new Set();
+  const byHost = new Map();
+  for (const entry of entries) {
+    byHost.set(entry.hostname, (byHost.get(entry.hostname) || []).concat(entry));
+  }
+
+  for (const hostEntries of byHost.values()) {
+    const newestFirst = [...hostEntries].sort((a, b) => b.captureDate.localeCompare(a.captureDate));
+
+    if (keepLast) {
+      newestFirst.slice(0, keepLast).forEach(entry => keep.add(entry.file));
+    }
+
+    if (keepMonthly) {
+      const months = new Set();
+      for (const entry of newestFirst) {
+        const month = entry.captureDate.slice(0, 7);
+        if (!months.has(month) && months.size < keepMonthly) {
+          months.add(month);
+          keep.add(entry.file);
+        }
+      }
+    }
+  }
+
+  return keep;
+}
+
+/**
+ * Deletes snapshots that fall outside a retention policy
+ * @param {string} dir - History directory
+ * @param {Object} retention - Retention policy (see selectRetained)
+ * @param {Object} options - Prune options
+ * @param {boolean} options.dryRun - Report without deleting
+ * @returns {Array<Object>} - Index entries that were (or would be) removed
+ */
+function pruneSnapshots(dir, retention = {}, options = {}) {
+  const { dryRun = false } = options;
+  const entries = readIndex(dir);
+  const keep = selectRetained(entries, retention);
+  const removed = entries.filter(entry => !keep.has(entry.file));
+
+  if (!dryRun && removed.length > 0) {
+    for (const entry of removed) {
+      fs.rmSync(path.join(dir, entry.file), { force: true });
+    }
+    writeIndex(dir, entries.filter(entry => keep.has(entry.file)));
+  }
+
+  return removed;
+}
+
+/**
+ * Finds a snapshot by reference
+ * @param {string} dir - History directory
+ * @param {string} ref - 'latest', 'latest~N', a file name, or a captureDate prefix like 2024-12 or 2024-12-15
+ * @returns {string|null} - Path to the snapshot, or null if nothing matches
+ */
+function resolveSnapshot(dir, ref) {
+  const entries = readIndex(dir);
+  const relative = String(ref).match(/^latest(?:~(\d+))?$/);
+  let entry;
+
+  if (relative) {
+    entry = entries[entries.length - 1 - parseInt(relative[1] || '0', 10)];
+  } else {
+    entry = entries.find(candidate => candidate.file === ref) ||
+      [...entries].reverse().find(candidate => candidate.captureDate.startsWith(ref));
+  }
+
+  return entry ? path.join(dir, entry.file) : null;
+}
+
+module.exports = {
+  INDEX_FILE,
+  snapshotFileName,
+  readIndex,
+  saveSnapshot,
+  selectRetained,
+  pruneSnapshots,
+  resolveSnapshot
+};
@@ -0,0 +1,151 @@
+/**
+ * Line-based text diffing with unified diff output
+ */
+
+// Largest LCS table diffLines builds (cells of 4 bytes, about 100 MB)
+const MAX_LCS_CELLS = 25000000;
+
+/**
+ * Computes line operations turning oldLines into newLines
+ * When the changed middle is too large for an LCS table it is reported as removed and re-added
+ * as a whole, so the diff stays correct but is no longer minimal.
+ * @param {Array<string>} oldLines - Original lines
+ * @param {Array<string>} newLines - Updated lines
+ * @returns {Array<Object>} - Operations with type (' ', '-', '+') and line
+ */
+function diffLines(oldLines, newLines) {
+  // Skip the common prefix and suffix so the LCS table only covers the changed middle
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+  const width = b.length + 1;
+  const ops = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+
+  if ((a.length + 1) * width > MAX_LCS_CELLS) {
+    for (const line of a) {
+      ops.push({ type: '-', line });
+    }
+    for (const line of b) {
+      ops.push({ type: '+', line });
+    }
+    for (const line of oldLines.slice(oldEnd)) {
+      ops.push({ type: ' ', line });
+    }
+    return ops;
+  }
+
+  const lcs = new Uint32Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) {
+    ops.push({ type: '-', line: a[i++] });
+  }
+  while (j < b.length) {
+    ops.push({ type: '+', line: b[j++] });
+  }
+  for (const line of oldLines.slice(oldEnd)) {
+    ops.push({ type: ' ', line });
+  }
+
+  return ops;
+}
+
+/**
+ * Produces a unified diff between two texts
+ * @param {string} oldText - Original content
+ * @param {string} newText - Updated content
+ * @param {Object} options - Diff options
+ * @param {string} options.oldLabel - Label for the --- header
+ * @param {string} options.newLabel - Label for the +++ header
+ * @param {number} options.context - Lines of context around changes (default: 3)
+ * @returns {string} - Unified diff, or empty string if texts are identical
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+
+  if (oldText === newText) {
+    return '';
+  }
+
+  const ops = diffLines(oldText.split('\n'), newText.split('\n'));
+  const changed = ops.map((op, idx) => (op.type !== ' ' ? idx : -1)).filter(idx => idx >= 0);
+
+  // Group changes whose context windows touch into hunks
+  const ranges = [];
+  for (const idx of changed) {
+    const from = Math.max(0, idx - context);
+    const to = Math.min(ops.length - 1, idx + context);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to + 1) {
+      last.to = to;
+    } else {
+      ranges.push({ from, to });
+    }
+  }
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  let oldLine = 1;
+  let newLine = 1;
+  let cursor = 0;
+
+  for (const range of ranges) {
+    for (; cursor < range.from; cursor++) {
+      if (ops[cursor].type !== '+') {
+        oldLine++;
+      }
+      if (ops[cursor].type !== '-') {
+        newLine++;
+      }
+    }
+
+    const hunk = ops.slice(range.from, range.to + 1);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    output.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+    for (const op of hunk) {
+      output.push(`${op.type}${op.line}`);
+    }
+
+    oldLine += oldCount;
+    newLine += newCount;
+    cursor = range.to + 1;
+  }
+
+  return output.join('\n');
+}
+
+module.exports = {
+  diffLines,
+  unifiedDiff
+};
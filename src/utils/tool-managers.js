@@ -0,0 +1,382 @@
+/**
+ * Capturing and restoring multi-tool version managers (asdf, mise, fnm, volta, rustup, goenv)
+ * and the per-repo files that pin runtime versions
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { VERSION_PATTERN } = require('./runtimes');
+const { hasRedactions } = require('./redact');
+const { remapHomePath } = require('./repos');
+
+// Plugin and tool names are passed to shell commands
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Files in a repository root that pin runtime versions
+ */
+const TOOL_VERSION_FILES = [
+  '.tool-versions',
+  '.nvmrc',
+  '.node-version',
+  '.python-version',
+  '.ruby-version',
+  '.go-version',
+  'rust-toolchain',
+  'rust-toolchain.toml',
+  'mise.toml',
+  '.mise.toml'
+];
+
+/**
+ * Reads the release from `asdf version` output
+ * @param {string} output - Output like 'v0.14.1-f00f759' or '0.16.7 (revision 6f1d4a8)'
+ * @returns {string|null} - Version such as '0.14.1', or null if none was found
+ */
+function parseAsdfVersion(output) {
+  const match = (output || '').match(/(\d+)\.(\d+)\.(\d+)/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Checks whether an asdf release predates the Go rewrite (0.16) and its `asdf set` command
+ * @param {string|null} version - Version from parseAsdfVersion
+ * @returns {boolean} - True for 0.15 and older; false when the version is unknown
+ */
+function isLegacyAsdf(version) {
+  const match = (version || '').match(/^(\d+)\.(\d+)\./);
+  return Boolean(match) && Number(match[1]) === 0 && Number(match[2]) < 16;
+}
+
+/**
+ * Install commands per tool manager
+ * Managers with addPlugin install tools through plugins. installVersion and setDefault take a
+ * tool and version that have already been checked against NAME_PATTERN and VERSION_PATTERN;
+ * setDefault also gets the manager as captured on this machine, for commands that changed between releases.
+ */
+const TOOL_MANAGERS = {
+  asdf: {
+    label: 'asdf',
+    installManager: 'brew install asdf',
+    addPlugin: plugin => `asdf plugin add ${plugin}`,
+    installVersion: (tool, version) => `asdf install ${tool} ${version}`,
+    // `asdf set` replaced `asdf global` in 0.16; a fresh Homebrew install is always newer
+    setDefault: (tool, version, have = {}) => (isLegacyAsdf(have.version)
+      ? `asdf global ${tool} ${version}`
+      : `asdf set --home ${tool} ${version}`)
+  },
+  mise: {
+    label: 'mise',
+    installManager: 'brew install mise',
+    addPlugin: plugin => `mise plugins install ${plugin}`,
+    installVersion: (tool, version) => `mise install ${tool}@${version}`,
+    setDefault: (tool, version) => `mise use --global ${tool}@${version}`
+  },
+  fnm: {
+    label: 'fnm (Fast Node Manager)',
+    installManager: 'brew install fnm',
+    installVersion: (tool, version) => `fnm install ${version}`,
+    setDefault: (tool, version) => `fnm default ${version}`
+  },
+  volta: {
+    label: 'Volta',
+    installManager: 'brew install volta',
+    installVersion: (tool, version) => `volta fetch ${tool}@${version}`,
+    setDefault: (tool, version) => `volta install ${tool}@${version}`
+  },
+  rustup: {
+    label: 'rustup (Rust toolchains)',
+    installManager: 'curl --proto \'=https\' --tlsv1.2 -sSf https://sh.rustup.rs | sh -s -- -y --no-modify-path',
+    installVersion: (tool, version) => `rustup toolchain install ${version}`,
+    setDefault: (tool, version) => `rustup default ${version}`
+  },
+  goenv: {
+    label: 'goenv (Go Version Manager)',
+    installManager: 'brew install goenv',
+    installVersion: (tool, version) => `goenv install --skip-existing ${version}`,
+    setDefault: (tool, version) => `goenv global ${version}`
+  }
+};
+
+/**
+ * Reads installed versions from a one-version-per-line listing
+ * Markers such as '*' and trailing notes like '(set by ...)' are dropped, as are entries
+ * without a digit ('system', 'No versions installed').
+ * @param {string} output - Output of `asdf list <plugin>`, `goenv versions --bare` and similar
+ * @returns {Array<string>} - Versions without a leading 'v'
+ */
+function parseVersionList(output) {
+  const versions = [];
+
+  for (const line of (output || '').split('\n')) {
+    const version = line.replace(/^[\s*]+/, '').split(/\s+/)[0].replace(/^v(?=\d)/, '');
+    if (VERSION_PATTERN.test(version) && /\d/.test(version) && !versions.includes(version)) {
+      versions.push(version);
+    }
+  }
+
+  return versions;
+}
+
+/**
+ * Reads plugin names from a one-per-line listing (messages such as 'No plugins installed' are dropped)
+ * @param {string} output - Output of `asdf plugin list` or `mise plugins ls`
+ * @returns {Array<string>} - Plugin names
+ */
+function parsePluginList(output) {
+  return (output || '').split('\n')
+    .map(line => line.trim())
+    .filter(name => NAME_PATTERN.test(name));
+}
+
+/**
+ * Reads tool versions from a .tool-versions file
+ * @param {string} content - File content, e.g. 'nodejs 20.10.0 18.19.0'
+ * @returns {Object} - Preferred (first listed) version per tool
+ */
+function parseToolVersions(content) {
+  const tools = {};
+
+  for (const line of (content || '').split('\n')) {
+    const [tool, version] = line.replace(/#.*$/, '').trim().split(/\s+/);
+    if (tool && version) {
+      tools[tool] = version;
+    }
+  }
+
+  return tools;
+}
+
+/**
+ * Reads Node versions and the default from `fnm list`
+ * @param {string} output - Lines like '* v20.10.0 default'
+ * @returns {Object} - { versions, default }
+ */
+function parseFnmList(output) {
+  const lines = (output || '').split('\n');
+  const defaultLine = lines.find(line => /\sdefault\b/.test(line));
+  return {
+    versions: parseVersionList(output),
+    default: defaultLine ? parseVersionList(defaultLine)[0] || null : null
+  };
+}
+
+/**
+ * Reads runtimes and package managers from `volta list all --format plain`
+ * Installed packages are left to the globalPackages section.
+ * @param {string} output - Lines like 'runtime node@20.10.0 (default)'
+ * @returns {Object} - { versions, default } per tool (node, npm, yarn, pnpm)
+ */
+function parseVoltaList(output) {
+  const tools = {};
+
+  for (const line of (output || '').split('\n')) {
+    const match = line.trim().match(/^(?:runtime|package-manager) ([^@\s]+)@(\S+)(.*)$/);
+    if (!match) {
+      continue;
+    }
+    const [, tool, version, rest] = match;
+    tools[tool] = tools[tool] || { versions: [], default: null };
+    if (!tools[tool].versions.includes(version)) {
+      tools[tool].versions.push(version);
+    }
+    if (/\(default\)/.test(rest)) {
+      tools[tool].default = version;
+    }
+  }
+
+  return tools;
+}
+
+/**
+ * Reads toolchains from `rustup toolchain list`
+ * The host triple is dropped so 'stable-aarch64-apple-darwin' restores as 'stable' on any Mac.
+ * @param {string} output - Lines like 'stable-aarch64-apple-darwin (default)'
+ * @returns {Object} - { versions, default }
+ */
+function parseRustupToolchains(output) {
+  const toolchains = { versions: [], default: null };
+
+  for (const line of (output || '').split('\n')) {
+    const match = line.trim().match(/^(\S+)(.*)$/);
+    if (!match || /^no\b/i.test(line.trim())) {
+      continue;
+    }
+    const toolchain = match[1].replace(/-(?:x86_64|aarch64|arm64|i686)-[a-z0-9_-]+$/, '');
+    if (!toolchains.versions.includes(toolchain)) {
+      toolchains.versions.push(toolchain);
+    }
+    if (/\(.*default.*\)/.test(match[2])) {
+      toolchains.default = toolchain;
+    }
+  }
+
+  return toolchains;
+}
+
+/**
+ * Reads tool versions from `mise ls --json`
+ * @param {string} output - JSON mapping each tool to a list of { version, installed } entries
+ * @param {Object} options - Parse options
+ * @param {boolean} options.installedOnly - Drop versions that are requested but not installed (default: true)
+ * @returns {Object} - { versions } per tool, or {} if the output is not valid JSON
+ */
+function parseMiseList(output, options = {}) {
+  const { installedOnly = true } = options;
+  let listing;
+  try {
+    listing = JSON.parse(output || '{}');
+  } catch (error) {
+    return {};
+  }
+
+  const tools = {};
+  for (const [tool, entries] of Object.entries(listing || {})) {
+    const versions = (Array.isArray(entries) ? entries : [])
+      .filter(entry => entry && entry.version && (!installedOnly || entry.installed !== false))
+      .map(entry => String(entry.version));
+    if (versions.length > 0) {
+      tools[tool] = { versions: [...new Set(versions)] };
+    }
+  }
+
+  return tools;
+}
+
+/**
+ * Plans what to run to restore captured tool managers, plugins, toolchains and defaults
+ * @param {Object} captured - Captured toolManagers section
+ * @param {Object} current - toolManagers captured from this machine
+ * @returns {Array<Object>} - Steps in run order with manager, kind (manager, plugin, version or default),
+ *   name, command and status (present, pending or invalid, with reason)
+ */
+function planToolManagerInstalls(captured = {}, current = {}) {
+  const steps = [];
+  const bare = version => String(version).replace(/^v(?=\d)/, '');
+
+  for (const [manager, commands] of Object.entries(TOOL_MANAGERS)) {
+    const wanted = captured[manager];
+    if (!wanted || !wanted.installed) {
+      continue;
+    }
+
+    const have = current[manager] || { installed: false, tools: {} };
+    const haveTools = have.tools || {};
+
+    steps.push({
+      manager,
+      kind: 'manager',
+      name: manager,
+      command: commands.installManager,
+      status: have.installed ? 'present' : 'pending'
+    });
+
+    if (commands.addPlugin) {
+      for (const plugin of wanted.plugins || []) {
+        const step = { manager, kind: 'plugin', name: `${manager} plugin ${plugin}` };
+        if (!NAME_PATTERN.test(plugin)) {
+          steps.push({ ...step, status: 'invalid', reason: 'invalid plugin name' });
+        } else if ((have.plugins || []).includes(plugin)) {
+          steps.push({ ...step, status: 'present' });
+        } else {
+          steps.push({ ...step, command: commands.addPlugin(plugin), status: 'pending' });
+        }
+      }
+    }
+
+    for (const [tool, entry] of Object.entries(wanted.tools || {})) {
+      if (!NAME_PATTERN.test(tool)) {
+        steps.push({ manager, kind: 'version', name: `${manager} ${tool}`, status: 'invalid', reason: 'invalid tool name' });
+        continue;
+      }
+
+      const haveEntry = haveTools[tool] || {};
+      const haveVersions = (haveEntry.versions || []).map(bare);
+
+      for (const raw of entry.versions || []) {
+        const version = bare(raw);
+        const step = { manager, kind: 'version', name: `${manager} ${tool} ${version}` };
+        if (!VERSION_PATTERN.test(version)) {
+          steps.push({ ...step, status: 'invalid', reason: 'invalid version' });
+        } else if (haveVersions.includes(version)) {
+          steps.push({ ...step, status: 'present' });
+        } else {
+          steps.push({ ...step, command: commands.installVersion(tool, version), status: 'pending' });
+        }
+      }
+
+      const version = entry.default ? bare(entry.default) : null;
+      if (version && version !== 'system') {
+        const step = { manager, kind: 'default', name: `${manager} ${tool} default ${version}` };
+        if (!VERSION_PATTERN.test(version)) {
+          steps.push({ ...step, status: 'invalid', reason: 'invalid version' });
+        } else if (haveEntry.default && bare(haveEntry.default) === version) {
+          steps.push({ ...step, status: 'present' });
+        } else {
+          steps.push({ ...step, command: commands.setDefault(tool, version, have), status: 'pending' });
+        }
+      }
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Writes captured version files back into repositories that do not have them
+ * Files that already exist are never overwritten: they usually belong to the repository's history.
+ * Files that still contain [REDACTED] markers are left out.
+ * @param {Array<Object>} files - Captured toolVersionFiles entries with name, path and content
+ * @param {Object} options - Restore options
+ * @param {boolean} options.dryRun - Preview mode
+ * @param {string} options.home - Current home directory used to remap /Users/<name> paths
+ * @returns {Array<Object>} - { name, path, status } per file, where status is written, would-write,
+ *   unchanged, differs, no-repo, redacted, invalid or failed (with error)
+ */
+function restoreToolVersionFiles(files, options = {}) {
+  const { dryRun = false, home = process.env.HOME } = options;
+  const results = [];
+
+  for (const file of files || []) {
+    const target = typeof file.path === 'string' ? path.resolve(remapHomePath(file.path, home)) : null;
+    const result = { name: file.name, path: target };
+
+    if (!target || !TOOL_VERSION_FILES.includes(path.basename(target)) || typeof file.content !== 'string') {
+      results.push({ ...result, status: 'invalid' });
+    } else if (hasRedactions(file.content)) {
+      results.push({ ...result, status: 'redacted' });
+    } else if (!fs.existsSync(path.dirname(target))) {
+      results.push({ ...result, status: 'no-repo' });
+    } else if (fs.existsSync(target)) {
+      const same = fs.readFileSync(target, 'utf8') === file.content;
+      results.push({ ...result, status: same ? 'unchanged' : 'differs' });
+    } else if (dryRun) {
+      results.push({ ...result, status: 'would-write' });
+    } else {
+      try {
+        fs.writeFileSync(target, file.content);
+        results.push({ ...result, status: 'written' });
+      } catch (error) {
+        results.push({ ...result, status: 'failed', error: error.message });
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  TOOL_VERSION_FILES,
+  TOOL_MANAGERS,
+  parseAsdfVersion,
+  isLegacyAsdf,
+  parseVersionList,
+  parsePluginList,
+  parseToolVersions,
+  parseFnmList,
+  parseVoltaList,
+  parseRustupToolchains,
+  parseMiseList,
+  planToolManagerInstalls,
+  restoreToolVersionFiles
+};
@@ -0,0 +1,173 @@
+/**
+ * Pass/fail checks of a blueprint against what is installed on this machine
+ */
+
+const { PACKAGE_MANAGERS } = require('./package-managers');
+
+const VERIFY_GROUPS = [
+  { section: 'homebrew', group: 'taps', label: 'Taps' },
+  { section: 'homebrew', group: 'formulae', label: 'Formulae' },
+  { section: 'homebrew', group: 'casks', label: 'Casks' },
+  { section: 'masApps', group: 'masApps', label: 'Mac App Store Apps' },
+  ...Object.entries(PACKAGE_MANAGERS).map(([group, { title }]) => ({ section: 'globalPackages', group, label: title })),
+  { section: 'versionManagers', group: 'runtimes', label: 'Runtimes' },
+  { section: 'toolManagers', group: 'toolchains', label: 'Toolchains' },
+  { section: 'editors', group: 'extensions', label: 'Editor Extensions' },
+  { section: 'applications', group: 'applications', label: 'Applications' }
+];
+
+// Sections apply only installs when a flag is given; without it there is nothing to verify
+const INSTALL_FLAGS = {
+  masApps: 'installMas',
+  globalPackages: 'installGlobalPackages',
+  versionManagers: 'installRuntimes',
+  toolManagers: 'installRuntimes',
+  editors: 'installExtensions'
+};
+
+const nameOf = entry => (typeof entry === 'string' ? entry : entry.name);
+
+/**
+ * Lists what a blueprint expects for one verification group
+ * @param {Object} setup - Setup being verified
+ * @param {string} group - Group from VERIFY_GROUPS
+ * @returns {Array<Object>} - Expected items with name and the key used to look them up
+ */
+function expectedItems(setup, group) {
+  const homebrew = setup.homebrew || {};
+  const globalPackages = setup.globalPackages || {};
+
+  if (group === 'taps' || group === 'formulae' || group === 'casks') {
+    return (homebrew[group] || []).map(entry => ({ name: nameOf(entry), key: nameOf(entry) }));
+  }
+  if (group === 'masApps') {
+    return (setup.masApps || []).map(app => ({ name: app.name, key: String(app.id) }));
+  }
+  if (group === 'runtimes') {
+    return Object.entries(setup.versionManagers || {}).flatMap(([manager, info]) =>
+      (info.versions || []).map(version => ({ name: `${manager} ${version}`, key: `${manager} ${version}` })));
+  }
+  if (group === 'toolchains') {
+    return Object.entries(setup.toolManagers || {}).flatMap(([manager, info]) =>
+      Object.entries((info && info.tools) || {}).flatMap(([tool, entry]) =>
+        (entry.versions || []).map(version => ({ name: `${manager} ${tool} ${version}`, key: `${manager} ${tool} ${version}` }))));
+  }
+  if (group === 'extensions') {
+    return Object.entries(setup.editors || {})
+      .filter(([, entry]) => entry && entry.installed)
+      .flatMap(([editor, entry]) => (entry.extensions || []).map(extension =>
+        ({ name: `${editor} ${extension.name}`, key: `${editor} ${extension.name.toLowerCase()}` })));
+  }
+  if (group === 'applications') {
+    return (setup.applications || []).map(app => ({ name: app.name, key: app.name }));
+  }
+  return (globalPackages[group] || []).map(pkg => ({ name: pkg.name, key: pkg.name }));
+}
+
+/**
+ * Checks every item of a blueprint against bulk listings of installed software
+ * @param {Object} setup - Setup being verified
+ * @param {Object} installed - Installed names per group (taps, formulae, casks, masApps as app IDs,
+ *   one group per global package manager, runtimes as '<manager> <version>', toolchains as
+ *   '<manager> <tool> <version>', extensions as '<editor> <lowercased id>', applications as bundle names);
+ *   a group set to null could not be listed and its items are reported as unknown
+ * @param {Array<string>} sections - Sections to verify (default: all)
+ * @returns {Array<Object>} - Matrix rows with section, group, name and status (pass, fail or unknown)
+ */
+function buildVerifyMatrix(setup, installed, sections = null) {
+  const matrix = [];
+
+  for (const { section, group } of VERIFY_GROUPS) {
+    if (sections && !sections.includes(section)) {
+      continue;
+    }
+
+    const listing = installed[group];
+    const found = listing ? new Set(listing.map(String)) : null;
+    for (const item of expectedItems(setup, group)) {
+      let status = 'unknown';
+      if (found) {
+        status = found.has(item.key) ? 'pass' : 'fail';
+      }
+      matrix.push({ section, group, name: item.name, status });
+    }
+  }
+
+  return matrix;
+}
+
+/**
+ * Splits the applied sections into those to verify and those whose install step did not run
+ * @param {Array<string>} sections - Sections that were applied
+ * @param {Object} flags - Install flags of this run (installMas, installGlobalPackages, installRuntimes, installExtensions)
+ * @returns {Object} - { verify, skipped } section lists; skipped only holds sections that have checks
+ */
+function planVerifySections(sections, flags = {}) {
+  const verify = [];
+  const skipped = [];
+
+  for (const section of sections) {
+    const flag = INSTALL_FLAGS[section];
+    if (!flag || flags[flag]) {
+      verify.push(section);
+    } else if (VERIFY_GROUPS.some(entry => entry.section === section)) {
+      skipped.push(section);
+    }
+  }
+
+  return { verify, skipped };
+}
+
+/**
+ * Counts matrix rows per group and overall
+ * @param {Array<Object>} matrix - Rows from buildVerifyMatrix
+ * @returns {Object} - { groups: { [group]: { pass, fail, unknown } }, pass, fail, unknown, total }
+ */
+function summarizeVerifyMatrix(matrix) {
+  const summary = { groups: {}, pass: 0, fail: 0, unknown: 0, total: matrix.length };
+
+  for (const row of matrix) {
+    summary.groups[row.group] = summary.groups[row.group] || { pass: 0, fail: 0, unknown: 0 };
+    summary.groups[row.group][row.status]++;
+    summary[row.status]++;
+  }
+
+  return summary;
+}
+
+/**
+ * Renders the matrix as one line per group followed by the items that did not pass
+ * @param {Array<Object>} matrix - Rows from buildVerifyMatrix
+ * @returns {string} - Text report
+ */
+function formatVerifyMatrix(matrix) {
+  const summary = summarizeVerifyMatrix(matrix);
+  const width = Math.max(...VERIFY_GROUPS.map(({ label }) => label.length));
+  const lines = [];
+
+  for (const { group, label } of VERIFY_GROUPS) {
+    const counts = summary.groups[group];
+    if (!counts) {
+      continue;
+    }
+    const total = counts.pass + counts.fail + counts.unknown;
+    const mark = counts.fail > 0 ? '✗' : (counts.unknown > 0 ? '?' : '✓');
+    const unknown = counts.unknown > 0 ? `, ${counts.unknown} not checked` : '';
+    lines.push(`${mark} ${label.padEnd(width)}  ${counts.pass}/${total} passed${unknown}`);
+
+    for (const row of matrix.filter(entry => entry.group === group && entry.status === 'fail')) {
+      lines.push(`    ✗ ${row.name}`);
+    }
+  }
+
+  lines.push('', `Verification: ${summary.pass} passed, ${summary.fail} failed, ${summary.unknown} not checked`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  VERIFY_GROUPS,
+  buildVerifyMatrix,
+  planVerifySections,
+  summarizeVerifyMatrix,
+  formatVerifyMatrix
+};
@@ -0,0 +1,58 @@
+/**
+ * Version parsing and semver-style change classification
+ */
+
+const CHANGE_LEVELS = ['major', 'minor', 'patch', 'other'];
+
+/**
+ * Parses the leading numeric part of a version string
+ * Homebrew may list several installed versions ("1.21 1.22"); the last one is used.
+ * @param {string} version - Version like 'v20.10.0', '2.43.0_1' or '15.1'
+ * @returns {Array<number>|null} - [major, minor, patch] (missing parts are 0), or null if not numeric
+ */
+function parseVersion(version) {
+  if (typeof version !== 'string') {
+    return null;
+  }
+
+  const latest = version.trim().split(/\s+/).pop();
+  const match = latest.match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  if (!match) {
+    return null;
+  }
+
+  return [match[1], match[2], match[3]].map(part => parseInt(part || '0', 10));
+}
+
+/**
+ * Classifies the change between two versions
+ * @param {string} oldVersion - Previous version
+ * @param {string} newVersion - Current version
+ * @returns {Object} - { change, direction } where change is major/minor/patch/other
+ *   and direction is upgrade, downgrade or change (when versions cannot be ordered)
+ */
+function classifyVersionChange(oldVersion, newVersion) {
+  const oldParts = parseVersion(oldVersion);
+  const newParts = parseVersion(newVersion);
+
+  if (!oldParts || !newParts) {
+    return { change: 'other', direction: 'change' };
+  }
+
+  const index = oldParts.findIndex((part, i) => part !== newParts[i]);
+  if (index === -1) {
+    // Only a suffix such as a Homebrew revision (_1) or pre-release tag differs
+    return { change: 'patch', direction: 'change' };
+  }
+
+  return {
+    change: CHANGE_LEVELS[index],
+    direction: newParts[index] > oldParts[index] ? 'upgrade' : 'downgrade'
+  };
+}
+
+module.exports = {
+  CHANGE_LEVELS,
+  parseVersion,
+  classifyVersionChange
+};
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const {
+  createApplyReport,
+  recordItem,
+  summarizeApplyReport,
+  finishApplyReport,
+  formatApplySummary
+} = require('../../src/utils/apply-report');
+
+const START = new Date('2026-01-01T10:00:00Z');
+const END = new Date('2026-01-01T10:05:00Z');
+
+test('recordItem keeps reasons and rejects unknown statuses', () => {
+  const report = createApplyReport({ setupFile: 'mac-setup.json' }, START);
+  recordItem(report, 'casks', 'firefox', 'done');
+  recordItem(report, 'casks', 'slack', 'failed', 'install command failed');
+
+  assert.strictEqual(report.startedAt, '2026-01-01T10:00:00.000Z');
+  assert.strictEqual(report.setupFile, 'mac-setup.json');
+  assert.deepStrictEqual(report.items, [
+    { step: 'casks', name: 'firefox', status: 'done' },
+    { step: 'casks', name: 'slack', status: 'failed', reason: 'install command failed' }
+  ]);
+  assert.throws(() => recordItem(report, 'casks', 'zoom', 'maybe'), /Unknown apply status: maybe/);
+});
+
+test('summarizeApplyReport counts per step and in total', () => {
+  const report = createApplyReport({}, START);
+  recordItem(report, 'formulae', 'git', 'done');
+  recordItem(report, 'formulae', 'jq', 'unchanged');
+  recordItem(report, 'masApps', 'Xcode', 'skipped', 'mas CLI not installed');
+
+  const summary = summarizeApplyReport(report);
+  assert.deepStrictEqual(summary.steps.formulae, { done: 1, planned: 0, unchanged: 1, skipped: 0, failed: 0 });
+  assert.deepStrictEqual(summary.totals, { done: 1, planned: 0, unchanged: 1, skipped: 1, failed: 0 });
+});
+
+test('finishApplyReport sets the exit code from failures', () => {
+  const clean = createApplyReport({}, START);
+  recordItem(clean, 'taps', 'homebrew/cask-fonts', 'planned');
+  assert.strictEqual(finishApplyReport(clean, END).exitCode, 0);
+  assert.strictEqual(clean.finishedAt, '2026-01-01T10:05:00.000Z');
+
+  const failed = createApplyReport({}, START);
+  recordItem(failed, 'githubRepos', 'mac-blueprint', 'failed', 'clone failed');
+  finishApplyReport(failed, END);
+  assert.strictEqual(failed.exitCode, 1);
+  assert.deepStrictEqual(failed.failures.map(item => item.name), ['mac-blueprint']);
+
+  const unverified = createApplyReport({}, START);
+  unverified.verification = { summary: { pass: 3, fail: 1, unknown: 0 }, matrix: [] };
+  assert.strictEqual(finishApplyReport(unverified, END).exitCode, 1);
+});
+
+test('formatApplySummary renders an aligned table with a total row', () => {
+  const report = createApplyReport({}, START);
+  recordItem(report, 'casks', 'firefox', 'done');
+  recordItem(report, 'shellConfigs', '.zshrc', 'failed');
+
+  const lines = formatApplySummary(summarizeApplyReport(report)).split('\n');
+  assert.strictEqual(lines[0], 'Step          Done  Planned  Unchanged  Skipped  Failed');
+  assert.strictEqual(lines[2], 'casks            1        0          0        0       0');
+  assert.strictEqual(lines[4], 'Total            1        0          0        0       1');
+});
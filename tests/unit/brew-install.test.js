@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { classifyBrewFailure, installWithFallback } = require('../../src/utils/brew-install');
+
+test('classifyBrewFailure recognises common brew install errors', () => {
+  assert.strictEqual(classifyBrewFailure('Error: No available formula with the name "nodee".'), 'unknown');
+  assert.strictEqual(classifyBrewFailure('Error: Cask foo is unavailable: No Cask with this name exists.'), 'unknown');
+  assert.strictEqual(classifyBrewFailure('Error: It seems there is already an App at /Applications/Slack.app.'), 'already-installed');
+  assert.strictEqual(classifyBrewFailure('Error: Cannot install mysql because conflicting formulae are installed.'), 'conflict');
+  assert.strictEqual(classifyBrewFailure('curl: (6) Could not resolve host: ghcr.io'), 'network');
+  assert.strictEqual(classifyBrewFailure('Error: something odd happened'), 'other');
+  assert.strictEqual(classifyBrewFailure(''), 'other');
+});
+
+test('installWithFallback installs successful batches in one command', () => {
+  const batches = [];
+  const outcomes = installWithFallback(['a', 'b', 'c'], {
+    batchSize: 2,
+    installBatch: batch => batches.push(batch) > 0,
+    installOne: () => assert.fail('no retry expected')
+  });
+
+  assert.deepStrictEqual(batches, [['a', 'b'], ['c']]);
+  assert.deepStrictEqual(outcomes.map(o => o.status), ['installed', 'installed', 'installed']);
+});
+
+test('installWithFallback retries a failed batch package by package and classifies failures', () => {
+  const retried = [];
+  const results = {
+    git: { ok: true, stdout: '', stderr: '' },
+    nodee: { ok: false, stdout: '', stderr: 'Error: No available formula with the name "nodee".' },
+    slack: { ok: false, stdout: '', stderr: 'Error: It seems there is already an App at /Applications/Slack.app.' },
+    wget: { ok: false, stdout: '', stderr: 'curl: (7) Failed to connect', error: 'Command failed' }
+  };
+
+  const outcomes = installWithFallback(['git', 'nodee', 'slack', 'wget'], {
+    batchSize: 50,
+    installBatch: () => false,
+    installOne: name => {
+      retried.push(name);
+      return results[name];
+    }
+  });
+
+  assert.deepStrictEqual(retried, ['git', 'nodee', 'slack', 'wget']);
+  assert.deepStrictEqual(outcomes, [
+    { name: 'git', status: 'installed' },
+    { name: 'nodee', status: 'failed', kind: 'unknown', message: 'Error: No available formula with the name "nodee".' },
+    { name: 'slack', status: 'already-installed', kind: 'already-installed', message: 'Error: It seems there is already an App at /Applications/Slack.app.' },
+    { name: 'wget', status: 'failed', kind: 'network', message: 'Command failed' }
+  ]);
+});
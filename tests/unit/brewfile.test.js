@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { toBrewfile, parseBrewfile, brewfileToSetup } = require('../../src/utils/brewfile');
+const { createEmptySetup, validateSetup, diffSetups } = require('../../src/utils/schema');
+
+function makeSetup() {
+  const setup = createEmptySetup();
+  setup.homebrew.taps = ['homebrew/cask-fonts'];
+  setup.homebrew.formulae = [{ name: 'git', version: '2.43.0' }, { name: 'node', version: '21.5.0' }];
+  setup.homebrew.casks = [{ name: 'visual-studio-code', version: '1.85.1' }];
+  setup.masApps = [{ id: '497799835', name: 'Xcode "Beta"', version: '15.1' }];
+  return setup;
+}
+
+test('toBrewfile writes tap, brew, cask and mas lines', () => {
+  const brewfile = toBrewfile(makeSetup());
+
+  assert.ok(brewfile.includes('tap "homebrew/cask-fonts"\n'));
+  assert.ok(brewfile.includes('brew "git"\nbrew "node"\n'));
+  assert.ok(brewfile.includes('cask "visual-studio-code"\n'));
+  assert.ok(brewfile.includes('mas "Xcode \\"Beta\\"", id: 497799835\n'));
+  assert.ok(brewfile.endsWith('\n') && !brewfile.endsWith('\n\n'));
+});
+
+test('parseBrewfile reads directives and reports unsupported lines', () => {
+  const parsed = parseBrewfile([
+    '# Team tools',
+    'tap "homebrew/bundle"',
+    'brew "git"',
+    "brew 'postgresql@16', restart_service: :changed",
+    'cask "firefox", args: { appdir: "~/Applications" }',
+    'mas "Xcode", id: 497799835',
+    'mas "Broken"',
+    'vscode "esbenp.prettier-vscode"',
+    'cask_args appdir: "/Applications"'
+  ].join('\n'));
+
+  assert.deepStrictEqual(parsed.taps, ['homebrew/bundle']);
+  assert.deepStrictEqual(parsed.formulae, [{ name: 'git' }, { name: 'postgresql@16' }]);
+  assert.deepStrictEqual(parsed.casks, [{ name: 'firefox' }]);
+  assert.deepStrictEqual(parsed.masApps, [{ id: '497799835', name: 'Xcode' }]);
+  assert.deepStrictEqual(parsed.unsupported.map(entry => entry.line), [7, 8, 9]);
+});
+
+test('parseBrewfile keeps # inside quoted strings', () => {
+  const parsed = parseBrewfile([
+    'cask "foo", args: { appdir: "~/My #1 Apps" } # team apps',
+    'mas "Tweetbot #3", id: 1384080005 # social',
+    "brew 'it\\'s #fine' #comment"
+  ].join('\n'));
+
+  assert.deepStrictEqual(parsed.casks, [{ name: 'foo' }]);
+  assert.deepStrictEqual(parsed.masApps, [{ id: '1384080005', name: 'Tweetbot #3' }]);
+  assert.deepStrictEqual(parsed.formulae, [{ name: "it's #fine" }]);
+  assert.deepStrictEqual(parsed.unsupported, []);
+});
+
+test('Brewfile export and import round-trip', () => {
+  const setup = makeSetup();
+  const { setup: imported, unsupported } = brewfileToSetup(toBrewfile(setup));
+
+  assert.strictEqual(unsupported.length, 0);
+  assert.deepStrictEqual(imported.homebrew.formulae.map(f => f.name), ['git', 'node']);
+  assert.deepStrictEqual(imported.masApps, [{ id: '497799835', name: 'Xcode "Beta"' }]);
+});
+
+test('brewfileToSetup produces a valid setup that diffs only Homebrew', () => {
+  const { setup } = brewfileToSetup('brew "git"\nbrew "jq"\n', { source: 'Brewfile' });
+  assert.strictEqual(validateSetup(setup).valid, true);
+  assert.ok(setup.omittedSections.includes('applications'));
+
+  const captured = makeSetup();
+  captured.applications = [{ name: 'Safari.app', version: '17.0' }];
+  const diff = diffSetups(setup, captured);
+  assert.deepStrictEqual(diff.homebrew.formulae.added, ['node']);
+  assert.deepStrictEqual(diff.homebrew.formulae.removed, ['jq']);
+  assert.strictEqual(diff.applications.added.length, 0);
+});
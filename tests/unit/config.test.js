@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_CONFIG,
+  expandHome,
+  loadConfig,
+  validateConfig,
+  compileRedactPatterns,
+  flagValue,
+  resolveConfig
+} = require('../../src/utils/config');
+const { detectSecrets, redactSecrets } = require('../../src/utils/exec');
+
+test('expandHome expands a leading tilde only', () => {
+  assert.strictEqual(expandHome('~/code', '/Users/test'), '/Users/test/code');
+  assert.strictEqual(expandHome('~', '/Users/test'), '/Users/test');
+  assert.strictEqual(expandHome('/opt/~/code', '/Users/test'), '/opt/~/code');
+});
+
+test('loadConfig prefers the working directory over the home directory', () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'mac-blueprint-cwd-'));
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mac-blueprint-home-'));
+  fs.writeFileSync(path.join(home, '.macblueprintrc'), JSON.stringify({ repoDepth: 2 }));
+
+  assert.deepStrictEqual(loadConfig({ cwd, home }).config, { repoDepth: 2 });
+
+  fs.writeFileSync(path.join(cwd, '.macblueprintrc'), JSON.stringify({ repoDepth: 3 }));
+  const loaded = loadConfig({ cwd, home });
+  assert.deepStrictEqual(loaded.config, { repoDepth: 3 });
+  assert.strictEqual(loaded.path, path.join(cwd, '.macblueprintrc'));
+});
+
+test('loadConfig returns an empty config when no file exists and throws on bad JSON', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac-blueprint-none-'));
+  assert.deepStrictEqual(loadConfig({ cwd: dir, home: dir }), { config: {}, path: null });
+
+  fs.writeFileSync(path.join(dir, '.macblueprintrc'), '{ not json');
+  assert.throws(() => loadConfig({ cwd: dir, home: dir }), /Error parsing/);
+});
+
+test('loadConfig uses an explicit config path and fails if it is missing', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac-blueprint-explicit-'));
+  const file = path.join(dir, 'team.json');
+  fs.writeFileSync(file, JSON.stringify({ output: 'team-setup.json' }));
+
+  assert.deepStrictEqual(loadConfig({ cwd: dir, home: dir, configPath: 'team.json' }).config, { output: 'team-setup.json' });
+  assert.throws(() => loadConfig({ cwd: dir, home: dir, configPath: 'missing.json' }), /Config file not found/);
+});
+
+test('validateConfig reports bad fields', () => {
+  assert.strictEqual(validateConfig({}).valid, true);
+
+  const result = validateConfig({
+    repoDepth: 0,
+    skip: ['homebrew', 'nope'],
+    redactPatterns: [{ name: 'Bad', regex: '(' }],
+    retention: { keepLast: 0, keepYearly: 1 },
+    apply: { installMas: 'yes', unknown: true }
+  });
+  assert.strictEqual(result.valid, false);
+  assert.ok(result.errors.some(e => e.includes('repoDepth')));
+  assert.ok(result.errors.some(e => e.includes("unknown section 'nope'")));
+  assert.ok(result.errors.some(e => e.includes('redact pattern at index 0')));
+  assert.ok(result.errors.some(e => e.includes('apply.installMas must be a boolean')));
+  assert.ok(result.errors.some(e => e.includes('apply.unknown')));
+  assert.ok(result.errors.some(e => e.includes('retention.keepLast must be a positive integer')));
+  assert.ok(result.errors.some(e => e.includes('retention.keepYearly')));
+});
+
+test('resolveConfig fills defaults and honours --config', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac-blueprint-resolve-'));
+  fs.writeFileSync(path.join(dir, 'alt.json'), JSON.stringify({ dotfiles: ['.vimrc'], apply: { cloneRepos: true } }));
+
+  const { config } = resolveConfig(['--config', 'alt.json'], { cwd: dir, home: dir });
+  assert.deepStrictEqual(config.dotfiles, ['.vimrc']);
+  assert.strictEqual(config.output, DEFAULT_CONFIG.output);
+  assert.deepStrictEqual(config.shellConfigs, DEFAULT_CONFIG.shellConfigs);
+  assert.strictEqual(config.apply.cloneRepos, true);
+});
+
+test('compileRedactPatterns feeds extra patterns into secret detection', () => {
+  const patterns = compileRedactPatterns([{ name: 'Corp Token', regex: 'corp_[a-z0-9]{8}' }]);
+  const detection = detectSecrets('export X=corp_abcd1234', patterns);
+  assert.deepStrictEqual(detection.secrets, [{ type: 'Corp Token', count: 1 }]);
+  assert.strictEqual(redactSecrets('export X=corp_abcd1234', patterns), 'export X=[REDACTED]');
+});
+
+test('flagValue rejects a missing value or another flag', () => {
+  assert.strictEqual(flagValue('--output', 'team.json', 'a path'), 'team.json');
+  assert.throws(() => flagValue('-o', undefined, 'a path'), /^Error: Invalid -o: expected a path$/);
+  assert.throws(() => flagValue('--only', '--dry-run', 'a section list'), /Invalid --only: expected a section list/);
+});
@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { createEmptySetup, diffSetups } = require('../../src/utils/schema');
+const {
+  COMPLIANCE_TITLES,
+  summarizeDiff,
+  summarizeCompliance,
+  describeItem,
+  formatDiffText,
+  onlyMajorChanges,
+  buildDiffReport,
+  formatDiffMarkdown
+} = require('../../src/utils/diff-report');
+
+function makeSetups() {
+  const oldSetup = createEmptySetup();
+  oldSetup.system.hostname = 'old-mac';
+  oldSetup.applications = [{ name: 'Xcode.app', version: '14.0' }, { name: 'Slack.app', version: '4.0' }];
+  oldSetup.homebrew.formulae = [{ name: 'wget', version: '1.21' }];
+
+  const newSetup = createEmptySetup();
+  newSetup.system.hostname = 'new-mac';
+  newSetup.applications = [{ name: 'Xcode.app', version: '15.0' }];
+  newSetup.homebrew.casks = [{ name: 'firefox', version: '121.0' }];
+  newSetup.globalPackages.npm = [{ name: 'typescript', version: '5.3.3' }];
+
+  return { oldSetup, newSetup };
+}
+
+test('summarizeDiff counts changes overall and per section', () => {
+  const { oldSetup, newSetup } = makeSetups();
+  const summary = summarizeDiff(diffSetups(oldSetup, newSetup));
+
+  assert.deepStrictEqual(
+    { added: summary.added, removed: summary.removed, updated: summary.updated, total: summary.total },
+    { added: 2, removed: 2, updated: 1, total: 5 }
+  );
+  assert.deepStrictEqual(summary.sections.homebrew, { added: 1, removed: 1, updated: 0 });
+  assert.ok(!('omittedSections' in summary.sections));
+});
+
+test('summarizeDiff reports zero for identical setups', () => {
+  const setup = createEmptySetup();
+  assert.strictEqual(summarizeDiff(diffSetups(setup, setup)).total, 0);
+});
+
+test('describeItem formats names, versions and updates', () => {
+  assert.strictEqual(describeItem('git'), 'git');
+  assert.strictEqual(describeItem({ name: 'Slack.app', version: '4.0' }), 'Slack.app (4.0)');
+  assert.strictEqual(describeItem({ name: 'Xcode.app', oldVersion: '14.0', newVersion: '15.0' }), 'Xcode.app: 14.0 → 15.0');
+  assert.strictEqual(
+    describeItem({ name: 'docker', oldVersion: '4.26.1', newVersion: '4.25.0', change: 'minor', direction: 'downgrade' }),
+    'docker: 4.26.1 → 4.25.0 (minor downgrade)'
+  );
+  assert.strictEqual(describeItem({ name: 'pull.rebase', oldValue: 'false', newValue: 'true' }), 'pull.rebase: false → true');
+  assert.strictEqual(describeItem({ name: 'app', changes: ['branch main → dev'] }), 'app: branch main → dev');
+  assert.strictEqual(describeItem({ name: '.zshrc', linesAdded: 2, linesRemoved: 1 }), '.zshrc: +2 -1 lines');
+});
+
+test('buildDiffReport includes sources, summary and the full diff', () => {
+  const { oldSetup, newSetup } = makeSetups();
+  const report = buildDiffReport(diffSetups(oldSetup, newSetup, { skip: ['menubarConfig'] }), oldSetup, newSetup);
+
+  assert.strictEqual(report.old.hostname, 'old-mac');
+  assert.strictEqual(report.new.hostname, 'new-mac');
+  assert.strictEqual(report.summary.total, 5);
+  assert.deepStrictEqual(report.omittedSections, ['menubarConfig']);
+  assert.deepStrictEqual(report.diff.homebrew.casks.added, ['firefox']);
+  assert.doesNotThrow(() => JSON.parse(JSON.stringify(report)));
+});
+
+test('formatDiffMarkdown renders changed sections and a summary table', () => {
+  const { oldSetup, newSetup } = makeSetups();
+  const markdown = formatDiffMarkdown(diffSetups(oldSetup, newSetup), oldSetup, newSetup);
+
+  assert.ok(markdown.includes('## Applications'));
+  assert.ok(markdown.includes('- ↑ `Xcode.app: 14.0 → 15.0 (major)`'));
+  assert.ok(markdown.includes('**Casks Added (1)**'));
+  assert.ok(markdown.includes('**NPM Added (1)**'));
+  assert.ok(markdown.includes('| 2 | 2 | 1 | 5 |'));
+  assert.ok(!markdown.includes('## omittedSections'));
+});
+
+test('formatDiffText renders every changed section with file diffs', () => {
+  const { oldSetup, newSetup } = makeSetups();
+  oldSetup.shellConfigs = [{ name: '.zshrc', content: 'export A=1\n' }];
+  newSetup.shellConfigs = [{ name: '.zshrc', content: 'export A=2\n' }];
+  newSetup.gitConfig.settings = [{ key: 'pull.rebase', value: 'true' }];
+
+  const text = formatDiffText(diffSetups(oldSetup, newSetup));
+  assert.ok(text.includes('Applications:\n-------------\n\n✗ Removed (1):\n  - Slack.app (4.0)'));
+  assert.ok(text.includes('✓ Casks Added (1):\n  + firefox'));
+  assert.ok(text.includes('↑ Updated (1):\n  ↑ .zshrc: +1 -1 lines'));
+  assert.ok(text.includes('      +export A=2'));
+  assert.ok(text.includes('✓ Settings Added (1):\n  + pull.rebase = true'));
+  assert.ok(!text.includes('Login Items'));
+});
+
+test('summarizeCompliance treats removals from the blueprint as missing', () => {
+  const { oldSetup, newSetup } = makeSetups();
+  const diff = diffSetups(oldSetup, newSetup);
+
+  assert.deepStrictEqual(summarizeCompliance(diff), { missing: 2, extra: 2, different: 1, compliant: false });
+  assert.deepStrictEqual(summarizeCompliance(diffSetups(oldSetup, oldSetup)).compliant, true);
+
+  const text = formatDiffText(diff, { titles: COMPLIANCE_TITLES });
+  assert.ok(text.includes('✗ Missing (1):\n  - Slack.app (4.0)'));
+  assert.ok(text.includes('✓ Casks Extra (1):\n  + firefox'));
+});
+
+test('formatDiffText returns an empty string when nothing changed', () => {
+  const setup = createEmptySetup();
+  assert.strictEqual(formatDiffText(diffSetups(setup, setup)), '');
+});
+
+test('onlyMajorChanges keeps major version updates only', () => {
+  const oldSetup = createEmptySetup();
+  oldSetup.homebrew.formulae = [{ name: 'node', version: '20.10.0' }, { name: 'git', version: '2.42.0' }];
+  oldSetup.applications = [{ name: 'Xcode.app', version: '14.3' }];
+  const newSetup = createEmptySetup();
+  newSetup.homebrew.formulae = [{ name: 'node', version: '21.5.0' }, { name: 'git', version: '2.43.0' }, { name: 'jq', version: '1.7' }];
+  newSetup.applications = [{ name: 'Xcode.app', version: '15.0' }];
+
+  const diff = onlyMajorChanges(diffSetups(oldSetup, newSetup, { skip: ['menubarConfig'] }));
+  assert.deepStrictEqual(diff.homebrew.formulae.updated.map(item => item.name), ['node']);
+  assert.deepStrictEqual(diff.homebrew.formulae.added, []);
+  assert.strictEqual(summarizeDiff(diff).total, 2);
+  assert.deepStrictEqual(diff.omittedSections, ['menubarConfig']);
+  assert.ok(formatDiffText(diff).includes('node: 20.10.0 → 21.5.0 (major)'));
+});
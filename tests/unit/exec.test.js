@@ -1,6 +1,6 @@
 const { test } = require('node:test');
 const assert = require('assert');
-const { sanitizePackageName, sanitizePackages, detectSecrets, redactSecrets } = require('../../src/utils/exec');
+const { sanitizePackageName, sanitizePackages, detectSecrets, redactSecrets, execCapture } = require('../../src/utils/exec');
 
 test('sanitizePackageName allows valid package names', () => {
   assert.strictEqual(sanitizePackageName('node'), 'node');
@@ -73,3 +73,19 @@ test('redactSecrets redacts sensitive data', () => {
   assert.ok(result.includes('[REDACTED]'));
   assert.ok(!result.includes('abcd1234567890abcd1234567890'));
 });
+
+test('redactSecrets does not leak unkeyed tokens', () => {
+  const token = 'ghp_' + 'a'.repeat(36);
+  const result = redactSecrets(`export GH=${token}`);
+  assert.ok(!result.includes(token));
+  assert.strictEqual(result, 'export GH=[REDACTED]');
+});
+
+test('execCapture returns stdout on success and stderr on failure', () => {
+  assert.deepStrictEqual(execCapture('echo hello'), { ok: true, stdout: 'hello', stderr: '', error: null });
+
+  const failed = execCapture('echo "Error: No available formula" >&2; exit 1');
+  assert.strictEqual(failed.ok, false);
+  assert.strictEqual(failed.stderr, 'Error: No available formula');
+  assert.match(failed.error, /Command failed/);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { groupSettings, planGitConfig, applyGitConfig, readGlobalGitConfig } = require('../../src/utils/git-config');
+
+test('groupSettings keeps every value of multi-valued keys', () => {
+  const grouped = groupSettings([
+    { key: 'url.git@github.com:.insteadof', value: 'https://github.com/' },
+    { key: 'url.git@github.com:.insteadof', value: 'gh:' },
+    { key: 'user.name', value: 'Test' }
+  ]);
+  assert.deepStrictEqual(grouped.get('url.git@github.com:.insteadof'), ['https://github.com/', 'gh:']);
+  assert.deepStrictEqual(grouped.get('user.name'), ['Test']);
+});
+
+test('planGitConfig classifies unchanged, added and conflicting keys', () => {
+  const captured = [
+    { key: 'user.name', value: 'Test' },
+    { key: 'user.email', value: 'new@example.com' },
+    { key: 'init.defaultbranch', value: 'main' },
+    { key: 'url.a.insteadof', value: 'x' },
+    { key: 'url.a.insteadof', value: 'y' }
+  ];
+  const local = [
+    { key: 'user.name', value: 'Test' },
+    { key: 'user.email', value: 'old@example.com' },
+    { key: 'url.a.insteadof', value: 'x' }
+  ];
+
+  const plan = planGitConfig(captured, local);
+  const byKey = Object.fromEntries(plan.map(entry => [entry.key, entry]));
+  assert.strictEqual(byKey['user.name'].status, 'unchanged');
+  assert.strictEqual(byKey['user.email'].status, 'conflict');
+  assert.strictEqual(byKey['user.email'].action, 'keep');
+  assert.strictEqual(byKey['init.defaultbranch'].status, 'added');
+  assert.deepStrictEqual(byKey['url.a.insteadof'].values, ['y']);
+
+  const preferCaptured = planGitConfig(captured, local, 'prefer-captured');
+  assert.strictEqual(preferCaptured.find(e => e.key === 'user.email').action, 'replace');
+});
+
+test('planGitConfig skips redacted values', () => {
+  const plan = planGitConfig([{ key: 'github.token', value: '[REDACTED]' }], []);
+  assert.strictEqual(plan[0].status, 'redacted');
+  assert.strictEqual(plan[0].action, 'skip');
+});
+
+test('applyGitConfig writes settings, gitignore and excludesfile', () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mac-blueprint-git-'));
+  const previous = process.env.GIT_CONFIG_GLOBAL;
+  process.env.GIT_CONFIG_GLOBAL = path.join(home, '.gitconfig');
+  fs.writeFileSync(process.env.GIT_CONFIG_GLOBAL, '[user]\n\temail = old@example.com\n');
+
+  try {
+    const result = applyGitConfig({
+      user: {},
+      settings: [
+        { key: 'user.email', value: 'new@example.com' },
+        { key: 'alias.st', value: "status -s 'quoted'" },
+        { key: 'core.excludesfile', value: '/Users/other/.gitignore_global' }
+      ],
+      globalGitignore: '.DS_Store\n'
+    }, { home, policy: 'prefer-captured' });
+
+    assert.strictEqual(result.failed, 0);
+    const settings = Object.fromEntries(readGlobalGitConfig().map(s => [s.key, s.value]));
+    assert.strictEqual(settings['user.email'], 'new@example.com');
+    assert.strictEqual(settings['alias.st'], "status -s 'quoted'");
+    assert.strictEqual(settings['core.excludesfile'], path.join(home, '.gitignore_global'));
+    assert.strictEqual(fs.readFileSync(path.join(home, '.gitignore_global'), 'utf8'), '.DS_Store\n');
+  } finally {
+    if (previous === undefined) {
+      delete process.env.GIT_CONFIG_GLOBAL;
+    } else {
+      process.env.GIT_CONFIG_GLOBAL = previous;
+    }
+  }
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { createEmptySetup } = require('../../src/utils/schema');
+const { planInstalls, pendingSetup, formatInstallPlan } = require('../../src/utils/install-plan');
+
+function makeSetups() {
+  const blueprint = createEmptySetup();
+  blueprint.homebrew.taps = ['homebrew/cask-fonts'];
+  blueprint.homebrew.formulae = [{ name: 'git', version: '2.43.0' }, { name: 'jq', version: '1.7' }, { name: 'node', version: '20.10.0' }];
+  blueprint.masApps = [{ id: '497799835', name: 'Xcode', version: '15.1' }];
+  blueprint.globalPackages.npm = [{ name: 'typescript', version: '5.3.3' }];
+
+  const current = createEmptySetup();
+  current.homebrew.taps = ['homebrew/cask-fonts'];
+  current.homebrew.formulae = [{ name: 'git', version: '2.43.0' }, { name: 'node', version: '21.5.0' }];
+  current.masApps = [{ id: '497799835', name: 'Xcode', version: '15.1' }];
+
+  return { blueprint, current };
+}
+
+test('planInstalls splits each group into present, missing and mismatched', () => {
+  const { blueprint, current } = makeSetups();
+  const plan = planInstalls(blueprint, current);
+  const formulae = plan.find(entry => entry.group === 'formulae');
+
+  assert.deepStrictEqual(formulae.present.map(item => item.name), ['git']);
+  assert.deepStrictEqual(formulae.missing.map(item => item.name), ['jq']);
+  assert.deepStrictEqual(formulae.mismatched, [{ key: 'node', name: 'node', version: '20.10.0', installedVersion: '21.5.0' }]);
+  assert.deepStrictEqual(formulae.install, ['jq']);
+  assert.deepStrictEqual(plan.find(entry => entry.group === 'masApps').install, []);
+  assert.deepStrictEqual(plan.find(entry => entry.group === 'npm').install, ['typescript']);
+});
+
+test('planInstalls reinstalls mismatched versions when pinning and honours sections', () => {
+  const { blueprint, current } = makeSetups();
+  const plan = planInstalls(blueprint, current, { sections: ['homebrew'], pinVersions: true });
+
+  assert.deepStrictEqual(plan.map(entry => entry.group), ['taps', 'formulae', 'casks']);
+  assert.deepStrictEqual(plan[1].install, ['jq', 'node']);
+});
+
+test('pendingSetup keeps only the items to install in planned sections', () => {
+  const { blueprint, current } = makeSetups();
+  const pending = pendingSetup(blueprint, planInstalls(blueprint, current, { sections: ['homebrew', 'masApps'] }));
+
+  assert.deepStrictEqual(pending.homebrew.taps, []);
+  assert.deepStrictEqual(pending.homebrew.formulae, [{ name: 'jq', version: '1.7' }]);
+  assert.deepStrictEqual(pending.masApps, []);
+  assert.deepStrictEqual(pending.globalPackages.npm, blueprint.globalPackages.npm);
+  assert.strictEqual(blueprint.homebrew.formulae.length, 3);
+});
+
+test('formatInstallPlan lists missing and mismatched items per group', () => {
+  const { blueprint, current } = makeSetups();
+  const text = formatInstallPlan(planInstalls(blueprint, current, { sections: ['homebrew'] }));
+
+  assert.strictEqual(text, [
+    'Taps: 1 already present, 0 to install, 0 version mismatch',
+    'Formulae: 1 already present, 1 to install, 1 version mismatch',
+    '  + jq',
+    '  ~ node 20.10.0 (installed: 21.5.0)'
+  ].join('\n'));
+});
@@ -0,0 +1,187 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  mergeAllowlist,
+  parsePlistScalars,
+  readDefaults,
+  planDefaultsWrites,
+  applyDefaults,
+  formatDefaultsCommand
+} = require('../../src/utils/macos-defaults');
+const { diffSetups, validateSetup } = require('../../src/utils/schema');
+const { validateConfig } = require('../../src/utils/config');
+
+const DOCK_PLIST = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+	<key>autohide</key>
+	<true/>
+	<key>persistent-apps</key>
+	<array>
+		<dict>
+			<key>tile-type</key>
+			<string>file-tile</string>
+		</dict>
+	</array>
+	<key>tilesize</key>
+	<integer>48</integer>
+	<key>autohide-time-modifier</key>
+	<real>0.25</real>
+	<key>orientation</key>
+	<string>left &amp; &lt;pinned&gt;</string>
+	<key>show-recents</key>
+	<false/>
+</dict>
+</plist>
+`;
+
+/**
+ * Writes stand-in defaults and killall scripts that log their arguments
+ * @returns {Object} - { dir, bin, killall, log }
+ */
+function standIns() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac-blueprint-defaults-'));
+  const log = path.join(dir, 'calls.log');
+  fs.writeFileSync(path.join(dir, 'com.apple.dock.plist'), DOCK_PLIST);
+
+  const bin = path.join(dir, 'defaults');
+  fs.writeFileSync(bin, `#!/bin/sh
+echo "defaults $*" >> "${log}"
+if [ "$1" = export ]; then
+  [ -f "${dir}/$2.plist" ] || { echo "Domain $2 does not exist" >&2; exit 1; }
+  cat "${dir}/$2.plist"
+elif [ "$3" = fail ]; then
+  exit 1
+fi
+`, { mode: 0o755 });
+
+  const killall = path.join(dir, 'killall');
+  fs.writeFileSync(killall, `#!/bin/sh\necho "killall $*" >> "${log}"\n`, { mode: 0o755 });
+
+  return { dir, bin, killall, log };
+}
+
+test('parsePlistScalars reads top-level scalars and skips nested values', () => {
+  assert.deepStrictEqual(parsePlistScalars(DOCK_PLIST), {
+    autohide: { type: 'bool', value: true },
+    tilesize: { type: 'int', value: 48 },
+    'autohide-time-modifier': { type: 'float', value: 0.25 },
+    orientation: { type: 'string', value: 'left & <pinned>' },
+    'show-recents': { type: 'bool', value: false }
+  });
+  assert.deepStrictEqual(parsePlistScalars(''), {});
+});
+
+test('readDefaults captures allowlisted keys through a stand-in defaults binary', () => {
+  const { dir, bin } = standIns();
+  try {
+    const entries = readDefaults(mergeAllowlist({ 'com.apple.dock': ['persistent-apps'] }), { bin });
+    assert.deepStrictEqual(entries, [
+      { domain: 'com.apple.dock', key: 'autohide', type: 'bool', value: true },
+      { domain: 'com.apple.dock', key: 'autohide-time-modifier', type: 'float', value: 0.25 },
+      { domain: 'com.apple.dock', key: 'tilesize', type: 'int', value: 48 },
+      { domain: 'com.apple.dock', key: 'orientation', type: 'string', value: 'left & <pinned>' },
+      { domain: 'com.apple.dock', key: 'show-recents', type: 'bool', value: false }
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('applyDefaults writes type-correct values and restarts each process once', () => {
+  const { dir, bin, killall, log } = standIns();
+  const captured = [
+    { domain: 'com.apple.dock', key: 'autohide', type: 'bool', value: true },
+    { domain: 'com.apple.dock', key: 'tilesize', type: 'int', value: 36 },
+    { domain: 'com.apple.dock', key: 'autohide-delay', type: 'float', value: 0 },
+    { domain: 'com.apple.finder', key: 'FXPreferredViewStyle', type: 'string', value: 'Nlsv' },
+    { domain: 'NSGlobalDomain', key: 'KeyRepeat', type: 'int', value: 2 },
+    { domain: 'com.apple.finder', key: 'QuitMenuItem', type: 'bool', value: true },
+    { domain: 'com.apple.screencapture', key: 'location', type: 'data', value: 'AAAA' },
+    { domain: 'com.apple.screencapture', key: 'disable-shadow', type: 'bool', value: 'yes' }
+  ];
+
+  try {
+    const plan = planDefaultsWrites(captured, readDefaults(mergeAllowlist(), { bin }));
+    assert.deepStrictEqual(plan.map(item => [item.name, item.status, item.reason]), [
+      ['com.apple.dock autohide', 'unchanged', undefined],
+      ['com.apple.dock tilesize', 'pending', undefined],
+      ['com.apple.dock autohide-delay', 'pending', undefined],
+      ['com.apple.finder FXPreferredViewStyle', 'pending', undefined],
+      ['NSGlobalDomain KeyRepeat', 'pending', undefined],
+      ['com.apple.finder QuitMenuItem', 'skipped', 'not in the defaults allowlist'],
+      ['com.apple.screencapture location', 'skipped', 'unsupported type data'],
+      ['com.apple.screencapture disable-shadow', 'skipped', 'value does not match type bool']
+    ]);
+
+    const preview = applyDefaults(plan, { bin, killall, dryRun: true });
+    assert.deepStrictEqual(preview.results.map(result => result.status), ['would-write', 'would-write', 'would-write', 'would-write']);
+    assert.deepStrictEqual(preview.restarts, []);
+
+    fs.writeFileSync(log, '');
+    const { results, restarts } = applyDefaults(plan, { bin, killall });
+    assert.ok(results.every(result => result.status === 'written'));
+    assert.deepStrictEqual(restarts, [
+      { process: 'Dock', status: 'restarted' },
+      { process: 'Finder', status: 'restarted' }
+    ]);
+    assert.deepStrictEqual(fs.readFileSync(log, 'utf8').trim().split('\n'), [
+      'defaults write com.apple.dock tilesize -int 36',
+      'defaults write com.apple.dock autohide-delay -float 0',
+      'defaults write com.apple.finder FXPreferredViewStyle -string Nlsv',
+      'defaults write NSGlobalDomain KeyRepeat -int 2',
+      'killall Dock',
+      'killall Finder'
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('applyDefaults reports failed writes and skips restarts for them', () => {
+  const { dir, bin, killall } = standIns();
+  try {
+    const plan = planDefaultsWrites([{ domain: 'com.apple.dock', key: 'fail', type: 'bool', value: true }], [],
+      mergeAllowlist({ 'com.apple.dock': ['fail'] }));
+    const { results, restarts } = applyDefaults(plan, { bin, killall });
+    assert.strictEqual(results[0].status, 'failed');
+    assert.deepStrictEqual(restarts, []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('formatDefaultsCommand quotes values for the shell', () => {
+  assert.strictEqual(formatDefaultsCommand({ domain: 'com.apple.dock', key: 'autohide', type: 'bool', value: false }),
+    'defaults write com.apple.dock autohide -bool false');
+  assert.strictEqual(formatDefaultsCommand({ domain: 'com.apple.screencapture', key: 'location', type: 'string', value: "~/Desktop/Bob's Shots" }),
+    "defaults write com.apple.screencapture location -string '~/Desktop/Bob'\\''s Shots'");
+});
+
+test('diffSetups compares macOS defaults by domain and key', () => {
+  const oldSetup = {
+    macosDefaults: [
+      { domain: 'com.apple.dock', key: 'tilesize', type: 'int', value: 48 },
+      { domain: 'NSGlobalDomain', key: 'KeyRepeat', type: 'int', value: 2 }
+    ]
+  };
+  const newSetup = {
+    macosDefaults: [
+      { domain: 'com.apple.dock', key: 'tilesize', type: 'int', value: 36 },
+      { domain: 'com.apple.finder', key: 'ShowPathbar', type: 'bool', value: true }
+    ]
+  };
+
+  assert.deepStrictEqual(diffSetups(oldSetup, newSetup).macosDefaults, {
+    added: [{ name: 'com.apple.finder ShowPathbar', value: true }],
+    removed: [{ name: 'NSGlobalDomain KeyRepeat', value: 2 }],
+    updated: [{ name: 'com.apple.dock tilesize', oldValue: 48, newValue: 36 }]
+  });
+  assert.ok(validateSetup({ ...newSetup, macosDefaults: {} }).errors.includes('Invalid field: macosDefaults must be an array'));
+  assert.deepStrictEqual(validateConfig({ macosDefaults: { 'com.apple.dock': 'tilesize' } }).errors,
+    ['Invalid field: macosDefaults.com.apple.dock must be an array of strings']);
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { PACKAGE_MANAGERS, latestArg, installCommands } = require('../../src/utils/package-managers');
+const { planGlobalPackagePins, globalPinCommands } = require('../../src/utils/pinning');
+const { createEmptySetup, validateSetup, diffSetups } = require('../../src/utils/schema');
+
+const parse = (manager, output) => PACKAGE_MANAGERS[manager].parse(output);
+
+test('parsers read npm, pnpm, bun, yarn and composer listings', () => {
+  assert.deepStrictEqual(parse('npm', '{"dependencies":{"typescript":{"version":"5.3.3"}}}'),
+    [{ name: 'typescript', version: '5.3.3' }]);
+  assert.deepStrictEqual(parse('pnpm', '[{"dependencies":{"@antfu/ni":{"version":"0.21.12"}}}]'),
+    [{ name: '@antfu/ni', version: '0.21.12' }]);
+  assert.deepStrictEqual(parse('bun', '/Users/me/.bun/install/global node_modules (2)\n├── @biomejs/biome@1.5.3\n└── vercel@33.0.1'),
+    [{ name: '@biomejs/biome', version: '1.5.3' }, { name: 'vercel', version: '33.0.1' }]);
+  assert.deepStrictEqual(parse('yarn', 'yarn global v1.22.19\ninfo "create-react-app@5.0.1" has binaries:\n   - create-react-app'),
+    [{ name: 'create-react-app', version: '5.0.1' }]);
+  assert.deepStrictEqual(parse('composer', '{"installed":[{"name":"laravel/installer","version":"v5.2.0"}]}'),
+    [{ name: 'laravel/installer', version: 'v5.2.0' }]);
+  assert.deepStrictEqual(parse('npm', 'not json'), []);
+});
+
+test('parsers read pipx, uv, cargo and go listings', () => {
+  const pipx = { venvs: { black: { metadata: { main_package: { package: 'black', package_version: '23.12.1' } } } } };
+  assert.deepStrictEqual(parse('pipx', JSON.stringify(pipx)), [{ name: 'black', version: '23.12.1' }]);
+  assert.deepStrictEqual(parse('uv', 'ruff v0.1.9\n- ruff\nhttpie v3.2.2\n- http\n- https'),
+    [{ name: 'ruff', version: '0.1.9' }, { name: 'httpie', version: '3.2.2' }]);
+  assert.deepStrictEqual(parse('cargo', 'ripgrep v14.0.3:\n    rg\ntool v0.1.0 (https://github.com/me/tool#abc):\n    tool'),
+    [{ name: 'ripgrep', version: '14.0.3' }, { name: 'tool', version: '0.1.0' }]);
+
+  const go = [
+    '/Users/me/go/bin/gopls: go1.21.5',
+    '\tpath\tgolang.org/x/tools/gopls',
+    '\tmod\tgolang.org/x/tools/gopls\tv0.14.2\th1:abc=',
+    '\tdep\tgolang.org/x/mod\tv0.14.0\th1:def=',
+    '/Users/me/go/bin/local: go1.21.5',
+    '\tpath\texample.com/local',
+    '\tmod\texample.com/local\t(devel)\t'
+  ].join('\n');
+  assert.deepStrictEqual(parse('go', go), [
+    { name: 'golang.org/x/tools/gopls', version: 'v0.14.2' },
+    { name: 'example.com/local', version: '(devel)' }
+  ]);
+});
+
+test('installCommands batches only where the manager allows it', () => {
+  const entries = names => names.map(name => ({ name, arg: name }));
+
+  assert.deepStrictEqual(installCommands('pnpm', entries(['a', 'b'])).map(({ command }) => command), ['pnpm add -g a b']);
+  assert.deepStrictEqual(installCommands('pipx', entries(['black', 'ruff'])).map(({ command }) => command),
+    ['pipx install black', 'pipx install ruff']);
+  assert.deepStrictEqual(installCommands('cargo', entries(['a', 'b']), { pinned: true }).map(({ command }) => command),
+    ['cargo install a', 'cargo install b']);
+  assert.strictEqual(latestArg('go', 'golang.org/x/tools/gopls'), 'golang.org/x/tools/gopls@latest');
+  assert.strictEqual(latestArg('uv', 'ruff'), 'ruff');
+});
+
+test('planGlobalPackagePins formats versions for the new managers', () => {
+  const plan = planGlobalPackagePins({
+    uv: [{ name: 'ruff', version: '0.1.9' }],
+    cargo: [{ name: 'ripgrep', version: '14.0.3' }],
+    go: [{ name: 'golang.org/x/tools/gopls', version: 'v0.14.2' }, { name: 'example.com/local', version: '(devel)' }],
+    composer: [{ name: 'laravel/installer', version: 'v5.2.0' }]
+  });
+
+  assert.deepStrictEqual(plan.map(pin => pin.arg), [
+    'ruff==0.1.9',
+    'ripgrep --version 14.0.3',
+    'golang.org/x/tools/gopls@v0.14.2',
+    'example.com/local@latest',
+    'laravel/installer:v5.2.0'
+  ]);
+  assert.deepStrictEqual(globalPinCommands('go', plan.filter(pin => pin.manager === 'go')).map(({ command }) => command), [
+    'go install golang.org/x/tools/gopls@v0.14.2',
+    'go install example.com/local@latest'
+  ]);
+});
+
+test('every registered manager is validated and diffed', () => {
+  const setup = createEmptySetup();
+  assert.deepStrictEqual(Object.keys(setup.globalPackages), Object.keys(PACKAGE_MANAGERS));
+
+  setup.globalPackages.pipx = 'black';
+  assert.ok(validateSetup(setup).errors.includes('Invalid field: globalPackages.pipx must be an array'));
+
+  const oldSetup = createEmptySetup();
+  oldSetup.globalPackages.cargo = [{ name: 'ripgrep', version: '13.0.0' }];
+  const newSetup = createEmptySetup();
+  newSetup.globalPackages.cargo = [{ name: 'ripgrep', version: '14.0.3' }];
+  newSetup.globalPackages.uv = [{ name: 'ruff', version: '0.1.9' }];
+
+  const diff = diffSetups(oldSetup, newSetup);
+  assert.deepStrictEqual(diff.globalPackages.uv.added, ['ruff']);
+  assert.strictEqual(diff.globalPackages.cargo.updated[0].newVersion, '14.0.3');
+});
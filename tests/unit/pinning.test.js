@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const {
+  cleanVersion,
+  planGlobalPackagePins,
+  globalPinCommands,
+  planFormulaPins,
+  markExactFormulaPins
+} = require('../../src/utils/pinning');
+
+test('cleanVersion picks one safe version', () => {
+  assert.strictEqual(cleanVersion('5.3.3'), '5.3.3');
+  assert.strictEqual(cleanVersion('1.16.2, 1.15.0'), '1.16.2');
+  assert.strictEqual(cleanVersion('default: 3.4.10'), '3.4.10');
+  assert.strictEqual(cleanVersion('1.0.0 at path "/src/tool"'), '1.0.0');
+  assert.strictEqual(cleanVersion('unknown'), null);
+  assert.strictEqual(cleanVersion('1.0; rm -rf ~'), null);
+  assert.strictEqual(cleanVersion(undefined), null);
+});
+
+test('planGlobalPackagePins builds versioned installs per manager', () => {
+  const plan = planGlobalPackagePins({
+    npm: [{ name: '@angular/cli', version: '17.0.8' }, { name: 'bad name', version: '1.0.0' }],
+    dart: [{ name: 'melos', version: '3.4.0' }],
+    ruby: [{ name: 'bundler', version: 'default: 2.4.10' }, { name: 'cocoapods', version: 'unknown' }]
+  });
+
+  assert.deepStrictEqual(plan.map(pin => [pin.name, pin.status, pin.arg]), [
+    ['@angular/cli', 'exact', '@angular/cli@17.0.8'],
+    ['bad name', 'invalid', undefined],
+    ['melos', 'exact', 'melos 3.4.0'],
+    ['bundler', 'exact', 'bundler -v 2.4.10'],
+    ['cocoapods', 'unpinned', 'cocoapods']
+  ]);
+
+  assert.deepStrictEqual(globalPinCommands('npm', plan.filter(pin => pin.manager === 'npm')).map(({ command }) => command), [
+    'npm install -g @angular/cli@17.0.8'
+  ]);
+  assert.deepStrictEqual(globalPinCommands('ruby', plan.filter(pin => pin.manager === 'ruby')).map(({ command }) => command), [
+    'gem install bundler -v 2.4.10',
+    'gem install cocoapods'
+  ]);
+});
+
+test('globalPinCommands returns exactly the pins each command installs', () => {
+  const plan = planGlobalPackagePins({
+    ruby: [{ name: 'rails', version: '7' }, { name: 'rails', version: '7.1.2' }]
+  });
+
+  const commands = globalPinCommands('ruby', plan);
+  assert.deepStrictEqual(commands.map(({ command, entries }) => [command, entries]), [
+    ['gem install rails -v 7', [plan[0]]],
+    ['gem install rails -v 7.1.2', [plan[1]]]
+  ]);
+});
+
+test('planFormulaPins prefers versioned formulae', () => {
+  const available = new Set(['node', 'node@20', 'node@18', 'python@3.11', 'python@3.12', 'git']);
+  const pins = planFormulaPins([
+    { name: 'node', version: '20.10.0' },
+    { name: 'python@3.12', version: '3.12.1' },
+    { name: 'git', version: '2.43.0' }
+  ], available);
+
+  assert.deepStrictEqual(pins.map(pin => [pin.spec, pin.status]), [
+    ['node@20', 'approximate'],
+    ['python@3.12', 'approximate'],
+    ['git', 'unpinned']
+  ]);
+});
+
+test('planFormulaPins keeps the bare formula when it is already in the captured series', () => {
+  const available = new Set(['node', 'node@22', 'node@20', 'python', 'python@3.12']);
+  const stableVersions = new Map([['node', '22.11.0'], ['python', '3.13.0']]);
+  const pins = planFormulaPins([
+    { name: 'node', version: '22.9.0' },
+    { name: 'node', version: '20.10.0' },
+    { name: 'python', version: '3.12.1' }
+  ], available, stableVersions);
+
+  assert.deepStrictEqual(pins.map(pin => [pin.spec, pin.status]), [
+    ['node', 'approximate'],
+    ['node@20', 'approximate'],
+    ['python@3.12', 'approximate']
+  ]);
+  assert.strictEqual(pins[0].reason, 'latest node (22 series)');
+});
+
+test('markExactFormulaPins marks matches and explains mismatches', () => {
+  const pins = [
+    { name: 'git', captured: '2.43.0', spec: 'git', status: 'unpinned', reason: 'no versioned formula, installing latest' },
+    { name: 'node', captured: '20.10.0', spec: 'node@20', status: 'approximate', reason: 'latest node@20' }
+  ];
+
+  markExactFormulaPins(pins, new Map([['git', '2.43.0'], ['node@20', '20.11.0']]));
+  assert.strictEqual(pins[0].status, 'exact');
+  assert.strictEqual(pins[1].status, 'approximate');
+  assert.strictEqual(pins[1].reason, 'latest node@20 (Homebrew has 20.11.0)');
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { NVM_VERSION, parseDefaultVersion, planRuntimeInstalls } = require('../../src/utils/runtimes');
+
+test('parseDefaultVersion reads nvm aliases and global versions', () => {
+  assert.strictEqual(parseDefaultVersion('\u001b[0;32mdefault\u001b[0m -> 20 (-> v20.19.5)'), '20.19.5');
+  assert.strictEqual(parseDefaultVersion('default -> v18.20.8'), '18.20.8');
+  assert.strictEqual(parseDefaultVersion('3.11.7\n2.7.18'), '3.11.7');
+  assert.strictEqual(parseDefaultVersion('system'), 'system');
+  assert.strictEqual(parseDefaultVersion('default -> 22 (-> N/A)'), null);
+  assert.strictEqual(parseDefaultVersion(null), null);
+});
+
+test('planRuntimeInstalls installs missing managers, versions and defaults', () => {
+  const captured = {
+    nvm: { installed: true, versions: ['20.19.5', 'v22.20.0'], default: '22.20.0' },
+    pyenv: { installed: true, versions: ['3.12.1'], default: 'system' },
+    rbenv: { installed: false, versions: [] }
+  };
+  const current = {
+    nvm: { installed: true, versions: ['20.19.5'], default: '20.19.5' },
+    pyenv: { installed: false, versions: [] }
+  };
+
+  const steps = planRuntimeInstalls(captured, current);
+  assert.deepStrictEqual(steps.map(step => [step.name, step.status]), [
+    ['nvm', 'present'],
+    ['nvm 20.19.5', 'present'],
+    ['nvm 22.20.0', 'pending'],
+    ['nvm default 22.20.0', 'pending'],
+    ['pyenv', 'pending'],
+    ['pyenv 3.12.1', 'pending']
+  ]);
+  assert.strictEqual(steps[3].command, "bash -c 'source ~/.nvm/nvm.sh && nvm alias default 22.20.0'");
+  assert.strictEqual(steps[4].command, 'brew install pyenv');
+  assert.strictEqual(steps[5].command, 'pyenv install --skip-existing 3.12.1');
+});
+
+test('planRuntimeInstalls installs nvm from a pinned release', () => {
+  const [step] = planRuntimeInstalls({ nvm: { installed: true, versions: [] } }, {});
+  assert.match(NVM_VERSION, /^v\d+\.\d+\.\d+$/);
+  assert.strictEqual(step.version, NVM_VERSION);
+  assert.ok(step.command.includes(`/nvm-sh/nvm/${NVM_VERSION}/install.sh`));
+  assert.ok(!step.command.includes('/HEAD/'));
+});
+
+test('planRuntimeInstalls refuses versions that are not safe to pass to a shell', () => {
+  const steps = planRuntimeInstalls({ rbenv: { installed: true, versions: ['3.3.0; rm -rf ~'] } }, {});
+  assert.deepStrictEqual(steps[1], { manager: 'rbenv', kind: 'version', name: 'rbenv 3.3.0; rm -rf ~', status: 'invalid', reason: 'invalid version' });
+});
@@ -1,6 +1,15 @@
 const { test } = require('node:test');
 const assert = require('assert');
-const { validateSetup, createEmptySetup, isCompatibleVersion, diffSetups, SCHEMA_VERSION } = require('../../src/utils/schema');
+const {
+  validateSetup,
+  createEmptySetup,
+  isCompatibleVersion,
+  diffSetups,
+  parseSectionList,
+  selectSections,
+  SECTIONS,
+  SCHEMA_VERSION
+} = require('../../src/utils/schema');
 
 test('validateSetup accepts valid setup', () => {
   const setup = createEmptySetup();
@@ -95,3 +104,185 @@ test('diffSetups handles empty setups', () => {
   assert.strictEqual(diff.applications.removed.length, 0);
   assert.strictEqual(diff.applications.updated.length, 0);
 });
+
+test('parseSectionList splits and trims section names', () => {
+  assert.deepStrictEqual(parseSectionList('homebrew, globalPackages'), ['homebrew', 'globalPackages']);
+});
+
+test('parseSectionList rejects unknown sections', () => {
+  assert.throws(() => parseSectionList('homebrew,brew'), /Unknown section\(s\): brew/);
+  assert.throws(() => parseSectionList(undefined), /No sections given/);
+});
+
+test('selectSections applies only and skip', () => {
+  assert.deepStrictEqual(selectSections({}), SECTIONS);
+  assert.deepStrictEqual(selectSections({ only: ['globalPackages', 'homebrew'] }), ['homebrew', 'globalPackages']);
+  assert.ok(!selectSections({ skip: ['menubarConfig'] }).includes('menubarConfig'));
+  assert.deepStrictEqual(selectSections({ only: ['homebrew'], skip: ['homebrew'] }), []);
+});
+
+test('validateSetup accepts a setup without omitted sections', () => {
+  const setup = createEmptySetup();
+  delete setup.homebrew;
+  setup.omittedSections = ['homebrew'];
+
+  assert.strictEqual(validateSetup(setup).valid, true);
+  setup.omittedSections = [];
+  assert.strictEqual(validateSetup(setup).valid, false);
+});
+
+test('validateSetup rejects unknown omitted sections', () => {
+  const setup = createEmptySetup();
+  setup.omittedSections = ['dock'];
+
+  const result = validateSetup(setup);
+  assert.strictEqual(result.valid, false);
+  assert.ok(result.errors.some(e => e.includes('dock')));
+});
+
+test('diffSetups does not report omitted sections as removed', () => {
+  const oldSetup = createEmptySetup();
+  oldSetup.applications = [{ name: 'Xcode.app', version: '15.0' }];
+  const newSetup = createEmptySetup();
+  delete newSetup.applications;
+  newSetup.omittedSections = ['applications'];
+
+  const diff = diffSetups(oldSetup, newSetup);
+  assert.strictEqual(diff.applications.removed.length, 0);
+  assert.ok(diff.omittedSections.includes('applications'));
+});
+
+test('diffSetups honours the skip option', () => {
+  const oldSetup = createEmptySetup();
+  const newSetup = createEmptySetup();
+  newSetup.homebrew.formulae = [{ name: 'git', version: '2.43.0' }];
+
+  const diff = diffSetups(oldSetup, newSetup, { skip: ['homebrew'] });
+  assert.strictEqual(diff.homebrew.formulae.added.length, 0);
+  assert.deepStrictEqual(diff.omittedSections, ['homebrew']);
+});
+
+test('diffSetups compares global packages', () => {
+  const oldSetup = createEmptySetup();
+  const newSetup = createEmptySetup();
+  newSetup.globalPackages.npm = [{ name: 'typescript', version: '5.3.3' }];
+
+  const diff = diffSetups(oldSetup, newSetup);
+  assert.strictEqual(diff.globalPackages.npm.added.length, 1);
+  assert.strictEqual(diff.globalPackages.npm.added[0], 'typescript');
+});
+
+test('diffSetups compares Mac App Store apps, binaries and ~/bin', () => {
+  const oldSetup = createEmptySetup();
+  oldSetup.masApps = [{ id: '1', name: 'Things', version: '3.0' }];
+  oldSetup.binaries = [{ name: 'node', path: '/opt/homebrew/bin/node', type: 'symlink', target: '../Cellar/node/20' }];
+  oldSetup.homeBin = [{ name: 'deploy.sh', type: 'file', size: 100, executable: true }];
+  const newSetup = createEmptySetup();
+  newSetup.masApps = [{ id: '1', name: 'Things', version: '3.1' }, { id: '2', name: 'Xcode', version: '15.0' }];
+  newSetup.binaries = [{ name: 'node', path: '/opt/homebrew/bin/node', type: 'symlink', target: '../Cellar/node/21' }];
+  newSetup.homeBin = [{ name: 'deploy.sh', type: 'file', size: 120, executable: true }];
+
+  const diff = diffSetups(oldSetup, newSetup);
+  assert.deepStrictEqual(diff.masApps.added.map(app => app.name), ['Xcode']);
+  assert.deepStrictEqual(diff.masApps.updated, [
+    { name: 'Things', oldVersion: '3.0', newVersion: '3.1', change: 'minor', direction: 'upgrade' }
+  ]);
+  assert.deepStrictEqual(diff.binaries.updated[0].changes, ['target ../Cellar/node/20 → ../Cellar/node/21']);
+  assert.deepStrictEqual(diff.homeBin.updated[0].changes, ['size 100 → 120']);
+});
+
+test('diffSetups compares repositories, version managers and menu bar config', () => {
+  const oldSetup = createEmptySetup();
+  oldSetup.githubRepos = [{ name: 'app', remoteUrl: 'git@github.com:me/app.git', branch: 'main' }];
+  oldSetup.versionManagers.nvm = { installed: true, versions: ['v18.19.0', 'v20.10.0'] };
+  oldSetup.menubarConfig.loginItems = ['Rectangle'];
+  const newSetup = createEmptySetup();
+  newSetup.githubRepos = [
+    { name: 'app', remoteUrl: 'git@github.com:me/app.git', branch: 'develop' },
+    { name: 'site', remoteUrl: 'git@github.com:me/site.git' }
+  ];
+  newSetup.versionManagers.nvm = { installed: true, versions: ['v20.10.0', 'v22.0.0'] };
+  newSetup.menubarConfig.loginItems = ['Rectangle', 'Raycast'];
+  newSetup.menubarConfig.launchAgents = [{ name: 'com.me.sync.plist', label: 'com.me.sync', path: '/x' }];
+
+  const diff = diffSetups(oldSetup, newSetup);
+  assert.deepStrictEqual(diff.githubRepos.added, [{ name: 'site', remoteUrl: 'git@github.com:me/site.git' }]);
+  assert.deepStrictEqual(diff.githubRepos.updated[0].changes, ['branch main → develop']);
+  assert.deepStrictEqual(diff.versionManagers.nvm, { added: ['v22.0.0'], removed: ['v18.19.0'] });
+  assert.deepStrictEqual(diff.menubarConfig.loginItems.added, ['Raycast']);
+  assert.deepStrictEqual(diff.menubarConfig.launchAgents.added, ['com.me.sync']);
+});
+
+test('diffSetups diffs shell config contents line by line', () => {
+  const oldSetup = createEmptySetup();
+  oldSetup.shellConfigs = [{ name: '.zshrc', content: 'export A=1\nexport B=2\n' }, { name: '.bashrc', content: 'x\n' }];
+  const newSetup = createEmptySetup();
+  newSetup.shellConfigs = [{ name: '.zshrc', content: 'export A=1\nexport B=3\nexport C=4\n' }];
+
+  const diff = diffSetups(oldSetup, newSetup);
+  const zshrc = diff.shellConfigs.updated[0];
+  assert.strictEqual(zshrc.name, '.zshrc');
+  assert.strictEqual(zshrc.linesAdded, 2);
+  assert.strictEqual(zshrc.linesRemoved, 1);
+  assert.ok(zshrc.diff.includes('-export B=2'));
+  assert.ok(zshrc.diff.includes('+export C=4'));
+  assert.deepStrictEqual(diff.shellConfigs.removed, [{ name: '.bashrc', lines: 2 }]);
+});
+
+test('diffSetups diffs git settings key by key', () => {
+  const oldSetup = createEmptySetup();
+  oldSetup.gitConfig.settings = [
+    { key: 'user.name', value: 'Tom' },
+    { key: 'pull.rebase', value: 'false' },
+    { key: 'url.git@github.com:.insteadof', value: 'https://github.com/' }
+  ];
+  const newSetup = createEmptySetup();
+  newSetup.gitConfig.settings = [
+    { key: 'user.name', value: 'Tom' },
+    { key: 'pull.rebase', value: 'true' },
+    { key: 'init.defaultbranch', value: 'main' }
+  ];
+  newSetup.gitConfig.globalGitignore = '.DS_Store\n';
+
+  const diff = diffSetups(oldSetup, newSetup);
+  assert.deepStrictEqual(diff.gitConfig.settings.added, [{ name: 'init.defaultbranch', value: 'main' }]);
+  assert.deepStrictEqual(diff.gitConfig.settings.removed.map(s => s.name), ['url.git@github.com:.insteadof']);
+  assert.deepStrictEqual(diff.gitConfig.settings.updated, [{ name: 'pull.rebase', oldValue: 'false', newValue: 'true' }]);
+  assert.strictEqual(diff.gitConfig.globalGitignore.added.length, 1);
+});
+
+test('diffSetups detects Homebrew and global package version changes', () => {
+  const oldSetup = createEmptySetup();
+  oldSetup.homebrew.formulae = [{ name: 'node', version: '20.10.0' }, { name: 'git', version: '2.43.0' }];
+  oldSetup.homebrew.casks = [{ name: 'docker', version: '4.26.1' }];
+  oldSetup.globalPackages.npm = [{ name: 'typescript', version: '5.3.3' }];
+  const newSetup = createEmptySetup();
+  newSetup.homebrew.formulae = [{ name: 'node', version: '21.5.0' }, { name: 'git', version: '2.43.0' }];
+  newSetup.homebrew.casks = [{ name: 'docker', version: '4.25.0' }];
+  newSetup.globalPackages.npm = [{ name: 'typescript', version: '5.3.3' }];
+
+  const diff = diffSetups(oldSetup, newSetup);
+  assert.deepStrictEqual(diff.homebrew.formulae.updated, [
+    { name: 'node', oldVersion: '20.10.0', newVersion: '21.5.0', change: 'major', direction: 'upgrade' }
+  ]);
+  assert.strictEqual(diff.homebrew.casks.updated[0].direction, 'downgrade');
+  assert.strictEqual(diff.homebrew.casks.updated[0].change, 'minor');
+  assert.strictEqual(diff.globalPackages.npm.updated.length, 0);
+  assert.strictEqual(diff.homebrew.formulae.added.length, 0);
+});
+
+test('validateSetup requires a string name on every global package', () => {
+  const setup = createEmptySetup();
+  setup.globalPackages.npm = [{ name: 'typescript', version: '5.3.3' }];
+  setup.globalPackages.pipx = [{ version: '1.0.0' }];
+  setup.globalPackages.cargo = [{ name: 42, version: '0.1.0' }];
+  setup.globalPackages.composer = [null];
+
+  const result = validateSetup(setup);
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors, [
+    'Invalid pipx package at index 0: missing \'name\' field',
+    'Invalid cargo package at index 0: missing \'name\' field',
+    'Invalid composer package at index 0: missing \'name\' field'
+  ]);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { createEmptySetup } = require('../../src/utils/schema');
+const {
+  selectionCandidates,
+  parseToggle,
+  promptSelection,
+  applySelection,
+  saveSelection,
+  readSelection
+} = require('../../src/utils/selection');
+
+function makeSetup() {
+  const setup = createEmptySetup();
+  setup.homebrew.formulae = [{ name: 'git', version: '2.43.0' }, { name: 'jq', version: '1.7' }, { name: 'wget', version: '1.21' }];
+  setup.masApps = [{ id: '497799835', name: 'Xcode', version: '15.1' }];
+  setup.globalPackages.npm = [{ name: 'typescript', version: '5.3.3' }];
+  setup.shellConfigs = [{ name: '.zshrc', content: 'export A=1\n' }];
+  return setup;
+}
+
+test('selectionCandidates lists non-empty groups of the given sections', () => {
+  const candidates = selectionCandidates(makeSetup(), ['homebrew', 'masApps']);
+
+  assert.deepStrictEqual(candidates.map(candidate => candidate.group), ['formulae', 'masApps']);
+  assert.deepStrictEqual(candidates[1].entries.map(entry => [entry.key, entry.label]), [['497799835', 'Xcode (497799835)']]);
+});
+
+test('parseToggle reads numbers and ranges', () => {
+  assert.deepStrictEqual(parseToggle('1, 3-4', 5), [0, 2, 3]);
+  assert.throws(() => parseToggle('6', 5), /Invalid selection: 6/);
+  assert.throws(() => parseToggle('x', 5), /Invalid selection: x/);
+});
+
+test('promptSelection toggles items per group until Enter', async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let written = '';
+  output.on('data', chunk => {
+    written += chunk;
+  });
+  input.end('2-3\n3\n\nn\n\n');
+
+  const selection = await promptSelection(selectionCandidates(makeSetup(), ['homebrew', 'globalPackages']), { input, output });
+
+  assert.deepStrictEqual(selection, { formulae: ['git', 'wget'], npm: [] });
+  assert.ok(written.includes('Homebrew formulae (1 of 3 selected):'));
+  assert.ok(written.includes('    2. [ ] jq'));
+});
+
+test('applySelection narrows selected groups and reports deselected items', () => {
+  const setup = makeSetup();
+  const result = applySelection(setup, { formulae: ['git'], masApps: ['497799835'] });
+
+  assert.deepStrictEqual(result.setup.homebrew.formulae, [{ name: 'git', version: '2.43.0' }]);
+  assert.deepStrictEqual(result.setup.masApps, setup.masApps);
+  assert.deepStrictEqual(result.setup.globalPackages.npm, setup.globalPackages.npm);
+  assert.deepStrictEqual(result.deselected.map(item => item.name), ['jq', 'wget']);
+  assert.strictEqual(setup.homebrew.formulae.length, 3);
+});
+
+test('saveSelection and readSelection round-trip and reject unknown groups', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'selection-'));
+  const file = path.join(dir, 'apply-selection.json');
+
+  saveSelection(file, { formulae: ['git'] }, { setupFile: 'mac-setup.json' }, new Date('2026-01-01T00:00:00Z'));
+  assert.deepStrictEqual(readSelection(file), { formulae: ['git'] });
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).setupFile, 'mac-setup.json');
+
+  fs.writeFileSync(file, JSON.stringify({ selection: { fonts: [] } }));
+  assert.throws(() => readSelection(file), /Invalid selection file/);
+  assert.throws(() => readSelection(path.join(dir, 'missing.json')), /Cannot read selection file/);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
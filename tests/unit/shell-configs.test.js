@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { restoreShellConfigs } = require('../../src/utils/shell-configs');
+
+function makeHome() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'mac-blueprint-home-'));
+}
+
+test('restoreShellConfigs writes new files including nested paths', () => {
+  const home = makeHome();
+  const result = restoreShellConfigs([
+    { name: '.zshrc', content: 'export EDITOR=vim\n' },
+    { name: '.config/fish/config.fish', content: 'set -x EDITOR vim\n' }
+  ], { home });
+
+  assert.strictEqual(result.restored, 2);
+  assert.strictEqual(fs.readFileSync(path.join(home, '.zshrc'), 'utf8'), 'export EDITOR=vim\n');
+  assert.ok(fs.existsSync(path.join(home, '.config/fish/config.fish')));
+});
+
+test('restoreShellConfigs backs up existing files before overwriting', () => {
+  const home = makeHome();
+  fs.writeFileSync(path.join(home, '.zshrc'), 'old\n');
+  const now = new Date(2024, 11, 15, 10, 0, 0);
+
+  const result = restoreShellConfigs([{ name: '.zshrc', content: 'new\n' }], { home, now });
+
+  assert.strictEqual(result.restored, 1);
+  assert.strictEqual(fs.readFileSync(path.join(home, '.zshrc'), 'utf8'), 'new\n');
+  assert.strictEqual(fs.readFileSync(path.join(home, '.zshrc.backup-20241215-100000'), 'utf8'), 'old\n');
+});
+
+test('restoreShellConfigs refuses redacted content unless allowed', () => {
+  const home = makeHome();
+  const configs = [{ name: '.zshrc', content: 'export API_KEY=[REDACTED]\n' }];
+
+  const refused = restoreShellConfigs(configs, { home });
+  assert.strictEqual(refused.skipped, 1);
+  assert.ok(!fs.existsSync(path.join(home, '.zshrc')));
+
+  const allowed = restoreShellConfigs(configs, { home, allowRedacted: true });
+  assert.strictEqual(allowed.restored, 1);
+});
+
+test('restoreShellConfigs skips unchanged files, unsafe paths and dry runs', () => {
+  const home = makeHome();
+  fs.writeFileSync(path.join(home, '.bashrc'), 'same\n');
+
+  const result = restoreShellConfigs([
+    { name: '.bashrc', content: 'same\n' },
+    { name: '../escape', content: 'x' },
+    { name: '.profile', content: 'new\n' }
+  ], { home, dryRun: true });
+
+  assert.strictEqual(result.unchanged, 1);
+  assert.strictEqual(result.skipped, 1);
+  assert.strictEqual(result.restored, 1);
+  assert.ok(!fs.existsSync(path.join(home, '.profile')));
+});
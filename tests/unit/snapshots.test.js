@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  snapshotFileName,
+  readIndex,
+  saveSnapshot,
+  selectRetained,
+  pruneSnapshots,
+  resolveSnapshot
+} = require('../../src/utils/snapshots');
+
+function makeDir() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mac-blueprint-history-')), 'history');
+}
+
+function makeSetup(hostname, captureDate) {
+  return { version: '2.0.0', system: { hostname, captureDate } };
+}
+
+test('snapshotFileName includes a safe hostname and timestamp', () => {
+  const name = snapshotFileName('Toms MacBook Pro.local', new Date(2024, 11, 15, 10, 0, 0));
+  assert.strictEqual(name, 'mac-setup-toms-macbook-pro-20241215-100000.json');
+});
+
+test('saveSnapshot writes the file and keeps the index sorted', () => {
+  const dir = makeDir();
+  saveSnapshot(dir, makeSetup('mac', '2024-12-15T10:00:00.000Z'), { now: new Date(2024, 11, 15, 10, 0, 0) });
+  const saved = saveSnapshot(dir, makeSetup('mac', '2024-11-01T10:00:00.000Z'), { now: new Date(2024, 10, 1, 10, 0, 0) });
+
+  assert.ok(fs.existsSync(saved.path));
+  const index = readIndex(dir);
+  assert.deepStrictEqual(index.map(entry => entry.captureDate), ['2024-11-01T10:00:00.000Z', '2024-12-15T10:00:00.000Z']);
+});
+
+test('selectRetained keeps the newest N and one per month, per host', () => {
+  const entries = [
+    { file: 'a1', hostname: 'a', captureDate: '2024-10-05T00:00:00Z' },
+    { file: 'a2', hostname: 'a', captureDate: '2024-10-20T00:00:00Z' },
+    { file: 'a3', hostname: 'a', captureDate: '2024-11-02T00:00:00Z' },
+    { file: 'a4', hostname: 'a', captureDate: '2024-12-01T00:00:00Z' },
+    { file: 'a5', hostname: 'a', captureDate: '2024-12-10T00:00:00Z' },
+    { file: 'b1', hostname: 'b', captureDate: '2024-01-01T00:00:00Z' }
+  ];
+
+  assert.deepStrictEqual([...selectRetained(entries, { keepLast: 1 })].sort(), ['a5', 'b1']);
+  assert.deepStrictEqual([...selectRetained(entries, { keepMonthly: 3 })].sort(), ['a2', 'a3', 'a5', 'b1']);
+  assert.strictEqual(selectRetained(entries).size, entries.length);
+});
+
+test('pruneSnapshots deletes files outside the policy and updates the index', () => {
+  const dir = makeDir();
+  const first = saveSnapshot(dir, makeSetup('mac', '2024-12-01T10:00:00.000Z'), { now: new Date(2024, 11, 1) });
+  saveSnapshot(dir, makeSetup('mac', '2024-12-02T10:00:00.000Z'), { now: new Date(2024, 11, 2) });
+
+  assert.strictEqual(pruneSnapshots(dir, { keepLast: 1 }, { dryRun: true }).length, 1);
+  assert.ok(fs.existsSync(first.path));
+
+  const removed = pruneSnapshots(dir, { keepLast: 1 });
+  assert.deepStrictEqual(removed.map(entry => entry.file), [first.file]);
+  assert.ok(!fs.existsSync(first.path));
+  assert.strictEqual(readIndex(dir).length, 1);
+});
+
+test('resolveSnapshot finds latest, relative and date references', () => {
+  const dir = makeDir();
+  const nov = saveSnapshot(dir, makeSetup('mac', '2024-11-01T10:00:00.000Z'), { now: new Date(2024, 10, 1) });
+  const dec = saveSnapshot(dir, makeSetup('mac', '2024-12-15T10:00:00.000Z'), { now: new Date(2024, 11, 15) });
+
+  assert.strictEqual(resolveSnapshot(dir, 'latest'), dec.path);
+  assert.strictEqual(resolveSnapshot(dir, 'latest~1'), nov.path);
+  assert.strictEqual(resolveSnapshot(dir, '2024-11'), nov.path);
+  assert.strictEqual(resolveSnapshot(dir, dec.file), dec.path);
+  assert.strictEqual(resolveSnapshot(dir, 'latest~5'), null);
+  assert.strictEqual(resolveSnapshot(dir, '2023'), null);
+});
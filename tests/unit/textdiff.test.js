@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { diffLines, unifiedDiff } = require('../../src/utils/textdiff');
+
+test('diffLines marks added and removed lines', () => {
+  const ops = diffLines(['a', 'b', 'c'], ['a', 'x', 'c']);
+  assert.deepStrictEqual(ops, [
+    { type: ' ', line: 'a' },
+    { type: '-', line: 'b' },
+    { type: '+', line: 'x' },
+    { type: ' ', line: 'c' }
+  ]);
+});
+
+test('unifiedDiff returns empty string for identical text', () => {
+  assert.strictEqual(unifiedDiff('same\n', 'same\n'), '');
+});
+
+test('unifiedDiff produces hunk headers with context', () => {
+  const oldText = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n');
+  const newText = ['1', '2', '3', '4', '5', 'six', '7', '8', '9', '10'].join('\n');
+  const diff = unifiedDiff(oldText, newText, { oldLabel: 'old', newLabel: 'new' });
+  const lines = diff.split('\n');
+
+  assert.strictEqual(lines[0], '--- old');
+  assert.strictEqual(lines[1], '+++ new');
+  assert.strictEqual(lines[2], '@@ -3,7 +3,7 @@');
+  assert.ok(lines.includes('-6'));
+  assert.ok(lines.includes('+six'));
+});
+
+test('diffLines replaces large, mostly different middles wholesale', () => {
+  const oldLines = ['keep'];
+  const newLines = ['keep'];
+  for (let i = 0; i < 6000; i++) {
+    oldLines.push(`old ${i}`);
+    newLines.push(`new ${i}`);
+  }
+  oldLines.push('end');
+  newLines.push('end');
+
+  const ops = diffLines(oldLines, newLines);
+  assert.strictEqual(ops.length, 12002);
+  assert.deepStrictEqual(ops[0], { type: ' ', line: 'keep' });
+  assert.strictEqual(ops.filter(op => op.type === '-').length, 6000);
+  assert.strictEqual(ops.filter(op => op.type === '+').length, 6000);
+  assert.deepStrictEqual(ops[ops.length - 1], { type: ' ', line: 'end' });
+});
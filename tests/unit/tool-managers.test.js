@@ -0,0 +1,167 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseVersionList,
+  parsePluginList,
+  parseToolVersions,
+  parseFnmList,
+  parseVoltaList,
+  parseRustupToolchains,
+  parseMiseList,
+  planToolManagerInstalls,
+  restoreToolVersionFiles,
+  parseAsdfVersion,
+  isLegacyAsdf
+} = require('../../src/utils/tool-managers');
+const { createEmptySetup, diffSetups } = require('../../src/utils/schema');
+
+test('parsers read asdf, goenv and fnm listings', () => {
+  assert.deepStrictEqual(parseVersionList('  18.19.0\n *20.10.0\n  system'), ['18.19.0', '20.10.0']);
+  assert.deepStrictEqual(parseVersionList('  No versions installed'), []);
+  assert.deepStrictEqual(parsePluginList('nodejs\npython\n'), ['nodejs', 'python']);
+  assert.deepStrictEqual(parsePluginList('No plugins installed'), []);
+  assert.deepStrictEqual(parseToolVersions('# pinned\nnodejs 20.10.0 18.19.0\npython 3.12.1\n'),
+    { nodejs: '20.10.0', python: '3.12.1' });
+  assert.deepStrictEqual(parseFnmList('* v18.19.0\n* v20.10.0 default\n* system'),
+    { versions: ['18.19.0', '20.10.0'], default: '20.10.0' });
+});
+
+test('parsers read volta, rustup and mise listings', () => {
+  const volta = [
+    'runtime node@18.19.0',
+    'runtime node@20.10.0 (default)',
+    'package-manager yarn@1.22.19 (default)',
+    'package typescript@5.3.3 / tsc, tsserver / node@20.10.0 npm@built-in (default)'
+  ].join('\n');
+  assert.deepStrictEqual(parseVoltaList(volta), {
+    node: { versions: ['18.19.0', '20.10.0'], default: '20.10.0' },
+    yarn: { versions: ['1.22.19'], default: '1.22.19' }
+  });
+
+  assert.deepStrictEqual(parseRustupToolchains('stable-aarch64-apple-darwin (active, default)\nnightly-aarch64-apple-darwin\n1.75.0-x86_64-apple-darwin'),
+    { versions: ['stable', 'nightly', '1.75.0'], default: 'stable' });
+
+  const mise = JSON.stringify({
+    node: [{ version: '20.10.0', installed: true }, { version: '22.1.0', installed: false }],
+    python: [{ version: '3.12.1', installed: true }]
+  });
+  assert.deepStrictEqual(parseMiseList(mise), { node: { versions: ['20.10.0'] }, python: { versions: ['3.12.1'] } });
+  assert.deepStrictEqual(parseMiseList(mise, { installedOnly: false }).node, { versions: ['20.10.0', '22.1.0'] });
+  assert.deepStrictEqual(parseMiseList('not json'), {});
+});
+
+test('planToolManagerInstalls adds plugins before versions and skips what is present', () => {
+  const captured = {
+    asdf: { installed: true, plugins: ['nodejs'], tools: { nodejs: { versions: ['20.10.0'], default: '20.10.0' } } },
+    rustup: { installed: true, tools: { rust: { versions: ['stable', 'nightly'], default: 'stable' } } },
+    goenv: { installed: false, tools: {} }
+  };
+  const current = {
+    rustup: { installed: true, tools: { rust: { versions: ['stable'], default: 'stable' } } }
+  };
+
+  const steps = planToolManagerInstalls(captured, current);
+  assert.deepStrictEqual(steps.map(step => [step.name, step.status, step.command]), [
+    ['asdf', 'pending', 'brew install asdf'],
+    ['asdf plugin nodejs', 'pending', 'asdf plugin add nodejs'],
+    ['asdf nodejs 20.10.0', 'pending', 'asdf install nodejs 20.10.0'],
+    ['asdf nodejs default 20.10.0', 'pending', 'asdf set --home nodejs 20.10.0'],
+    ['rustup', 'present', steps[4].command],
+    ['rustup rust stable', 'present', undefined],
+    ['rustup rust nightly', 'pending', 'rustup toolchain install nightly'],
+    ['rustup rust default stable', 'present', undefined]
+  ]);
+});
+
+test('planToolManagerInstalls sets asdf defaults with asdf global before 0.16', () => {
+  assert.strictEqual(parseAsdfVersion('v0.14.1-f00f759'), '0.14.1');
+  assert.strictEqual(parseAsdfVersion('0.16.7 (revision 6f1d4a8)'), '0.16.7');
+  assert.strictEqual(parseAsdfVersion(''), null);
+  assert.strictEqual(isLegacyAsdf('0.15.0'), true);
+  assert.strictEqual(isLegacyAsdf('0.16.0'), false);
+  assert.strictEqual(isLegacyAsdf(null), false);
+
+  const captured = { asdf: { installed: true, plugins: [], tools: { nodejs: { versions: [], default: '20.10.0' } } } };
+  const defaultCommand = current => planToolManagerInstalls(captured, current).find(step => step.kind === 'default').command;
+  assert.strictEqual(defaultCommand({ asdf: { installed: true, version: '0.14.1', plugins: [], tools: {} } }),
+    'asdf global nodejs 20.10.0');
+  assert.strictEqual(defaultCommand({ asdf: { installed: true, version: '0.16.7', plugins: [], tools: {} } }),
+    'asdf set --home nodejs 20.10.0');
+});
+
+test('planToolManagerInstalls refuses names that are not safe to pass to a shell', () => {
+  const steps = planToolManagerInstalls({
+    mise: { installed: true, plugins: ['x; rm -rf ~'], tools: { 'node && id': { versions: ['20'] } } }
+  }, { mise: { installed: true, plugins: [], tools: {} } });
+
+  assert.deepStrictEqual(steps.slice(1).map(step => [step.kind, step.status, step.reason]), [
+    ['plugin', 'invalid', 'invalid plugin name'],
+    ['version', 'invalid', 'invalid tool name']
+  ]);
+});
+
+test('restoreToolVersionFiles writes only files missing from existing repositories', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-versions-'));
+  const repo = path.join(root, 'app');
+  fs.mkdirSync(repo);
+  fs.writeFileSync(path.join(repo, '.tool-versions'), 'nodejs 18.19.0\n');
+
+  try {
+    const files = [
+      { name: 'app/.nvmrc', path: path.join(repo, '.nvmrc'), content: '20\n' },
+      { name: 'app/.tool-versions', path: path.join(repo, '.tool-versions'), content: 'nodejs 20.10.0\n' },
+      { name: 'gone/.nvmrc', path: path.join(root, 'gone', '.nvmrc'), content: '20\n' },
+      { name: 'app/.bashrc', path: path.join(repo, '.bashrc'), content: 'echo hi\n' }
+    ];
+
+    assert.strictEqual(restoreToolVersionFiles(files, { dryRun: true })[0].status, 'would-write');
+    assert.strictEqual(fs.existsSync(path.join(repo, '.nvmrc')), false);
+
+    const results = restoreToolVersionFiles(files);
+    assert.deepStrictEqual(results.map(result => result.status), ['written', 'differs', 'no-repo', 'invalid']);
+    assert.strictEqual(fs.readFileSync(path.join(repo, '.nvmrc'), 'utf8'), '20\n');
+    assert.strictEqual(fs.readFileSync(path.join(repo, '.tool-versions'), 'utf8'), 'nodejs 18.19.0\n');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('restoreToolVersionFiles remaps captured paths onto the current home', () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-versions-home-'));
+  const repo = path.join(home, 'Documents', 'github', 'app');
+  fs.mkdirSync(repo, { recursive: true });
+
+  try {
+    const files = [{ name: 'app/.nvmrc', path: '/Users/olduser/Documents/github/app/.nvmrc', content: '20\n' }];
+    const results = restoreToolVersionFiles(files, { home });
+    assert.deepStrictEqual(results, [{ name: 'app/.nvmrc', path: path.join(repo, '.nvmrc'), status: 'written' }]);
+    assert.strictEqual(fs.readFileSync(path.join(repo, '.nvmrc'), 'utf8'), '20\n');
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+});
+
+test('diffSetups compares tool versions, defaults, plugins and version files', () => {
+  const oldSetup = createEmptySetup();
+  oldSetup.toolManagers.mise = { installed: true, plugins: [], tools: { node: { versions: ['20.10.0'], default: '20.10.0' } } };
+  oldSetup.toolVersionFiles = [{ name: 'app/.nvmrc', content: '20\n' }];
+  const newSetup = createEmptySetup();
+  newSetup.toolManagers.mise = {
+    installed: true,
+    plugins: ['terraform'],
+    tools: { node: { versions: ['20.10.0', '22.1.0'], default: '22.1.0' } }
+  };
+  newSetup.toolVersionFiles = [{ name: 'app/.nvmrc', content: '22\n' }];
+
+  const diff = diffSetups(oldSetup, newSetup);
+  assert.deepStrictEqual(diff.toolManagers.mise.plugins, { added: ['terraform'], removed: [] });
+  assert.deepStrictEqual(diff.toolManagers.mise.node, {
+    added: ['22.1.0'],
+    removed: [],
+    updated: [{ name: 'default', oldValue: '20.10.0', newValue: '22.1.0' }]
+  });
+  assert.strictEqual(diff.toolVersionFiles.updated[0].name, 'app/.nvmrc');
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { buildVerifyMatrix, planVerifySections, summarizeVerifyMatrix, formatVerifyMatrix } = require('../../src/utils/verify');
+
+const setup = {
+  homebrew: {
+    taps: ['homebrew/cask-fonts'],
+    formulae: [{ name: 'git', version: '2.43.0' }, { name: 'jq', version: '1.7' }],
+    casks: [{ name: 'firefox', version: '120.0' }]
+  },
+  masApps: [{ id: '497799835', name: 'Xcode', version: '15.1' }],
+  globalPackages: { npm: [{ name: 'typescript', version: '5.3.3' }], bun: [], dart: [], ruby: [] },
+  versionManagers: { nvm: { installed: true, versions: ['20.10.0', '18.19.0'] } },
+  applications: [{ name: 'Slack.app', version: '4.36' }]
+};
+
+const installed = {
+  taps: ['homebrew/cask-fonts'],
+  formulae: ['git'],
+  casks: ['firefox'],
+  masApps: null,
+  npm: ['typescript'],
+  bun: [],
+  dart: [],
+  ruby: [],
+  runtimes: ['nvm 20.10.0'],
+  applications: ['Slack.app', 'Safari.app']
+};
+
+test('buildVerifyMatrix checks every item against the listings', () => {
+  const matrix = buildVerifyMatrix(setup, installed);
+  const status = name => matrix.find(row => row.name === name).status;
+
+  assert.strictEqual(matrix.length, 9);
+  assert.strictEqual(status('git'), 'pass');
+  assert.strictEqual(status('jq'), 'fail');
+  assert.strictEqual(status('Xcode'), 'unknown');
+  assert.strictEqual(status('nvm 18.19.0'), 'fail');
+  assert.strictEqual(status('Slack.app'), 'pass');
+});
+
+test('buildVerifyMatrix only checks the given sections', () => {
+  const matrix = buildVerifyMatrix(setup, installed, ['globalPackages']);
+  assert.deepStrictEqual(matrix, [{ section: 'globalPackages', group: 'npm', name: 'typescript', status: 'pass' }]);
+});
+
+test('summarizeVerifyMatrix and formatVerifyMatrix report counts and failures', () => {
+  const matrix = buildVerifyMatrix(setup, installed);
+  const summary = summarizeVerifyMatrix(matrix);
+
+  assert.deepStrictEqual(summary.groups.formulae, { pass: 1, fail: 1, unknown: 0 });
+  assert.strictEqual(summary.pass, 6);
+  assert.strictEqual(summary.fail, 2);
+  assert.strictEqual(summary.unknown, 1);
+
+  const text = formatVerifyMatrix(matrix);
+  assert.match(text, /✗ Formulae {12}1\/2 passed\n {4}✗ jq/);
+  assert.match(text, /\? Mac App Store Apps {2}0\/1 passed, 1 not checked/);
+  assert.match(text, /Verification: 6 passed, 2 failed, 1 not checked$/);
+});
+
+test('buildVerifyMatrix checks tool manager toolchains and editor extensions', () => {
+  const withTools = {
+    toolManagers: {
+      rustup: { installed: true, tools: { rust: { versions: ['stable', 'nightly'], default: 'stable' } } },
+      mise: { installed: true, plugins: [], tools: { node: { versions: ['20.10.0'] } } }
+    },
+    editors: {
+      vscode: { installed: true, extensions: [{ name: 'ms-python.Python', version: '2024.0.1' }], files: [] },
+      cursor: { installed: false, extensions: [{ name: 'esbenp.prettier-vscode', version: '10.1.0' }], files: [] }
+    }
+  };
+  const listings = {
+    toolchains: ['rustup rust stable', 'mise node 20.10.0'],
+    extensions: ['vscode ms-python.python']
+  };
+
+  const matrix = buildVerifyMatrix(withTools, listings, ['toolManagers', 'editors']);
+  assert.deepStrictEqual(matrix.map(row => [row.group, row.name, row.status]), [
+    ['toolchains', 'rustup rust stable', 'pass'],
+    ['toolchains', 'rustup rust nightly', 'fail'],
+    ['toolchains', 'mise node 20.10.0', 'pass'],
+    ['extensions', 'vscode ms-python.Python', 'pass']
+  ]);
+});
+
+test('planVerifySections skips sections whose install flag was not given', () => {
+  const sections = ['applications', 'masApps', 'homebrew', 'globalPackages', 'shellConfigs', 'versionManagers', 'toolManagers', 'editors'];
+
+  assert.deepStrictEqual(planVerifySections(sections, { installGlobalPackages: true }), {
+    verify: ['applications', 'homebrew', 'globalPackages', 'shellConfigs'],
+    skipped: ['masApps', 'versionManagers', 'toolManagers', 'editors']
+  });
+  assert.deepStrictEqual(planVerifySections(sections, {
+    installMas: true,
+    installGlobalPackages: true,
+    installRuntimes: true,
+    installExtensions: true
+  }).skipped, []);
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { parseVersion, classifyVersionChange } = require('../../src/utils/versions');
+
+test('parseVersion reads numeric versions and ignores suffixes', () => {
+  assert.deepStrictEqual(parseVersion('v20.10.0'), [20, 10, 0]);
+  assert.deepStrictEqual(parseVersion('2.43.0_1'), [2, 43, 0]);
+  assert.deepStrictEqual(parseVersion('15'), [15, 0, 0]);
+  assert.deepStrictEqual(parseVersion('1.21 1.22.1'), [1, 22, 1]);
+  assert.strictEqual(parseVersion('latest'), null);
+  assert.strictEqual(parseVersion(undefined), null);
+});
+
+test('classifyVersionChange reports level and direction', () => {
+  assert.deepStrictEqual(classifyVersionChange('20.10.0', '21.0.0'), { change: 'major', direction: 'upgrade' });
+  assert.deepStrictEqual(classifyVersionChange('5.3.3', '5.4.0'), { change: 'minor', direction: 'upgrade' });
+  assert.deepStrictEqual(classifyVersionChange('2.43.1', '2.43.0'), { change: 'patch', direction: 'downgrade' });
+  assert.deepStrictEqual(classifyVersionChange('2.43.0', '2.43.0_1'), { change: 'patch', direction: 'change' });
+  assert.deepStrictEqual(classifyVersionChange('latest', '1.0.0'), { change: 'other', direction: 'change' });
+});